@@ -0,0 +1,109 @@
+/**
+ * Measures how long simulation ticks take in synthetic full games.
+ *
+ *   npm run bench -- [--players 50] [--games 1] [--ticks 1200] [--map green] [--mode ffa]
+ *
+ * Every tank drives around at random and fires whenever it can with rapid fire
+ * always on, so bullets pile up the way they do in a crowded match. The clock
+ * and RNG are simulated: results are comparable between runs on one machine.
+ */
+const simulation = require("./game/simulation");
+const maps = require("./game/maps");
+
+const TICK_RATE = 60; // same as server.js
+const TICK_INTERVAL = 1000 / TICK_RATE;
+const SEED = 1;
+
+function readOptions(argv) {
+  const options = { players: 50, games: 1, ticks: 1200, map: maps.DEFAULT_MAP_ID, mode: "ffa" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in options)) throw new Error(`Unknown option: ${argv[i]}`);
+    options[key] = typeof options[key] === "number" ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return options;
+}
+
+function createBenchGame(options, clock, random) {
+  const game = simulation.createGameState(maps.getMap(options.map), options.mode, { scoreLimit: 999, timeLimit: 0 });
+  const sim = simulation.createSimulation({ now: () => clock.time, random });
+
+  for (let i = 0; i < options.players; i++) {
+    sim.addPlayer(game, `bot-${i}`, { name: `Bot ${i}`, color: "#ffffff" });
+  }
+  game.match.phase = "live"; // skip warmup and countdown
+
+  return { game, sim, seq: 0 };
+}
+
+function randomInput(bench, random) {
+  return {
+    seq: ++bench.seq,
+    inputs: { w: random() < 0.7, a: random() < 0.3, s: random() < 0.1, d: random() < 0.3 },
+    dt: 1 / TICK_RATE,
+  };
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function run(options) {
+  const clock = { time: 0 };
+  const random = simulation.createRng(SEED);
+  const benches = [];
+  for (let i = 0; i < options.games; i++) benches.push(createBenchGame(options, clock, random));
+
+  const durations = [];
+  let maxBullets = 0;
+
+  for (let tick = 0; tick < options.ticks; tick++) {
+    clock.time += TICK_INTERVAL;
+
+    // Generate this tick's inputs before timing: only the simulation is measured
+    const work = benches.map((bench) => {
+      const inputs = {};
+      for (const id in bench.game.players) {
+        const player = bench.game.players[id];
+        player.effects.rapidFire = { type: "rapidFire", expiresAt: Infinity, stacks: 1 };
+        inputs[id] = [randomInput(bench, random)];
+      }
+      return { bench, inputs, angles: Object.keys(inputs).map((id) => [id, random() * Math.PI * 2]) };
+    });
+
+    const start = process.hrtime.bigint();
+    for (const { bench, inputs, angles } of work) {
+      for (const [id, angle] of angles) bench.sim.shoot(bench.game, id, angle, clock.time - 100);
+      bench.sim.step(bench.game, inputs, 1 / TICK_RATE);
+    }
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+    for (const { bench } of work) maxBullets = Math.max(maxBullets, bench.game.bullets.length);
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const average = durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+  return {
+    average,
+    median: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95),
+    max: sorted[sorted.length - 1],
+    maxBullets,
+  };
+}
+
+function main() {
+  const options = readOptions(process.argv.slice(2));
+  maps.loadMaps();
+
+  console.log(
+    `${options.games} game(s) x ${options.players} players on "${options.map}" (${options.mode}), ${options.ticks} ticks`
+  );
+  const result = run(options);
+  const format = (ms) => `${ms.toFixed(3)} ms`;
+  console.log(`  per tick  avg ${format(result.average)}  median ${format(result.median)}  p95 ${format(result.p95)}  max ${format(result.max)}`);
+  console.log(`  budget    ${format(TICK_INTERVAL)} (${((result.average / TICK_INTERVAL) * 100).toFixed(1)}% used on average)`);
+  console.log(`  bullets   up to ${result.maxBullets} in flight per game`);
+}
+
+main();
@@ -0,0 +1,87 @@
+/**
+ * Who may see and join a lobby.
+ *
+ *   public    listed in the server browser; anyone can join
+ *   unlisted  hidden; joinable through an invite link
+ *   private   hidden; joinable with the password or through an invite link
+ *
+ * Every game gets a random invite code when it is hosted. Invite links
+ * (`/?join=<gameId>&code=<inviteCode>`) let their holder straight in, so the
+ * sequential game ids alone are not enough to find a hidden game.
+ */
+const crypto = require("crypto");
+
+const VISIBILITIES = ["public", "unlisted", "private"];
+const PASSWORD_MAX = 32;
+
+// Join rejections: a code clients can act on (e.g. ask for a password) and a message to show
+const JOIN_ERRORS = {
+  NOT_FOUND: "Game not found",
+  FULL: "Server is full",
+  SPECTATORS_FULL: "No room for more spectators",
+  BANNED: "You are banned from that game",
+  LOCKED: "That game is locked",
+  INVITE_REQUIRED: "That game is invite-only",
+  PASSWORD_REQUIRED: "That game needs a password",
+  WRONG_PASSWORD: "Wrong password",
+};
+
+function hash(text) {
+  return crypto.createHash("sha256").update(String(text)).digest();
+}
+
+function matches(secret, expectedHash) {
+  return typeof secret === "string" && secret !== "" && crypto.timingSafeEqual(hash(secret), expectedHash);
+}
+
+/**
+ * Access settings chosen by the host
+ * @param {Object} [options]
+ * @param {string} [options.visibility] - "public" (default), "unlisted" or "private"
+ * @param {string} [options.password] - Required for private games
+ * @returns {{visibility: string, passwordHash: Buffer|null, inviteCode: string}}
+ * @throws {Error} When a private game has no password
+ */
+function accessSettings(options) {
+  const visibility = VISIBILITIES.includes(options && options.visibility) ? options.visibility : "public";
+  const password = typeof (options && options.password) === "string" ? options.password.slice(0, PASSWORD_MAX) : "";
+  if (visibility === "private" && !password) {
+    throw new Error("Private games need a password");
+  }
+
+  return {
+    visibility,
+    passwordHash: visibility === "private" ? hash(password) : null,
+    inviteCode: crypto.randomBytes(6).toString("base64url"),
+  };
+}
+
+/**
+ * Whether a join request gets past the game's visibility
+ * @param {Object} game - Game with accessSettings() fields
+ * @param {Object} [data] - { code, password } from the `join` request
+ * @returns {string|null} Key of JOIN_ERRORS, or null when allowed
+ */
+function checkAccess(game, data) {
+  const code = data && data.code;
+  const password = data && data.password;
+
+  if (game.visibility === "public" || matches(code, hash(game.inviteCode))) return null;
+  if (game.visibility === "unlisted") return "INVITE_REQUIRED";
+  if (!password) return "PASSWORD_REQUIRED";
+  return matches(password, game.passwordHash) ? null : "WRONG_PASSWORD";
+}
+
+/**
+ * Whether a game appears in the server browser
+ */
+function isListed(game) {
+  return game.visibility === "public";
+}
+
+module.exports = {
+  JOIN_ERRORS,
+  accessSettings,
+  checkAccess,
+  isListed,
+};
@@ -0,0 +1,418 @@
+/**
+ * Computer-controlled tanks.
+ *
+ * A bot is an ordinary entry in game.players with no socket behind it.
+ * Every tick the server asks think() what each bot does; the answer is an
+ * input sample and maybe a shot angle, which go through the same validation,
+ * input queue and shoot() as a human's, so bots move and fire under exactly
+ * the same rules.
+ *
+ * A bot picks a target (the nearest enemy it can see, sticking with it for a
+ * while), leads its shots, sidesteps bullets headed its way, picks up nearby
+ * power-ups and falls back to find health when it is badly hurt. Cloaked
+ * enemies go unnoticed until they come close. Weapons picked up from the map
+ * are used when the target is in their range (WEAPON_RANGES), and the class
+ * ability whenever the moment suits it (wantsAbility). In team modes, with
+ * nobody to fight, it goes for the flag or the hill.
+ *
+ * DIFFICULTIES sets how quickly and how well it does each of these.
+ */
+const physics = require("../shared/physics");
+const modes = require("./modes");
+const powerups = require("./powerups");
+const weapons = require("./weapons");
+const classes = require("./classes");
+const maps = require("./maps");
+
+const DIFFICULTIES = {
+  easy: {
+    name: "Easy",
+    reaction: 600, // ms between decisions (target, destination, strafe side)
+    turnRate: 3, // turret speed in radians per second
+    aimError: 0.2, // radians, drawn again at every decision
+    lead: 0, // share of the target's movement the aim allows for
+    fireInterval: 1200, // ms between shot attempts
+    range: 380, // shoots at targets closer than this
+    dodgeHorizon: 0, // s; sidesteps bullets that would hit within this long
+    seekRange: 150, // detours for power-ups this close
+    retreatHp: 0, // falls back below this share of its class's HP
+  },
+  normal: {
+    name: "Normal",
+    reaction: 350,
+    turnRate: 6,
+    aimError: 0.08,
+    lead: 0.7,
+    fireInterval: 600,
+    range: 480,
+    dodgeHorizon: 0.4,
+    seekRange: 250,
+    retreatHp: 0.3,
+  },
+  hard: {
+    name: "Hard",
+    reaction: 150,
+    turnRate: 12,
+    aimError: 0.02,
+    lead: 1,
+    fireInterval: 250,
+    range: 600,
+    dodgeHorizon: 0.8,
+    seekRange: 350,
+    retreatHp: 0.45,
+  },
+};
+const DEFAULT_DIFFICULTY = "normal";
+
+const BOT_NAMES = ["Bolt", "Rivet", "Sprocket", "Gizmo", "Piston", "Dynamo", "Servo", "Torque", "Cog", "Widget", "Gears", "Ratchet"];
+
+const PREFERRED_RANGE = 250; // engages from about this far, strafing
+const CLOSE_RANGE = 160; // backs off when a target gets this close
+const DODGE_RADIUS = 40; // bullets passing closer than this are dodged
+const LOOKAHEAD = 40; // how far ahead obstacle avoidance probes (px)
+const CLOAK_SPOT_RANGE = 120; // cloaked enemies farther than this are not noticed (px)
+const SIGHT_STEP = 12; // spacing of line-of-sight samples (px)
+const AIM_TOLERANCE = 0.08; // radians; fires once the turret is this close to the aim
+const ARRIVED = 30; // a destination this close counts as reached (px)
+const WANDER_ATTEMPTS = 10; // tries to find an open spot to wander to
+// Limited weapons a bot prefers, best first, and the farthest it uses each from (px)
+const WEAPON_RANGES = [
+  ["railgun", 700],
+  ["missile", 450],
+  ["shotgun", 170],
+  ["mine", 90],
+];
+const AVOID_OFFSETS = [0, 0.5, 1, 1.6, 2.3, Math.PI]; // headings tried around obstacles, radians either side
+
+/**
+ * @param {string} difficulty
+ * @returns {string} A known difficulty id (unknown ones fall back to DEFAULT_DIFFICULTY)
+ */
+function normalizeDifficulty(difficulty) {
+  const id = String(difficulty || "").toLowerCase();
+  return Object.hasOwn(DIFFICULTIES, id) ? id : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * A name no player in the game is using
+ * @param {Object} players - game.players
+ */
+function pickName(players) {
+  const taken = new Set(Object.values(players).map((player) => player.name));
+  for (const name of BOT_NAMES) {
+    if (!taken.has(name)) return name;
+  }
+  let n = 2;
+  while (taken.has(`${BOT_NAMES[0]} ${n}`)) n++;
+  return `${BOT_NAMES[0]} ${n}`;
+}
+
+/**
+ * Fresh decision state for a bot
+ * @param {string} difficulty - Key of DIFFICULTIES
+ */
+function createBrain(difficulty) {
+  return {
+    difficulty: normalizeDifficulty(difficulty),
+    seq: 0, // input sequence, like a client's
+    decideAt: 0,
+    targetId: null,
+    canSee: false, // line of sight to the target at the last decision
+    goal: null, // { x, y } to drive to instead of fighting
+    aimError: 0,
+    strafe: 1, // which way to circle the target (and to go round obstacles)
+    nextShotAt: 0,
+  };
+}
+
+function angleDiff(a, b) {
+  return Math.atan2(Math.sin(a - b), Math.cos(a - b));
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Whether a straight shot from a to b would reach it without touching a wall
+ */
+function lineOfSight(game, a, b) {
+  const steps = Math.ceil(distance(a, b) / SIGHT_STEP);
+  for (let i = 1; i < steps; i++) {
+    const x = a.x + ((b.x - a.x) * i) / steps;
+    const y = a.y + ((b.y - a.y) * i) / steps;
+    if (game.solidGrid.query(x, y, 0).some((shape) => physics.shapeContains(shape, x, y))) return false;
+  }
+  return true;
+}
+
+function isEnemy(game, player, other) {
+  return other !== player && !other.dead && !other.held && modes.canDamage(game, player.id, other);
+}
+
+/**
+ * The enemy to fight: nearest first, visible ones strongly preferred, the
+ * current target slightly so the bot doesn't flip between two
+ * @returns {{target: Object|null, canSee: boolean}}
+ */
+function chooseTarget(game, player, brain) {
+  let best = null;
+  let bestScore = Infinity;
+  let bestVisible = false;
+  for (const id in game.players) {
+    const other = game.players[id];
+    if (!isEnemy(game, player, other)) continue;
+    if (powerups.hasEffect(other, "cloak") && distance(player, other) > CLOAK_SPOT_RANGE) continue;
+    const visible = lineOfSight(game, player, other);
+    const score = distance(player, other) * (visible ? 1 : 2.5) * (id === brain.targetId ? 0.8 : 1);
+    if (score < bestScore) {
+      best = other;
+      bestScore = score;
+      bestVisible = visible;
+    }
+  }
+  return { target: best, canSee: bestVisible };
+}
+
+function nearestPowerUp(game, player, filter) {
+  let best = null;
+  for (const powerUp of game.powerUps) {
+    if (filter && !filter(powerUp)) continue;
+    if (!best || distance(player, powerUp) < distance(player, best)) best = powerUp;
+  }
+  return best;
+}
+
+/**
+ * Where the mode wants the bot when there is nobody to fight: the enemy flag,
+ * home with it once carried, or the hill
+ * @returns {{x: number, y: number}|null}
+ */
+function objectivePoint(game, player) {
+  if (game.mode === "koth" && game.objectives.hill) return game.objectives.hill;
+  if (game.mode !== "ctf" || !player.team) return null;
+
+  const flags = Object.values(game.objectives).filter((objective) => objective.kind === "flag");
+  const own = flags.find((flag) => flag.team === player.team);
+  if (flags.some((flag) => flag.carrier === player.id)) return own ? { x: own.homeX, y: own.homeY } : null;
+  if (own && !own.carrier && own.droppedAt !== null) return own; // return our dropped flag
+  const enemy = flags.find((flag) => flag.team !== player.team && flag.carrier === null);
+  return enemy || null;
+}
+
+/**
+ * Somewhere to drive instead of fighting, or null to fight
+ * @returns {{x: number, y: number}|null}
+ */
+function chooseGoal(game, player, brain, settings, target, random) {
+  // Badly hurt: go for health, or at least away from the target
+  if (player.hp <= settings.retreatHp * player.maxHp) {
+    const health = nearestPowerUp(game, player, (powerUp) => powerUp.type === "healthPack");
+    if (health) return health;
+    if (target) {
+      const away = Math.atan2(player.y - target.y, player.x - target.x);
+      return { x: player.x + Math.cos(away) * PREFERRED_RANGE, y: player.y + Math.sin(away) * PREFERRED_RANGE };
+    }
+  }
+
+  const powerUp = nearestPowerUp(game, player, (p) => distance(player, p) <= settings.seekRange);
+  if (powerUp) return powerUp;
+
+  // The flag is worth more than a fight; the hill only matters when nobody is in sight
+  const objective = objectivePoint(game, player);
+  if (objective && (game.mode === "ctf" || !brain.canSee)) return { x: objective.x, y: objective.y };
+
+  if (target) return null;
+  // Nobody to fight: wander, now and then giving up on a point it can't reach
+  if (brain.goal && distance(player, brain.goal) > ARRIVED && random() < 0.9) return brain.goal;
+  let point = { x: random() * game.mapWidth, y: random() * game.mapHeight };
+  for (let i = 1; i < WANDER_ATTEMPTS && !maps.isOpen(game, point.x, point.y); i++) {
+    point = { x: random() * game.mapWidth, y: random() * game.mapHeight };
+  }
+  return point;
+}
+
+/**
+ * Direction away from the bullet that will pass closest soonest, or null
+ * when nothing is coming
+ */
+function dodgeHeading(game, player, settings) {
+  if (!settings.dodgeHorizon) return null;
+  let soonest = Infinity;
+  let heading = null;
+  for (const bullet of game.bullets) {
+    if (bullet.owner === player.id || !modes.canDamage(game, bullet.owner, player, bullet.team)) continue;
+    const dx = player.x - bullet.x;
+    const dy = player.y - bullet.y;
+    const speedSq = bullet.vx * bullet.vx + bullet.vy * bullet.vy;
+    const t = (dx * bullet.vx + dy * bullet.vy) / (speedSq || 1); // seconds to the closest approach
+    if (t <= 0 || t > settings.dodgeHorizon || t >= soonest) continue;
+
+    const awayX = dx - bullet.vx * t;
+    const awayY = dy - bullet.vy * t;
+    if (awayX * awayX + awayY * awayY >= DODGE_RADIUS * DODGE_RADIUS) continue;
+    soonest = t;
+    // Dead centre: either side will do
+    heading = awayX || awayY ? Math.atan2(awayY, awayX) : Math.atan2(bullet.vx, -bullet.vy);
+  }
+  return heading;
+}
+
+/**
+ * The heading closest to the wanted one that doesn't drive into a wall
+ * @param {number} side - Which way to try first (1 or -1)
+ */
+function avoidObstacles(game, player, heading, side) {
+  for (const offset of AVOID_OFFSETS) {
+    for (const sign of offset ? [side, -side] : [1]) {
+      const a = heading + offset * sign;
+      if (maps.isOpen(game, player.x + Math.cos(a) * LOOKAHEAD, player.y + Math.sin(a) * LOOKAHEAD)) return a;
+    }
+  }
+  return heading;
+}
+
+/**
+ * Movement keys for the nearest of the eight directions a tank can drive
+ */
+function keysFor(heading) {
+  const sector = Math.round(heading / (Math.PI / 4));
+  const dx = Math.round(Math.cos((sector * Math.PI) / 4));
+  const dy = Math.round(Math.sin((sector * Math.PI) / 4));
+  return { w: dy < 0, a: dx < 0, s: dy > 0, d: dx > 0 };
+}
+
+/**
+ * Aim angle that meets a moving target, allowing for `lead` of its movement
+ */
+function leadAngle(player, target, lead, speed) {
+  const rx = target.x - player.x;
+  const ry = target.y - player.y;
+  const vx = (target.vx || 0) * lead;
+  const vy = (target.vy || 0) * lead;
+
+  // Time t when a bullet can be where the target will be: |r + v t| = speed t
+  const a = vx * vx + vy * vy - speed * speed;
+  const b = 2 * (rx * vx + ry * vy);
+  const c = rx * rx + ry * ry;
+  const disc = b * b - 4 * a * c;
+  let t = 0;
+  if (Math.abs(a) < 1e-6) t = b < 0 ? -c / b : 0;
+  else if (disc >= 0) t = Math.max(0, (-b - Math.sqrt(disc)) / (2 * a));
+  return Math.atan2(ry + vy * t, rx + vx * t);
+}
+
+/**
+ * The best weapon the bot has ammo for at this range, or the cannon
+ */
+function chooseWeapon(player, range) {
+  for (const [weapon, reach] of WEAPON_RANGES) {
+    if (range <= reach && weapons.hasAmmo(player, weapon)) return weapon;
+  }
+  return weapons.DEFAULT_WEAPON;
+}
+
+/**
+ * Whether now is a good time for the bot's class ability
+ * @param {Object} situation - { fighting, range, dodging } from think()
+ */
+function wantsAbility(player, settings, time, { fighting, range, dodging }) {
+  if (time < player.abilityReadyAt) return false;
+  const engaged = fighting && range <= settings.range;
+  switch (classes.classOf(player).ability) {
+    case "dash":
+      return dodging;
+    case "cloak":
+      return player.hp <= 0.5 * player.maxHp;
+    case "repairAura":
+      return player.hp <= 0.6 * player.maxHp;
+    default:
+      return engaged;
+  }
+}
+
+/**
+ * Decide one tick of a bot's play
+ * @param {Object} game - Game state
+ * @param {Object} player - The bot's player record
+ * @param {Object} brain - From createBrain()
+ * @param {number} time - Current time in ms
+ * @param {number} dt - Tick length in seconds
+ * @param {function(): number} random - The game's random generator
+ * @returns {{input: Object, shot: number|null, slot: number, ability: boolean}} An input
+ *   sample as a client would send it, the angle to fire at (null to hold fire), the
+ *   weapon slot and whether to use the class ability
+ */
+function think(game, player, brain, time, dt, random) {
+  const settings = DIFFICULTIES[brain.difficulty];
+  const input = {
+    seq: ++brain.seq,
+    inputs: { w: false, a: false, s: false, d: false },
+    rotation: player.rotation,
+    turretRotation: player.turretRotation,
+    dt,
+  };
+  if (player.dead || player.held) return { input, shot: null };
+
+  if (time >= brain.decideAt) {
+    brain.decideAt = time + settings.reaction * (0.75 + random() * 0.5);
+    const { target, canSee } = chooseTarget(game, player, brain);
+    brain.targetId = target ? target.id : null;
+    brain.canSee = canSee;
+    brain.goal = chooseGoal(game, player, brain, settings, target, random);
+    brain.aimError = (random() * 2 - 1) * settings.aimError;
+    if (random() < 0.3) brain.strafe = -brain.strafe;
+  }
+
+  const target = game.players[brain.targetId];
+  const fighting = !!target && isEnemy(game, player, target);
+  const range = fighting ? distance(player, target) : Infinity;
+
+  // Move: dodging beats everything, then the destination, then keeping a fighting distance
+  let heading = dodgeHeading(game, player, settings);
+  const ability = wantsAbility(player, settings, time, { fighting, range, dodging: heading !== null });
+  if (heading === null && brain.goal && distance(player, brain.goal) > ARRIVED) {
+    heading = Math.atan2(brain.goal.y - player.y, brain.goal.x - player.x);
+  } else if (heading === null && fighting) {
+    const toward = Math.atan2(target.y - player.y, target.x - player.x);
+    if (range > PREFERRED_RANGE * 1.3 || !brain.canSee) heading = toward;
+    else if (range < CLOSE_RANGE) heading = toward + Math.PI;
+    else heading = toward + (Math.PI / 2) * brain.strafe;
+  }
+  if (heading !== null) {
+    heading = avoidObstacles(game, player, heading, brain.strafe);
+    input.inputs = keysFor(heading);
+    input.rotation = heading;
+  }
+
+  // Aim: the turret turns at a limited rate, and fires once it is on target
+  if (!fighting) return { input, shot: null, ability };
+  const weapon = chooseWeapon(player, range);
+  const { speed } = classes.weaponFor(player, weapon);
+  const aim = (speed ? leadAngle(player, target, settings.lead, speed) : Math.atan2(target.y - player.y, target.x - player.x)) + brain.aimError;
+  const turn = angleDiff(aim, player.turretRotation);
+  const maxTurn = settings.turnRate * dt;
+  input.turretRotation = player.turretRotation + Math.max(-maxTurn, Math.min(maxTurn, turn));
+
+  const ready = time >= brain.nextShotAt && range <= settings.range && brain.canSee && !target.invulnerable;
+  if (!ready || Math.abs(angleDiff(aim, input.turretRotation)) > AIM_TOLERANCE) return { input, shot: null, ability };
+  brain.nextShotAt = time + settings.fireInterval;
+  return { input, shot: input.turretRotation, slot: weapons.WEAPON_SLOTS.indexOf(weapon), ability };
+}
+
+/**
+ * Difficulties for menus: [{ id, name }]
+ */
+function listDifficulties() {
+  return Object.keys(DIFFICULTIES).map((id) => ({ id, name: DIFFICULTIES[id].name }));
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_DIFFICULTY,
+  normalizeDifficulty,
+  listDifficulties,
+  pickName,
+  createBrain,
+  think,
+};
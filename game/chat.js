@@ -0,0 +1,152 @@
+/**
+ * Lobby chat rules: slash commands, rate limiting and mutes.
+ *
+ * server.js owns the sockets and the per-game message log; this module only
+ * decides what a line of chat means and whether its sender may post it.
+ * Commands are written as `/name args`:
+ *
+ *   /help                 list the commands available to you
+ *   /w <player> <text>    whisper to one player (also /whisper, /msg)
+ *   /team <text>          message your own team (also /t)
+ *   /me <text>            emote: "* Name text"
+ *
+ * Host only:
+ *
+ *   /mute <player> [min]  silence a player (default 5 minutes)
+ *   /unmute <player>
+ *   /kick <player>        remove a player
+ *   /ban <player>         remove a player and refuse them for the rest of the game
+ *   /host <player>        hand host rights to another player
+ *   /lock, /unlock        refuse or allow new joins
+ *   /rename <name>        rename the server
+ *   /end                  end the current round now
+ *   /bot add [difficulty]       add a bot (easy, normal or hard)
+ *   /bot remove [name]          remove a bot, the newest by default
+ *   /bot fill <n> [difficulty]  keep adding bots until n tanks are in (0 stops)
+ */
+
+const CHAT_TEXT_MAX = 200;
+const RATE_BURST = 5; // messages that can be sent back to back
+const RATE_REFILL = 1; // messages regained per second
+const DEFAULT_MUTE_MINUTES = 5;
+const MAX_MUTE_MINUTES = 60;
+
+const COMMANDS = {
+  help: { usage: "/help", description: "List chat commands" },
+  w: { usage: "/w <player> <message>", description: "Whisper to one player", aliases: ["whisper", "msg"] },
+  team: { usage: "/team <message>", description: "Message your team", aliases: ["t"] },
+  me: { usage: "/me <action>", description: "Describe what you're doing" },
+  mute: { usage: "/mute <player> [minutes]", description: "Silence a player", hostOnly: true },
+  unmute: { usage: "/unmute <player>", description: "Let a muted player talk again", hostOnly: true },
+  kick: { usage: "/kick <player>", description: "Remove a player", hostOnly: true },
+  ban: { usage: "/ban <player>", description: "Remove a player for the rest of the game", hostOnly: true },
+  host: { usage: "/host <player>", description: "Make another player the host", hostOnly: true },
+  lock: { usage: "/lock", description: "Stop new players from joining", hostOnly: true },
+  unlock: { usage: "/unlock", description: "Let new players join again", hostOnly: true },
+  rename: { usage: "/rename <name>", description: "Rename the server", hostOnly: true },
+  end: { usage: "/end", description: "End the current round now", hostOnly: true },
+  bot: { usage: "/bot add [difficulty] | remove [name] | fill <tanks> [difficulty]", description: "Add, remove or auto-fill bots", hostOnly: true },
+};
+
+const ALIASES = {};
+for (const name in COMMANDS) {
+  ALIASES[name] = name;
+  for (const alias of COMMANDS[name].aliases || []) ALIASES[alias] = name;
+}
+
+/**
+ * Split a chat line into a command and its arguments
+ * @param {string} text - Sanitized chat text
+ * @returns {{name: string|null, args: string}|null} null for ordinary messages;
+ *   name is null for an unknown command
+ */
+function parseCommand(text) {
+  const match = /^\/(\S+)\s*(.*)$/.exec(text);
+  if (!match) return null;
+  const key = match[1].toLowerCase();
+  return { name: Object.hasOwn(ALIASES, key) ? ALIASES[key] : null, args: match[2] };
+}
+
+/**
+ * Lines for /help
+ * @param {boolean} isHost - Whether to include host-only commands
+ * @returns {string[]}
+ */
+function helpLines(isHost) {
+  return Object.values(COMMANDS)
+    .filter((command) => isHost || !command.hostOnly)
+    .map((command) => `${command.usage} - ${command.description}`);
+}
+
+/**
+ * Reply for a command used without the arguments it needs
+ * @param {string} name - Canonical command name
+ */
+function usage(name) {
+  return `Usage: ${COMMANDS[name].usage}`;
+}
+
+/**
+ * Find the player a command argument starts with. Names may contain spaces,
+ * so the longest name that matches a whole-word prefix wins.
+ * @param {Object} players - game.players
+ * @param {string} args - e.g. "Big Tank hello there"
+ * @returns {{player: Object, rest: string}|null} rest is what follows the name
+ */
+function findPlayer(players, args) {
+  const lower = args.toLowerCase();
+  let found = null;
+  for (const id in players) {
+    const name = (players[id].name || "").toLowerCase();
+    if (!name || !lower.startsWith(name)) continue;
+    const next = lower.charAt(name.length);
+    if (next && next !== " ") continue;
+    if (!found || name.length > found.player.name.length) {
+      found = { player: players[id], rest: args.slice(name.length).trim() };
+    }
+  }
+  return found;
+}
+
+/**
+ * Mute length from a /mute argument
+ * @returns {number} Milliseconds
+ */
+function muteDuration(minutesArg) {
+  const minutes = Number(minutesArg);
+  const clamped = Number.isFinite(minutes) && minutes > 0 ? Math.min(minutes, MAX_MUTE_MINUTES) : DEFAULT_MUTE_MINUTES;
+  return clamped * 60 * 1000;
+}
+
+/**
+ * Fresh per-connection rate limit state (a token bucket)
+ */
+function createLimiter() {
+  return { tokens: RATE_BURST, updatedAt: 0 };
+}
+
+/**
+ * Spend one message from the bucket
+ * @param {Object} limiter - From createLimiter()
+ * @param {number} time - Current time in ms
+ * @returns {boolean} false when the sender is over the limit
+ */
+function allowMessage(limiter, time) {
+  const elapsed = Math.max(0, time - limiter.updatedAt) / 1000;
+  limiter.tokens = Math.min(RATE_BURST, limiter.tokens + elapsed * RATE_REFILL);
+  limiter.updatedAt = time;
+  if (limiter.tokens < 1) return false;
+  limiter.tokens -= 1;
+  return true;
+}
+
+module.exports = {
+  CHAT_TEXT_MAX,
+  parseCommand,
+  helpLines,
+  usage,
+  findPlayer,
+  muteDuration,
+  createLimiter,
+  allowMessage,
+};
@@ -0,0 +1,278 @@
+/**
+ * Tank classes.
+ *
+ * A player picks a class with `join` or `host` (tankClass) and may pick
+ * another at any time; the new class takes effect when the tank next spawns.
+ * A class sets the tank's bullet hit radius, HP, top speed and acceleration
+ * (both relative to shared/physics.js), and replaces the cannon's fire rate
+ * and bullet properties (see game/weapons.js).
+ *
+ * Each class has one active ability on a cooldown:
+ *
+ *   use(ctx, player)  ctx is the simulation's { game, time, events }; returns
+ *                     false when the ability can't be used right now, which
+ *                     leaves the cooldown untouched
+ *
+ * Abilities that last a while are power-up effects (see game/powerups.js),
+ * so they show up, expire and can be stripped by an EMP like any other.
+ */
+const maps = require("./maps");
+const powerups = require("./powerups");
+const { WEAPONS } = require("./weapons");
+
+const DASH_DISTANCE = 150; // px
+const DASH_STEP = 5; // px between free-space checks along a dash
+const BARRIER = {
+  distance: 45, // px from the tank to the wall's center, along the turret
+  halfLength: 50,
+  halfWidth: 5,
+  lifetime: 6000,
+};
+
+const ABILITIES = {
+  // A burst of rapid fire
+  overdrive: {
+    name: "Overdrive",
+    cooldown: 15000,
+    use(ctx, player) {
+      powerups.addEffect(ctx, player, "rapidFire");
+    },
+  },
+
+  // Jump forward along the direction of travel (or the hull), stopping short of walls
+  dash: {
+    name: "Dash",
+    cooldown: 6000,
+    use(ctx, player) {
+      const moving = Math.hypot(player.vx, player.vy) > 1;
+      const angle = moving ? Math.atan2(player.vy, player.vx) : player.rotation;
+      let travelled = 0;
+      while (travelled + DASH_STEP <= DASH_DISTANCE) {
+        const x = player.x + Math.cos(angle) * (travelled + DASH_STEP);
+        const y = player.y + Math.sin(angle) * (travelled + DASH_STEP);
+        if (!maps.isOpen(ctx.game, x, y)) break;
+        travelled += DASH_STEP;
+      }
+      if (!travelled) return false;
+
+      const from = { x: player.x, y: player.y };
+      player.x += Math.cos(angle) * travelled;
+      player.y += Math.sin(angle) * travelled;
+      ctx.events.push({
+        type: "ability",
+        data: { player: player.id, ability: "dash", x: player.x, y: player.y, fromX: from.x, fromY: from.y },
+      });
+    },
+  },
+
+  // A short wall across the turret's line that stops enemy bullets and beams; tanks drive through it
+  shieldWall: {
+    name: "Shield Wall",
+    cooldown: 14000,
+    use(ctx, player) {
+      const barrier = {
+        id: ++ctx.game.nextEntityId,
+        owner: player.id,
+        team: player.team || null,
+        color: player.color,
+        x: player.x + Math.cos(player.turretRotation) * BARRIER.distance,
+        y: player.y + Math.sin(player.turretRotation) * BARRIER.distance,
+        angle: player.turretRotation + Math.PI / 2, // along the wall
+        halfLength: BARRIER.halfLength,
+        halfWidth: BARRIER.halfWidth,
+        expiresAt: ctx.time + BARRIER.lifetime,
+      };
+      ctx.game.barriers.push(barrier);
+      ctx.events.push({ type: "ability", data: { player: player.id, ability: "shieldWall", x: barrier.x, y: barrier.y } });
+    },
+  },
+
+  cloak: {
+    name: "Cloak",
+    cooldown: 18000,
+    use(ctx, player) {
+      powerups.addEffect(ctx, player, "cloak");
+    },
+  },
+
+  // Heals the tank and teammates around it for a while
+  repairAura: {
+    name: "Repair Aura",
+    cooldown: 16000,
+    use(ctx, player) {
+      powerups.addEffect(ctx, player, "repairAura");
+      ctx.events.push({ type: "ability", data: { player: player.id, ability: "repairAura", x: player.x, y: player.y } });
+    },
+  },
+};
+
+const CLASSES = {
+  assault: {
+    name: "Assault",
+    description: "All-rounder.",
+    hitRadius: 25,
+    hp: 100,
+    speed: 1,
+    acceleration: 1,
+    cannon: WEAPONS.cannon,
+    ability: "overdrive",
+  },
+
+  scout: {
+    name: "Scout",
+    description: "Fast and small, but fragile.",
+    hitRadius: 21,
+    hp: 70,
+    speed: 1.35,
+    acceleration: 1.5,
+    cannon: { ...WEAPONS.cannon, cooldown: 1100, speed: 360, damage: 15 },
+    ability: "dash",
+  },
+
+  heavy: {
+    name: "Heavy",
+    description: "Slow and big, takes a beating and hits hard.",
+    hitRadius: 30,
+    hp: 160,
+    speed: 0.75,
+    acceleration: 0.7,
+    cannon: { ...WEAPONS.cannon, cooldown: 1900, speed: 260, damage: 32 },
+    ability: "shieldWall",
+  },
+
+  sniper: {
+    name: "Sniper",
+    description: "Fast, hard-hitting shots that bounce only once.",
+    hitRadius: 24,
+    hp: 80,
+    speed: 0.9,
+    acceleration: 1,
+    cannon: { ...WEAPONS.cannon, cooldown: 2200, speed: 520, damage: 40, bounces: 1 },
+    ability: "cloak",
+  },
+
+  support: {
+    name: "Support",
+    description: "Keeps itself and its team in the fight.",
+    hitRadius: 26,
+    hp: 110,
+    speed: 0.95,
+    acceleration: 1,
+    cannon: { ...WEAPONS.cannon, damage: 16 },
+    ability: "repairAura",
+  },
+};
+
+const DEFAULT_CLASS = "assault";
+
+/**
+ * @param {*} id - Untrusted class id
+ * @returns {string|null} The id, or null when there is no such class
+ */
+function findClass(id) {
+  const key = String(id || "").toLowerCase();
+  return Object.hasOwn(CLASSES, key) ? key : null;
+}
+
+/**
+ * Class id from a join or host request; anything unknown is the default
+ */
+function normalizeClass(id) {
+  return findClass(id) || DEFAULT_CLASS;
+}
+
+/**
+ * Give a player a class's stats (HP is refilled by the next respawn)
+ * @param {Object} player
+ * @param {string} id - Class id
+ * @param {number} [time] - When switching mid-game: the wait left on the old
+ *   ability carries over, capped at the new ability's full cooldown, so a
+ *   class change never hands out a fresh ability
+ */
+function applyClass(player, id, time) {
+  const tankClass = CLASSES[id];
+  player.tankClass = id;
+  player.maxHp = tankClass.hp;
+  player.hitRadius = tankClass.hitRadius;
+  if (time !== undefined) {
+    const cooldown = ABILITIES[tankClass.ability].cooldown;
+    player.abilityReadyAt = Math.min(player.abilityReadyAt, time + cooldown);
+  }
+}
+
+function classOf(player) {
+  return CLASSES[player.tankClass] || CLASSES[DEFAULT_CLASS];
+}
+
+/**
+ * A weapon as this tank fires it: the cannon is the class's own
+ * @param {Object} player
+ * @param {string} id - Key of weapons.WEAPONS
+ */
+function weaponFor(player, id) {
+  return id === "cannon" ? classOf(player).cannon : WEAPONS[id];
+}
+
+/**
+ * Use a tank's ability if it is off cooldown
+ * @param {Object} ctx - { game, time, events }
+ * @param {Object} player
+ * @returns {boolean} Whether the ability was used
+ */
+function useAbility(ctx, player) {
+  const ability = ABILITIES[classOf(player).ability];
+  if (ctx.time < player.abilityReadyAt) return false;
+  if (ability.use(ctx, player) === false) return false;
+  player.abilityReadyAt = ctx.time + ability.cooldown;
+  return true;
+}
+
+/**
+ * The largest bullet hit radius of any class, for broad-phase queries
+ */
+function maxHitRadius() {
+  return Math.max(...Object.values(CLASSES).map((tankClass) => tankClass.hitRadius));
+}
+
+/**
+ * The largest top speed factor of any class
+ */
+function maxSpeedMultiplier() {
+  return Math.max(...Object.values(CLASSES).map((tankClass) => tankClass.speed));
+}
+
+/**
+ * Classes for the class picker and client-side prediction
+ */
+function listClasses() {
+  return Object.keys(CLASSES).map((id) => {
+    const tankClass = CLASSES[id];
+    const ability = ABILITIES[tankClass.ability];
+    const { cooldown, speed, damage, bounces } = tankClass.cannon;
+    return {
+      id,
+      name: tankClass.name,
+      description: tankClass.description,
+      hitRadius: tankClass.hitRadius,
+      hp: tankClass.hp,
+      speed: tankClass.speed,
+      acceleration: tankClass.acceleration,
+      cannon: { cooldown, speed, damage, bounces },
+      ability: { id: tankClass.ability, name: ability.name, cooldown: ability.cooldown },
+    };
+  });
+}
+
+module.exports = {
+  CLASSES,
+  DEFAULT_CLASS,
+  findClass,
+  normalizeClass,
+  applyClass,
+  classOf,
+  weaponFor,
+  useAbility,
+  maxHitRadius,
+  maxSpeedMultiplier,
+  listClasses,
+};
@@ -0,0 +1,119 @@
+/**
+ * Uniform spatial grid used as the broad phase for collision checks.
+ *
+ * Items are bucketed by the cells their bounding box touches; a query returns
+ * every item whose box overlaps the queried area (callers still do the exact
+ * test). Dynamic grids are cleared and refilled every tick, static ones (map
+ * walls) are built once per game.
+ */
+
+/**
+ * @param {number} cellSize - Cell edge in pixels; roughly the size of a typical query
+ */
+function createGrid(cellSize) {
+  const cells = new Map(); // cell key -> items
+
+  function cellIndex(value) {
+    return Math.floor(value / cellSize);
+  }
+
+  function key(col, row) {
+    // Arenas are at most a few thousand pixels, far below the 2^16 cells this allows
+    return (row + 0x8000) * 0x10000 + (col + 0x8000);
+  }
+
+  /**
+   * Add an item covering the box [minX, maxX] × [minY, maxY]
+   */
+  function insertBox(item, minX, minY, maxX, maxY) {
+    const lastCol = cellIndex(maxX);
+    const lastRow = cellIndex(maxY);
+    for (let row = cellIndex(minY); row <= lastRow; row++) {
+      for (let col = cellIndex(minX); col <= lastCol; col++) {
+        const k = key(col, row);
+        const bucket = cells.get(k);
+        if (bucket) bucket.push(item);
+        else cells.set(k, [item]);
+      }
+    }
+  }
+
+  /**
+   * Add an item occupying a circle (radius 0 for a point)
+   */
+  function insert(item, x, y, radius = 0) {
+    insertBox(item, x - radius, y - radius, x + radius, y + radius);
+  }
+
+  /**
+   * Add a map shape: rectangle { x, y, w, h } or circle { x, y, r }
+   */
+  function insertShape(shape) {
+    if (typeof shape.r === "number") insert(shape, shape.x, shape.y, shape.r);
+    else insertBox(shape, shape.x, shape.y, shape.x + shape.w, shape.y + shape.h);
+  }
+
+  /**
+   * Items whose boxes overlap the box [minX, maxX] × [minY, maxY], each once
+   * @returns {Object[]}
+   */
+  function queryBox(minX, minY, maxX, maxY) {
+    const found = [];
+    const lastCol = cellIndex(maxX);
+    const lastRow = cellIndex(maxY);
+    // Items spanning several cells sit in each of their buckets; only then is dedupe needed
+    const spansCells = lastCol !== cellIndex(minX) || lastRow !== cellIndex(minY);
+    const seen = spansCells ? new Set() : null;
+
+    for (let row = cellIndex(minY); row <= lastRow; row++) {
+      for (let col = cellIndex(minX); col <= lastCol; col++) {
+        const bucket = cells.get(key(col, row));
+        if (!bucket) continue;
+        for (const item of bucket) {
+          if (seen) {
+            if (seen.has(item)) continue;
+            seen.add(item);
+          }
+          found.push(item);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Items near a circle
+   */
+  function query(x, y, radius = 0) {
+    return queryBox(x - radius, y - radius, x + radius, y + radius);
+  }
+
+  function clear() {
+    cells.clear();
+  }
+
+  return {
+    insert,
+    insertBox,
+    insertShape,
+    query,
+    queryBox,
+    clear,
+  };
+}
+
+/**
+ * Static grid of a map's walls and obstacles
+ * @param {Object[]} solids - Map shapes
+ * @param {number} [cellSize=100]
+ */
+function createShapeGrid(solids, cellSize = 100) {
+  const grid = createGrid(cellSize);
+  for (const shape of solids) grid.insertShape(shape);
+  return grid;
+}
+
+module.exports = {
+  createGrid,
+  createShapeGrid,
+};
@@ -0,0 +1,294 @@
+/**
+ * Arena layouts.
+ *
+ * Built-in maps are JSON files in /maps. Every map, built-in or not, goes
+ * through normalizeMap() so the simulation can trust its shape:
+ *
+ *   {
+ *     id, name, width, height,
+ *     walls:       [{ x, y, w, h } | { x, y, r }],  solid barriers
+ *     obstacles:   [{ x, y, w, h } | { x, y, r }],  solid cover (drawn differently)
+ *     spawns:      [{ x, y }],                      tank spawn points
+ *     powerUpPads: [{ x, y }],                      where power-ups appear
+ *     flags:       [{ x, y }, { x, y }],            optional red/blue flag bases (ctf)
+ *     hill:        { x, y, r }                      optional hill zone (koth)
+ *   }
+ *
+ * Empty spawns/powerUpPads fall back to random free positions; missing flags
+ * and hill get defaults from game/modes.js.
+ *
+ * Maps published from the editor are saved to CUSTOM_MAPS_DIR and loaded
+ * alongside the built-ins; they can't replace a built-in id. Publishing a new
+ * map issues an edit key, and only a request carrying that key may publish
+ * over it again. The file keeps a hash of the key, never the key itself.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const physics = require("../shared/physics");
+
+const MAPS_DIR = path.join(__dirname, "..", "maps");
+const CUSTOM_MAPS_DIR = process.env.CUSTOM_MAPS_DIR || path.join(MAPS_DIR, "custom");
+const MAX_CUSTOM_MAPS = 100;
+const DEFAULT_MAP_ID = "green";
+const MIN_MAP_SIZE = 400;
+const MAX_MAP_SIZE = 4000;
+const MAX_SHAPES = 200;
+const MAX_POINTS = 64;
+const MAP_NAME_MAX = 32;
+const MAP_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const POINT_LABELS = { spawn: "Spawn", powerUpPad: "Power-up pad", flag: "Flag" };
+
+let maps = new Map();
+let builtInIds = new Set();
+let editKeyHashes = new Map(); // custom map id -> hash of its edit key
+
+function hashEditKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function normalizeShape(shape, map, label) {
+  if (!shape || typeof shape !== "object") {
+    throw new Error(`${label} must be an object`);
+  }
+  const { x, y } = shape;
+  if (!isFiniteNumber(x) || !isFiniteNumber(y)) {
+    throw new Error(`${label} needs numeric x and y`);
+  }
+
+  if (shape.r !== undefined) {
+    if (!isFiniteNumber(shape.r) || shape.r <= 0) {
+      throw new Error(`${label} has an invalid radius`);
+    }
+    if (x - shape.r < 0 || y - shape.r < 0 || x + shape.r > map.width || y + shape.r > map.height) {
+      throw new Error(`${label} is outside the map`);
+    }
+    return { x, y, r: shape.r };
+  }
+
+  const { w, h } = shape;
+  if (!isFiniteNumber(w) || !isFiniteNumber(h) || w <= 0 || h <= 0) {
+    throw new Error(`${label} needs a positive w and h (or r for a circle)`);
+  }
+  if (x < 0 || y < 0 || x + w > map.width || y + h > map.height) {
+    throw new Error(`${label} is outside the map`);
+  }
+  return { x, y, w, h };
+}
+
+function normalizePoint(point, map, solids, label) {
+  if (!point || !isFiniteNumber(point.x) || !isFiniteNumber(point.y)) {
+    throw new Error(`${label} needs numeric x and y`);
+  }
+  const r = physics.TANK_RADIUS;
+  if (point.x < r || point.y < r || point.x > map.width - r || point.y > map.height - r) {
+    throw new Error(`${label} is too close to the map edge`);
+  }
+  if (solids.some((shape) => physics.shapeContains(shape, point.x, point.y, r))) {
+    throw new Error(`${label} overlaps a wall or obstacle`);
+  }
+  return { x: point.x, y: point.y };
+}
+
+function normalizeList(list, max, label) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`${label} must be an array`);
+  if (list.length > max) throw new Error(`Too many ${label} (max ${max})`);
+  return list;
+}
+
+/**
+ * Validate a map definition and return a clean copy
+ * @param {Object} data - Parsed map JSON
+ * @returns {Object} Normalized map
+ * @throws {Error} With a human-readable reason when the map is invalid
+ */
+function normalizeMap(data) {
+  if (!data || typeof data !== "object") throw new Error("Map must be an object");
+
+  const id = String(data.id || "").toLowerCase();
+  if (!MAP_ID_PATTERN.test(id)) {
+    throw new Error("Map id must be 1-32 characters of a-z, 0-9, _ or -");
+  }
+
+  const name = String(data.name || id).trim().slice(0, MAP_NAME_MAX) || id;
+  const width = Math.round(data.width);
+  const height = Math.round(data.height);
+  for (const [label, size] of [["width", width], ["height", height]]) {
+    if (!isFiniteNumber(size) || size < MIN_MAP_SIZE || size > MAX_MAP_SIZE) {
+      throw new Error(`Map ${label} must be between ${MIN_MAP_SIZE} and ${MAX_MAP_SIZE}`);
+    }
+  }
+
+  const map = { id, name, width, height };
+  map.walls = normalizeList(data.walls, MAX_SHAPES, "walls").map((s, i) =>
+    normalizeShape(s, map, `Wall ${i + 1}`)
+  );
+  map.obstacles = normalizeList(data.obstacles, MAX_SHAPES, "obstacles").map((s, i) =>
+    normalizeShape(s, map, `Obstacle ${i + 1}`)
+  );
+
+  const solids = solidsOf(map);
+  map.spawns = normalizeList(data.spawns, MAX_POINTS, "spawns").map((p, i) =>
+    normalizePoint(p, map, solids, `Spawn ${i + 1}`)
+  );
+  map.powerUpPads = normalizeList(data.powerUpPads, MAX_POINTS, "powerUpPads").map((p, i) =>
+    normalizePoint(p, map, solids, `Power-up pad ${i + 1}`)
+  );
+
+  if (data.flags !== undefined) {
+    const flags = normalizeList(data.flags, 2, "flags");
+    if (flags.length !== 2) throw new Error("flags needs exactly two points (red, then blue)");
+    map.flags = flags.map((p, i) => normalizePoint(p, map, solids, `Flag ${i + 1}`));
+  }
+  if (data.hill !== undefined) {
+    map.hill = normalizeShape(data.hill, map, "Hill");
+    if (map.hill.r === undefined) throw new Error("Hill must be a circle { x, y, r }");
+  }
+
+  const unreachable = physics.findUnreachable(map);
+  if (unreachable.length) {
+    const first = unreachable[0];
+    throw new Error(`${POINT_LABELS[first.kind]} ${first.index + 1} can't be reached by tanks`);
+  }
+
+  return map;
+}
+
+/**
+ * Everything tanks and bullets collide with
+ * @param {Object} map - Normalized map
+ */
+function solidsOf(map) {
+  return [...map.walls, ...map.obstacles];
+}
+
+/**
+ * Whether a tank could stand at a point in a running game: inside the arena
+ * and clear of walls and obstacles
+ */
+function isOpen(game, x, y) {
+  const r = physics.TANK_RADIUS;
+  if (x < r || y < r || x > game.mapWidth - r || y > game.mapHeight - r) return false;
+  return !game.solidGrid.query(x, y, r).some((shape) => physics.shapeContains(shape, x, y, r));
+}
+
+function readMapDir(dir, into, keys) {
+  if (!fs.existsSync(dir)) return;
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      const map = normalizeMap(data);
+      if (into.has(map.id)) continue;
+      into.set(map.id, map);
+      if (keys && typeof data.editKeyHash === "string") keys.set(map.id, data.editKeyHash);
+    } catch (err) {
+      console.warn(`Skipping map ${file}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Load the built-in maps, then any published custom maps, into the registry
+ * Invalid files are skipped with a warning so one bad map can't stop the server
+ * @param {string} [dir=MAPS_DIR]
+ * @param {string} [customDir=CUSTOM_MAPS_DIR]
+ */
+function loadMaps(dir = MAPS_DIR, customDir = CUSTOM_MAPS_DIR) {
+  const loaded = new Map();
+  readMapDir(dir, loaded);
+  builtInIds = new Set(loaded.keys());
+  editKeyHashes = new Map();
+  readMapDir(customDir, loaded, editKeyHashes);
+  maps = loaded;
+  return maps;
+}
+
+/**
+ * Validate a map from the editor, save it to CUSTOM_MAPS_DIR and make it
+ * available for hosting. Publishing over an existing custom id needs the
+ * edit key issued when it was first published.
+ * @param {Object} data - Map JSON
+ * @param {*} [editKey] - Untrusted key from the request, for replacing a map
+ * @returns {{map: Object, editKey: string|null}} The normalized map, and its
+ *   edit key when the map is new
+ * @throws {Error} When the map is invalid, taken or can't be stored
+ */
+function saveCustomMap(data, editKey) {
+  const map = normalizeMap(data);
+  if (builtInIds.has(map.id)) {
+    throw new Error(`"${map.id}" is a built-in map, pick another id`);
+  }
+  let issued = null;
+  if (maps.has(map.id)) {
+    const hash = editKeyHashes.get(map.id);
+    if (!hash || typeof editKey !== "string" || hashEditKey(editKey) !== hash) {
+      throw new Error(`"${map.id}" is taken, pick another id`);
+    }
+  } else {
+    if (maps.size - builtInIds.size >= MAX_CUSTOM_MAPS) {
+      throw new Error(`Custom map limit reached (${MAX_CUSTOM_MAPS})`);
+    }
+    issued = crypto.randomBytes(18).toString("base64url");
+  }
+  const editKeyHash = issued ? hashEditKey(issued) : editKeyHashes.get(map.id);
+
+  fs.mkdirSync(CUSTOM_MAPS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(CUSTOM_MAPS_DIR, `${map.id}.json`), JSON.stringify({ ...map, editKeyHash }, null, 2));
+  maps.set(map.id, map);
+  editKeyHashes.set(map.id, editKeyHash);
+  return { map, editKey: issued };
+}
+
+/**
+ * Look up a map by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function findMap(id) {
+  return maps.get(String(id || "").toLowerCase()) || null;
+}
+
+/**
+ * Look up a map, falling back to the default arena for unknown ids
+ * @param {string} id
+ */
+function getMap(id) {
+  return findMap(id) || maps.get(DEFAULT_MAP_ID);
+}
+
+/**
+ * Summaries for the host screen
+ */
+function listMaps() {
+  return [...maps.values()]
+    .map((map) => ({
+      id: map.id,
+      name: map.name,
+      width: map.width,
+      height: map.height,
+      custom: !builtInIds.has(map.id),
+    }))
+    .sort((a, b) => {
+      if (a.id === DEFAULT_MAP_ID) return -1;
+      if (b.id === DEFAULT_MAP_ID) return 1;
+      return a.name.localeCompare(b.name);
+    });
+}
+
+module.exports = {
+  DEFAULT_MAP_ID,
+  normalizeMap,
+  solidsOf,
+  isOpen,
+  loadMaps,
+  saveCustomMap,
+  findMap,
+  getMap,
+  listMaps,
+};
@@ -0,0 +1,212 @@
+/**
+ * Match lifecycle: warmup -> countdown -> live -> post -> countdown -> ...
+ *
+ *   warmup     free play until MIN_PLAYERS are in; nothing counts
+ *   countdown  the round has been reset and tanks are frozen until it ends
+ *   live       play until the time limit or the score limit is reached
+ *   post       tanks are frozen while everyone reads the results
+ *
+ * Driven from simulation.step() with the simulation's clock, so phase changes
+ * are as reproducible as the rest of a match. Every change is reported as a
+ * `match` event carrying the public view from describeMatch().
+ */
+const modes = require("./modes");
+const stats = require("./stats");
+
+const PHASES = {
+  WARMUP: "warmup",
+  COUNTDOWN: "countdown",
+  LIVE: "live",
+  POST: "post",
+};
+
+const MIN_PLAYERS = 2;
+const COUNTDOWN_TIME = 5000; // 5 seconds frozen before a round starts
+const POST_MATCH_TIME = 10000; // 10 seconds on the results screen
+const DEFAULT_TIME_LIMIT = 5 * 60 * 1000; // 5 minutes
+const MAX_TIME_LIMIT = 60 * 60 * 1000;
+const MAX_SCORE_LIMIT = 999;
+
+/**
+ * Match settings chosen by the host, clamped to sane values
+ * @param {Object} [options]
+ * @param {number} [options.timeLimit] - Minutes; 0 for no time limit
+ * @param {number} [options.scoreLimit] - Points (kills, captures, hill seconds); 0 for the mode's default
+ * @param {string} modeId - Used for the default score limit
+ * @returns {{timeLimit: number, scoreLimit: number}} timeLimit in ms (0 = none)
+ */
+function matchSettings(options, modeId) {
+  const minutes = Number(options && options.timeLimit);
+  const score = Math.floor(Number(options && options.scoreLimit));
+
+  return {
+    timeLimit:
+      Number.isFinite(minutes) && minutes >= 0
+        ? Math.min(MAX_TIME_LIMIT, Math.round(minutes * 60 * 1000))
+        : DEFAULT_TIME_LIMIT,
+    scoreLimit:
+      Number.isFinite(score) && score > 0
+        ? Math.min(MAX_SCORE_LIMIT, score)
+        : modes.getMode(modeId).scoreLimit,
+  };
+}
+
+/**
+ * Match-owned part of a fresh game state
+ * @param {Object} [options] - See matchSettings
+ * @param {string} modeId
+ */
+function createMatchState(options, modeId) {
+  return {
+    ...matchSettings(options, modeId),
+    phase: PHASES.WARMUP,
+    phaseEndsAt: null, // server time the current phase ends, null when open-ended
+    round: 1,
+    results: null,
+  };
+}
+
+/**
+ * Whether tanks are held in place (no movement, shooting or objectives)
+ */
+function isFrozen(match) {
+  return match.phase === PHASES.COUNTDOWN || match.phase === PHASES.POST;
+}
+
+/**
+ * Final standings: teams by score in team modes, players by score otherwise.
+ * A tie at the top is a draw (winner null). Players carry their combat stats
+ * for the stat sheet.
+ */
+function standings(game) {
+  const players = Object.values(game.players)
+    .map((p) => ({
+      id: p.id,
+      name: p.name,
+      team: p.team || null,
+      score: game.scores[p.id] || 0,
+      stats: stats.describeStats(game.stats[p.id]),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const teams = Object.keys(game.teams)
+    .map((id) => ({ id, name: game.teams[id].name, score: game.teams[id].score }))
+    .sort((a, b) => b.score - a.score);
+
+  const ranked = teams.length ? teams : players;
+  const top = ranked[0];
+  const tied = top && ranked[1] && ranked[1].score === top.score;
+  return {
+    winner: top && !tied ? top.id : null,
+    teams,
+    players,
+  };
+}
+
+function leadingScore(game) {
+  const scores = Object.keys(game.teams).length
+    ? Object.values(game.teams).map((team) => team.score)
+    : Object.values(game.scores);
+  return scores.length ? Math.max(...scores) : 0;
+}
+
+/**
+ * Public view of the match for clients
+ */
+function describeMatch(match) {
+  return {
+    phase: match.phase,
+    endsAt: match.phaseEndsAt,
+    round: match.round,
+    timeLimit: match.timeLimit,
+    scoreLimit: match.scoreLimit,
+    results: match.results,
+  };
+}
+
+function enter(match, phase, endsAt, events) {
+  match.phase = phase;
+  match.phaseEndsAt = endsAt;
+  events.push({ type: "match", data: describeMatch(match) });
+}
+
+function finishRound(game, time, events) {
+  game.match.results = standings(game);
+  enter(game.match, PHASES.POST, time + POST_MATCH_TIME, events);
+}
+
+/**
+ * End a live round early (host command); the scores so far decide it
+ * @param {Object} game - Game state
+ * @param {number} time - Current time in ms
+ * @param {Object[]} events - Event list to append to
+ * @returns {boolean} false when no round is being played
+ */
+function endRound(game, time, events) {
+  if (game.match.phase !== PHASES.LIVE) return false;
+  finishRound(game, time, events);
+  return true;
+}
+
+/**
+ * Advance the match state machine
+ * @param {Object} game - Game state
+ * @param {number} time - Current time in ms
+ * @param {function(Object): void} resetRound - Clears scores and respawns everyone
+ * @param {Object[]} events - Event list to append to
+ */
+function updateMatch(game, time, resetRound, events) {
+  const match = game.match;
+  const enoughPlayers = Object.keys(game.players).length >= MIN_PLAYERS;
+
+  switch (match.phase) {
+    case PHASES.WARMUP:
+      if (enoughPlayers) {
+        resetRound(game);
+        enter(match, PHASES.COUNTDOWN, time + COUNTDOWN_TIME, events);
+      }
+      break;
+
+    case PHASES.COUNTDOWN:
+      if (!enoughPlayers) {
+        enter(match, PHASES.WARMUP, null, events);
+      } else if (time >= match.phaseEndsAt) {
+        enter(match, PHASES.LIVE, match.timeLimit ? time + match.timeLimit : null, events);
+      }
+      break;
+
+    case PHASES.LIVE:
+      if (!enoughPlayers) {
+        // Everyone else left: abandon the round rather than hand out a win
+        enter(match, PHASES.WARMUP, null, events);
+      } else if (
+        leadingScore(game) >= match.scoreLimit ||
+        (match.phaseEndsAt !== null && time >= match.phaseEndsAt)
+      ) {
+        finishRound(game, time, events);
+      }
+      break;
+
+    case PHASES.POST:
+      if (time >= match.phaseEndsAt) {
+        match.round++;
+        match.results = null;
+        resetRound(game);
+        if (enoughPlayers) {
+          enter(match, PHASES.COUNTDOWN, time + COUNTDOWN_TIME, events);
+        } else {
+          enter(match, PHASES.WARMUP, null, events);
+        }
+      }
+      break;
+  }
+}
+
+module.exports = {
+  PHASES,
+  createMatchState,
+  isFrozen,
+  describeMatch,
+  updateMatch,
+  endRound,
+};
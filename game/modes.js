@@ -0,0 +1,366 @@
+/**
+ * Game modes: the rules layered on top of the core simulation.
+ *
+ *   ffa   Free-for-all: every kill scores for the shooter
+ *   tdm   Team Deathmatch: two teams, kills score for the team, no friendly fire
+ *   ctf   Capture the Flag: bring the enemy flag to your own flag to score
+ *   koth  King of the Hill: a team scores for every second it alone holds the hill
+ *
+ * Like the simulation, nothing here reads the clock or Math.random(); the
+ * current time is passed in so matches stay reproducible. Per-player kills
+ * stay in game.scores in every mode; team totals live in game.teams and the
+ * flags/hill in game.objectives.
+ */
+const physics = require("../shared/physics");
+
+const DEFAULT_MODE_ID = "ffa";
+
+const TEAMS = {
+  red: { name: "Red", color: "#ff3355" },
+  blue: { name: "Blue", color: "#33aaff" },
+};
+const TEAM_IDS = Object.keys(TEAMS);
+
+// scoreLimit: default points to win (kills, team kills, captures, hill seconds)
+const MODES = {
+  ffa: { id: "ffa", name: "Free-for-All", teams: false, scoreLimit: 20 },
+  tdm: { id: "tdm", name: "Team Deathmatch", teams: true, scoreLimit: 50 },
+  ctf: { id: "ctf", name: "Capture the Flag", teams: true, scoreLimit: 3 },
+  koth: { id: "koth", name: "King of the Hill", teams: true, scoreLimit: 120 },
+};
+
+const FLAG_RADIUS = 30; // pickup / capture distance
+const FLAG_RETURN_TIME = 20000; // a dropped flag goes home after 20 seconds
+const FLAG_EDGE_OFFSET = 60; // default flag distance from the left/right edge
+const HILL_RADIUS = 90;
+const HILL_POINT_INTERVAL = 1000; // one point per second of sole control
+
+/**
+ * Look up a mode, falling back to free-for-all for unknown ids
+ * @param {string} id
+ */
+function getMode(id) {
+  const key = String(id || "").toLowerCase();
+  return Object.hasOwn(MODES, key) ? MODES[key] : MODES[DEFAULT_MODE_ID];
+}
+
+/**
+ * Summaries for the host screen
+ */
+function listModes() {
+  return Object.values(MODES).map(({ id, name, teams, scoreLimit }) => ({ id, name, teams, scoreLimit }));
+}
+
+function teamSide(map, team) {
+  return team === "red" ? (x) => x < map.width / 2 : (x) => x >= map.width / 2;
+}
+
+function flagHome(map, team, index) {
+  if (map.flags && map.flags[index]) return { ...map.flags[index] };
+
+  const fallback = {
+    x: team === "red" ? FLAG_EDGE_OFFSET : map.width - FLAG_EDGE_OFFSET,
+    y: map.height / 2,
+  };
+  const solids = [...map.walls, ...map.obstacles];
+  const clear = !solids.some((shape) =>
+    physics.shapeContains(shape, fallback.x, fallback.y, physics.TANK_RADIUS)
+  );
+  if (clear) return fallback;
+
+  // Blocked: use the team's spawn nearest the edge instead
+  const onSide = map.spawns.filter((s) => teamSide(map, team)(s.x));
+  if (!onSide.length) return fallback;
+  const spawn = onSide.reduce((best, s) =>
+    Math.abs(s.x - fallback.x) < Math.abs(best.x - fallback.x) ? s : best
+  );
+  return { x: spawn.x, y: spawn.y };
+}
+
+/**
+ * Put every flag back on its base and release the hill, for a new round
+ * @param {Object} game - Game state
+ */
+function resetObjectives(game) {
+  for (const id in game.objectives) {
+    const objective = game.objectives[id];
+    if (objective.kind === "flag") returnFlag(objective);
+    if (objective.kind === "hill") {
+      objective.holder = null;
+      objective.contested = false;
+      objective.heldFor = 0;
+    }
+  }
+  for (const id in game.teams) {
+    game.teams[id].score = 0;
+  }
+}
+
+/**
+ * Mode-owned part of a fresh game state
+ * @param {string} modeId
+ * @param {Object} map - Normalized map
+ * @returns {Object} { mode, teams, objectives }
+ */
+function createModeState(modeId, map) {
+  const mode = getMode(modeId);
+  const teams = {};
+  const objectives = {};
+
+  if (mode.teams) {
+    for (const id of TEAM_IDS) {
+      teams[id] = { name: TEAMS[id].name, color: TEAMS[id].color, score: 0 };
+    }
+  }
+
+  if (mode.id === "ctf") {
+    TEAM_IDS.forEach((team, index) => {
+      const home = flagHome(map, team, index);
+      objectives[`flag:${team}`] = {
+        kind: "flag",
+        team,
+        homeX: home.x,
+        homeY: home.y,
+        x: home.x,
+        y: home.y,
+        carrier: null,
+        droppedAt: null,
+      };
+    });
+  }
+
+  if (mode.id === "koth") {
+    const hill = map.hill || { x: map.width / 2, y: map.height / 2, r: HILL_RADIUS };
+    objectives.hill = {
+      kind: "hill",
+      x: hill.x,
+      y: hill.y,
+      r: hill.r,
+      holder: null,
+      contested: false,
+      heldFor: 0, // ms of control not yet turned into points
+    };
+  }
+
+  return { mode: mode.id, teams, objectives };
+}
+
+/**
+ * Put a new player on the smaller team (then the lower-scoring one, then red)
+ * and paint their tank in the team color. No-op in free-for-all.
+ * @param {Object} game - Game state
+ * @param {Object} player - Player record, already added to game.players
+ */
+function assignTeam(game, player) {
+  if (!getMode(game.mode).teams) return;
+
+  const counts = {};
+  for (const id of TEAM_IDS) counts[id] = 0;
+  for (const id in game.players) {
+    const other = game.players[id];
+    if (other !== player && counts[other.team] !== undefined) counts[other.team]++;
+  }
+
+  let team = TEAM_IDS[0];
+  for (const id of TEAM_IDS) {
+    if (
+      counts[id] < counts[team] ||
+      (counts[id] === counts[team] && game.teams[id].score < game.teams[team].score)
+    ) {
+      team = id;
+    }
+  }
+
+  player.team = team;
+  player.color = TEAMS[team].color;
+}
+
+/**
+ * Spawn points for a player: their team's half of the map in team modes
+ * @returns {{spawns: Object[], side: function(number): boolean}|null} null in free-for-all
+ */
+function spawnArea(game, player) {
+  if (!player || !player.team) return null;
+  const side = teamSide(game.map, player.team);
+  return { spawns: game.map.spawns.filter((s) => side(s.x)), side };
+}
+
+/**
+ * Whether a bullet from `shooterId` can hurt `target` (no friendly fire)
+ * @param {string|null} [team] - Team the shot was fired for, so shots still in
+ *   flight after their shooter left keep sparing that team; the shooter's
+ *   current team when omitted
+ */
+function canDamage(game, shooterId, target, team) {
+  if (team === undefined) {
+    const shooter = game.players[shooterId];
+    team = shooter ? shooter.team : null;
+  }
+  return !team || team !== target.team;
+}
+
+function dropFlag(game, player, time, events) {
+  for (const id in game.objectives) {
+    const flag = game.objectives[id];
+    if (flag.kind !== "flag" || flag.carrier !== player.id) continue;
+    flag.carrier = null;
+    flag.x = player.x;
+    flag.y = player.y;
+    flag.droppedAt = time;
+    events.push({ type: "objective", data: { action: "flagDropped", team: flag.team, player: player.id } });
+  }
+}
+
+function returnFlag(flag) {
+  flag.carrier = null;
+  flag.droppedAt = null;
+  flag.x = flag.homeX;
+  flag.y = flag.homeY;
+}
+
+/**
+ * A player was destroyed
+ * @param {Object} game - Game state
+ * @param {string} killerId - Owner of the bullet
+ * @param {Object} victim - The destroyed player
+ * @param {number} time - Current time in ms
+ * @param {Object[]} events - Event list to append to
+ */
+function onKill(game, killerId, victim, time, events) {
+  if (game.scores[killerId] !== undefined) {
+    game.scores[killerId]++;
+  }
+
+  const killer = game.players[killerId];
+  if (game.mode === "tdm" && killer && killer.team && killer.team !== victim.team) {
+    game.teams[killer.team].score++;
+  }
+
+  dropFlag(game, victim, time, events);
+}
+
+/**
+ * A player left the game; anything they carried is dropped where they were
+ */
+function onLeave(game, player, time, events) {
+  dropFlag(game, player, time, events);
+}
+
+/**
+ * Whether a tank can take flags and hold ground: alive, and not held for a
+ * player who lost connection
+ */
+function inPlay(player) {
+  return !player.dead && !player.held;
+}
+
+function near(player, x, y, radius) {
+  const dx = player.x - x;
+  const dy = player.y - y;
+  return dx * dx + dy * dy < radius * radius;
+}
+
+function updateFlags(game, time, events) {
+  const flags = Object.values(game.objectives).filter((o) => o.kind === "flag");
+
+  for (const flag of flags) {
+    if (flag.carrier) {
+      const carrier = game.players[flag.carrier];
+      if (carrier) {
+        flag.x = carrier.x;
+        flag.y = carrier.y;
+      }
+      continue;
+    }
+
+    const atHome = flag.droppedAt === null;
+    if (!atHome && time - flag.droppedAt >= FLAG_RETURN_TIME) {
+      returnFlag(flag);
+      events.push({ type: "objective", data: { action: "flagReturned", team: flag.team, player: null } });
+      continue;
+    }
+
+    for (const id in game.players) {
+      const player = game.players[id];
+      if (!inPlay(player) || !near(player, flag.x, flag.y, FLAG_RADIUS)) continue;
+
+      if (player.team !== flag.team) {
+        flag.carrier = id;
+        flag.droppedAt = null;
+        events.push({ type: "objective", data: { action: "flagTaken", team: flag.team, player: id } });
+        break;
+      }
+      if (!atHome) {
+        returnFlag(flag);
+        events.push({ type: "objective", data: { action: "flagReturned", team: flag.team, player: id } });
+        break;
+      }
+    }
+  }
+
+  // Captures: carrying the enemy flag to your own flag while it is home
+  for (const flag of flags) {
+    const carrier = flag.carrier && game.players[flag.carrier];
+    if (!carrier) continue;
+    const own = game.objectives[`flag:${carrier.team}`];
+    if (own && !own.carrier && own.droppedAt === null && near(carrier, own.x, own.y, FLAG_RADIUS)) {
+      game.teams[carrier.team].score++;
+      returnFlag(flag);
+      events.push({ type: "objective", data: { action: "flagCaptured", team: carrier.team, player: carrier.id } });
+    }
+  }
+}
+
+function updateHill(game, dt, events) {
+  const hill = game.objectives.hill;
+  const present = new Set();
+  for (const id in game.players) {
+    const player = game.players[id];
+    if (inPlay(player) && player.team && near(player, hill.x, hill.y, hill.r)) {
+      present.add(player.team);
+    }
+  }
+
+  const holder = present.size === 1 ? [...present][0] : null;
+  hill.contested = present.size > 1;
+  if (holder !== hill.holder) {
+    hill.holder = holder;
+    hill.heldFor = 0;
+    events.push({ type: "objective", data: { action: "hillControl", team: holder, player: null } });
+  }
+  if (!holder) return;
+
+  hill.heldFor += dt * 1000;
+  while (hill.heldFor >= HILL_POINT_INTERVAL) {
+    hill.heldFor -= HILL_POINT_INTERVAL;
+    game.teams[holder].score++;
+  }
+}
+
+/**
+ * Advance mode objectives by one tick
+ * @param {Object} game - Game state
+ * @param {number} dt - Tick length in seconds
+ * @param {number} time - Current time in ms
+ * @param {Object[]} events - Event list to append to
+ */
+function update(game, dt, time, events) {
+  if (game.mode === "ctf") updateFlags(game, time, events);
+  if (game.mode === "koth") updateHill(game, dt, events);
+}
+
+module.exports = {
+  DEFAULT_MODE_ID,
+  TEAMS,
+  MODES,
+  getMode,
+  listModes,
+  createModeState,
+  resetObjectives,
+  assignTeam,
+  spawnArea,
+  canDamage,
+  onKill,
+  onLeave,
+  update,
+};
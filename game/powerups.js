@@ -0,0 +1,379 @@
+/**
+ * Power-up registry.
+ *
+ * Every power-up is declared once in POWER_UPS; the simulation spawns them by
+ * weight and knows nothing about individual types. A pickup either acts at
+ * once (duration 0) or becomes an active effect in player.effects:
+ *
+ *   player.effects = { [type]: { type, expiresAt, stacks } }
+ *
+ * Picking up a type that is already active follows its stacking rule:
+ *
+ *   refresh  the timer starts over (default)
+ *   extend   the duration is added to what is left
+ *   stack    stacks grow up to maxStacks and the timer starts over
+ *
+ * A definition may declare, besides name, weight (spawn chance relative to the
+ * others; 0 never spawns), duration and stacking:
+ *
+ *   speedMultiplier                      scales the tank's top speed
+ *   apply(ctx, player, effect)           on pickup; effect is null for instant types
+ *   tick(ctx, player, effect, dt)        every tick while the tank is alive
+ *   modifyShot(ctx, player, effect, shot) before firing; shot is { weapon, shots,
+ *                                        spread, cooldown, bounces, homing, blocked }
+ *   fire(ctx, player, effect)            after the tank fired
+ *   modifyDamage(ctx, effect, hit)       returns the damage of a hit;
+ *                                        hit is { shooter, target, damage, incoming }
+ *   expire(ctx, player, effect)          when the effect ends or is stripped
+ *
+ * ctx is { game, time, events } from the simulation. Every weapon with
+ * limited ammo also gets an instant "<weapon>Ammo" type here, so weapon
+ * pickups spawn and are collected like any other power-up.
+ */
+const modes = require("./modes");
+const weapons = require("./weapons");
+
+const RAPID_FIRE_COOLDOWN = 400; // ms between shots with rapid fire
+const MINE_INTERVAL = 1000; // ms between mines while the mine layer is active
+const EMP_RADIUS = 250;
+const REPAIR = {
+  radius: 160, // px; teammates this close are healed too
+  rate: 10, // HP per second
+};
+const HOMING = {
+  turnRate: 2.5, // radians per second a homing bullet can turn
+  range: 300, // px; only tanks this close are chased
+  cone: Math.PI / 3, // radians either side of the flight direction
+};
+
+const POWER_UPS = {
+  speed: {
+    name: "Speed",
+    weight: 1,
+    duration: 5000,
+    speedMultiplier: 2,
+  },
+
+  rapidFire: {
+    name: "Rapid Fire",
+    weight: 1,
+    duration: 5000,
+    modifyShot(ctx, player, effect, shot) {
+      if (shot.weapon !== weapons.DEFAULT_WEAPON) return;
+      shot.shots = 3;
+      shot.spread = 0.12;
+      shot.cooldown = RAPID_FIRE_COOLDOWN;
+    },
+  },
+
+  shield: {
+    name: "Shield",
+    weight: 1,
+    duration: 5000,
+    modifyDamage(ctx, effect, hit) {
+      return hit.incoming ? 0 : hit.damage;
+    },
+  },
+
+  damageBoost: {
+    name: "Damage",
+    weight: 1,
+    duration: 10000,
+    stacking: "stack",
+    maxStacks: 2,
+    modifyDamage(ctx, effect, hit) {
+      return hit.incoming ? hit.damage : Math.floor(hit.damage * (1 + 0.5 * effect.stacks));
+    },
+  },
+
+  healthPack: {
+    name: "Health",
+    weight: 1,
+    duration: 0,
+    apply(ctx, player) {
+      player.hp = Math.min(player.maxHp, player.hp + 50);
+    },
+  },
+
+  bounce: {
+    name: "Ricochet",
+    weight: 0.7,
+    duration: 10000,
+    stacking: "extend",
+    modifyShot(ctx, player, effect, shot) {
+      shot.bounces += 3;
+    },
+  },
+
+  // Cloaked tanks are drawn almost invisible to enemies; firing gives them away
+  cloak: {
+    name: "Cloak",
+    weight: 0.5,
+    duration: 6000,
+    fire(ctx, player) {
+      removeEffect(ctx, player, "cloak");
+    },
+  },
+
+  mines: {
+    name: "Mine Layer",
+    weight: 0.5,
+    duration: 8000,
+    apply(ctx, player, effect) {
+      effect.nextMineAt = ctx.time;
+    },
+    tick(ctx, player, effect) {
+      if (ctx.time < effect.nextMineAt) return;
+      if (weapons.layMine(ctx.game, player, ctx.time)) effect.nextMineAt = ctx.time + MINE_INTERVAL;
+    },
+  },
+
+  // Strips the power-ups of every enemy in range and jams them for a while
+  emp: {
+    name: "EMP",
+    weight: 0.4,
+    duration: 0,
+    apply(ctx, player) {
+      for (const id in ctx.game.players) {
+        const other = ctx.game.players[id];
+        if (other === player || other.dead || !modes.canDamage(ctx.game, player.id, other)) continue;
+        if (Math.hypot(other.x - player.x, other.y - player.y) > EMP_RADIUS) continue;
+        for (const type in other.effects) removeEffect(ctx, other, type);
+        addEffect(ctx, other, "jammed");
+      }
+      ctx.events.push({ type: "emp", data: { player: player.id, x: player.x, y: player.y, radius: EMP_RADIUS } });
+    },
+  },
+
+  // Only ever given by an EMP
+  jammed: {
+    name: "Jammed",
+    weight: 0,
+    duration: 3000,
+    speedMultiplier: 0.5,
+    modifyShot(ctx, player, effect, shot) {
+      shot.blocked = true;
+    },
+  },
+
+  // Only ever given by the Support class's ability (see game/classes.js)
+  repairAura: {
+    name: "Repair",
+    weight: 0,
+    duration: 5000,
+    apply(ctx, player, effect) {
+      effect.healed = 0; // fractional HP owed, so HP only changes in whole points
+    },
+    tick(ctx, player, effect, dt) {
+      effect.healed += REPAIR.rate * dt;
+      const amount = Math.floor(effect.healed);
+      if (!amount) return;
+      effect.healed -= amount;
+      for (const id in ctx.game.players) {
+        const other = ctx.game.players[id];
+        const ally = other === player || (player.team && other.team === player.team);
+        if (!ally || other.dead || other.held) continue;
+        if (Math.hypot(other.x - player.x, other.y - player.y) > REPAIR.radius) continue;
+        other.hp = Math.min(other.maxHp, other.hp + amount);
+      }
+    },
+  },
+
+  homing: {
+    name: "Homing",
+    weight: 0.5,
+    duration: 8000,
+    modifyShot(ctx, player, effect, shot) {
+      if (!shot.homing) shot.homing = HOMING;
+    },
+  },
+};
+
+for (const id in weapons.WEAPONS) {
+  const weapon = weapons.WEAPONS[id];
+  if (weapon.pickupAmmo === undefined) continue;
+  POWER_UPS[`${id}Ammo`] = {
+    name: weapon.name,
+    weight: weapon.pickupWeight,
+    duration: 0,
+    apply(ctx, player) {
+      weapons.giveAmmo(player, id);
+    },
+  };
+}
+
+/**
+ * Pick a type to spawn, by weight
+ * @param {function(): number} random
+ */
+function randomType(random) {
+  const types = Object.keys(POWER_UPS).filter((type) => POWER_UPS[type].weight > 0);
+  let roll = random() * types.reduce((sum, type) => sum + POWER_UPS[type].weight, 0);
+  for (const type of types) {
+    roll -= POWER_UPS[type].weight;
+    if (roll < 0) return type;
+  }
+  return types[types.length - 1];
+}
+
+/**
+ * Give a player a power-up
+ * @param {Object} ctx - { game, time, events }
+ * @param {Object} player
+ * @param {string} type - Key of POWER_UPS
+ * @returns {Object|null} The active effect, or null for instant and unknown types
+ */
+function addEffect(ctx, player, type) {
+  const def = POWER_UPS[type];
+  if (!def) return null;
+  if (!def.duration) {
+    if (def.apply) def.apply(ctx, player, null);
+    return null;
+  }
+
+  const current = player.effects[type];
+  if (!current) {
+    const effect = { type, expiresAt: ctx.time + def.duration, stacks: 1 };
+    player.effects[type] = effect;
+    if (def.apply) def.apply(ctx, player, effect);
+    return effect;
+  }
+
+  switch (def.stacking) {
+    case "extend":
+      current.expiresAt = Math.max(current.expiresAt, ctx.time) + def.duration;
+      break;
+    case "stack":
+      current.stacks = Math.min(def.maxStacks || Infinity, current.stacks + 1);
+      current.expiresAt = ctx.time + def.duration;
+      break;
+    default:
+      current.expiresAt = ctx.time + def.duration;
+  }
+  return current;
+}
+
+/**
+ * End an effect now, running its expire hook
+ */
+function removeEffect(ctx, player, type) {
+  const effect = player.effects[type];
+  if (!effect) return;
+  delete player.effects[type];
+  const def = POWER_UPS[type];
+  if (def && def.expire) def.expire(ctx, player, effect);
+}
+
+/**
+ * Run each active effect's tick hook and end the ones whose time is up
+ * @param {Object} ctx
+ * @param {Object} player
+ * @param {number} dt - Tick length in seconds
+ * @param {boolean} active - Whether the tank is in play (tick hooks only run then)
+ */
+function updateEffects(ctx, player, dt, active) {
+  for (const type in player.effects) {
+    const effect = player.effects[type];
+    if (ctx.time >= effect.expiresAt) {
+      removeEffect(ctx, player, type);
+      continue;
+    }
+    const def = POWER_UPS[type];
+    if (active && def.tick) def.tick(ctx, player, effect, dt);
+  }
+}
+
+function hasEffect(player, type) {
+  return !!player.effects[type];
+}
+
+/**
+ * Top speed factor from every active effect
+ */
+function speedMultiplier(player) {
+  let multiplier = 1;
+  for (const type in player.effects) {
+    const def = POWER_UPS[type];
+    if (def && def.speedMultiplier !== undefined) multiplier *= def.speedMultiplier;
+  }
+  return multiplier;
+}
+
+/**
+ * The largest speed factor any power-up gives, for bounding how far a tank can move
+ */
+function maxSpeedMultiplier() {
+  return Math.max(1, ...Object.values(POWER_UPS).map((def) => def.speedMultiplier || 1));
+}
+
+/**
+ * The power-up numbers client-side prediction and drawing depend on
+ */
+function describePowerUps() {
+  const speedMultipliers = {};
+  for (const type in POWER_UPS) {
+    if (POWER_UPS[type].speedMultiplier !== undefined) speedMultipliers[type] = POWER_UPS[type].speedMultiplier;
+  }
+  return { speedMultipliers, rapidFireCooldown: RAPID_FIRE_COOLDOWN, repairRadius: REPAIR.radius };
+}
+
+/**
+ * What the tank's next shot looks like once every effect has had its say
+ * @param {Object} ctx
+ * @param {Object} player
+ * @param {Object} shot - Base { shots, spread, cooldown, bounces, homing, blocked }; modified in place
+ */
+function shotFor(ctx, player, shot) {
+  for (const type in player.effects) {
+    const def = POWER_UPS[type];
+    if (def && def.modifyShot) def.modifyShot(ctx, player, player.effects[type], shot);
+  }
+  return shot;
+}
+
+/**
+ * Run the fire hooks after a tank fired
+ */
+function onFire(ctx, player) {
+  for (const type in player.effects) {
+    const def = POWER_UPS[type];
+    if (def && def.fire) def.fire(ctx, player, player.effects[type]);
+  }
+}
+
+/**
+ * Damage of a hit after the shooter's and then the target's effects
+ * @param {Object} ctx
+ * @param {Object|undefined} shooter - Gone if they left
+ * @param {Object} target
+ * @param {number} damage - Base damage
+ */
+function modifyDamage(ctx, shooter, target, damage) {
+  const hit = { shooter, target, damage, incoming: false };
+  for (const [player, incoming] of [[shooter, false], [target, true]]) {
+    if (!player) continue;
+    hit.incoming = incoming;
+    for (const type in player.effects) {
+      const def = POWER_UPS[type];
+      if (def && def.modifyDamage) hit.damage = def.modifyDamage(ctx, player.effects[type], hit);
+    }
+  }
+  return hit.damage;
+}
+
+module.exports = {
+  POWER_UPS,
+  HOMING,
+  RAPID_FIRE_COOLDOWN,
+  randomType,
+  addEffect,
+  removeEffect,
+  updateEffects,
+  hasEffect,
+  speedMultiplier,
+  maxSpeedMultiplier,
+  describePowerUps,
+  shotFor,
+  onFire,
+  modifyDamage,
+};
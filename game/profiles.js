@@ -0,0 +1,324 @@
+/**
+ * Persistent player profiles, ratings and match history.
+ *
+ * A profile is created the first time a client joins without a token. The
+ * client keeps the token (a secret, like a password) and sends it with every
+ * join; the profile's public id is what leaderboards and URLs show. Only a
+ * hash of the token is stored.
+ *
+ * Everything lives in one JSON file (PROFILES_FILE), loaded at startup and
+ * rewritten shortly after each change:
+ *
+ *   {
+ *     version: 1,
+ *     profiles: { id: { id, tokenHash, name, createdAt, lastSeenAt,
+ *                       kills, deaths, matches, wins, rating } },
+ *     matches:  [{ id, endedAt, server, mode, map, round, winner,
+ *                  players: [{ profileId, name, team, score, kills, deaths,
+ *                              place, won, rating, ratingChange }] }]
+ *   }
+ *
+ * Profiles that never finish a round are dropped once unseen for UNPLAYED_TTL,
+ * and the oldest of them go first past MAX_UNPLAYED, so spectators and page
+ * reloads don't grow the store forever.
+ *
+ * Ratings are Elo-style: at the end of a round every player is scored
+ * against each opponent by placement (see ratingChanges).
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const STORE_VERSION = 1;
+const PROFILES_FILE = path.resolve(process.env.PROFILES_FILE || path.join(__dirname, "..", "data", "profiles.json"));
+const INITIAL_RATING = 1000;
+const RATING_K = 32; // most a player can gain or lose in one round
+const MAX_MATCHES = 2000; // match history kept, oldest dropped first
+const SAVE_DELAY = 1000; // ms; changes in quick succession share one write
+const UNPLAYED_TTL = 24 * 60 * 60 * 1000; // ms a profile with no finished rounds is kept unseen
+const MAX_UNPLAYED = 5000; // profiles with no finished rounds kept at most
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+
+let store = emptyStore();
+let byTokenHash = new Map(); // token hash (hex) -> profile
+let saveTimer = null;
+let saving = Promise.resolve();
+
+function emptyStore() {
+  return { version: STORE_VERSION, profiles: {}, matches: [] };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Read the store from disk; a missing file starts an empty one
+ * @param {string} [file=PROFILES_FILE]
+ */
+function loadProfiles(file = PROFILES_FILE) {
+  store = emptyStore();
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.version === STORE_VERSION) store = data;
+    else console.warn(`Ignoring ${file}: unknown version ${data.version}`);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read ${file}: ${err.message}`);
+  }
+  byTokenHash = new Map(Object.values(store.profiles).map((profile) => [profile.tokenHash, profile]));
+  pruneProfiles(Date.now());
+  return store;
+}
+
+/**
+ * Drop profiles that never finished a round: those unseen for UNPLAYED_TTL,
+ * then the least recently seen past MAX_UNPLAYED
+ * @param {number} time - Current time in ms
+ */
+function pruneProfiles(time) {
+  const unplayed = Object.values(store.profiles)
+    .filter((profile) => profile.matches === 0)
+    .sort((a, b) => a.lastSeenAt - b.lastSeenAt);
+  const excess = unplayed.length - MAX_UNPLAYED;
+  unplayed.forEach((profile, i) => {
+    if (i >= excess && time - profile.lastSeenAt <= UNPLAYED_TTL) return;
+    delete store.profiles[profile.id];
+    byTokenHash.delete(profile.tokenHash);
+  });
+}
+
+async function writeStore() {
+  const text = JSON.stringify(store);
+  const temp = `${PROFILES_FILE}.tmp`;
+  await fs.promises.mkdir(path.dirname(PROFILES_FILE), { recursive: true });
+  await fs.promises.writeFile(temp, text);
+  await fs.promises.rename(temp, PROFILES_FILE); // never leave a half-written store
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    pruneProfiles(Date.now());
+    saving = saving
+      .then(writeStore)
+      .catch((err) => console.error(`Could not save profiles: ${err.message}`));
+  }, SAVE_DELAY);
+  saveTimer.unref();
+}
+
+/**
+ * The profile a token belongs to, without creating one
+ * @param {*} token - Untrusted token from the client
+ * @returns {Object|null}
+ */
+function findByToken(token) {
+  return (typeof token === "string" && TOKEN_PATTERN.test(token) && byTokenHash.get(hashToken(token))) || null;
+}
+
+/**
+ * Find the profile a join request's token belongs to, or create one
+ * @param {*} token - Untrusted token from the client
+ * @param {string} name - Sanitized player name, kept as the profile's display name
+ * @param {number} time - Current time in ms
+ * @returns {{profile: Object, token: string|null}} token is set only when a new one was issued
+ */
+function identify(token, name, time) {
+  let profile = findByToken(token);
+  let issued = null;
+
+  if (!profile) {
+    issued = crypto.randomBytes(24).toString("base64url");
+    let id = crypto.randomBytes(6).toString("base64url");
+    while (Object.hasOwn(store.profiles, id)) id = crypto.randomBytes(6).toString("base64url");
+    profile = {
+      id,
+      tokenHash: hashToken(issued),
+      name: name || "Player",
+      createdAt: time,
+      lastSeenAt: time,
+      kills: 0,
+      deaths: 0,
+      matches: 0,
+      wins: 0,
+      rating: INITIAL_RATING,
+    };
+    store.profiles[id] = profile;
+    byTokenHash.set(profile.tokenHash, profile);
+  }
+
+  if (name) profile.name = name;
+  profile.lastSeenAt = time;
+  scheduleSave();
+  return { profile, token: issued };
+}
+
+/**
+ * Public view of a profile (never the token hash)
+ */
+function describeProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    rating: profile.rating,
+    matches: profile.matches,
+    wins: profile.wins,
+    kills: profile.kills,
+    deaths: profile.deaths,
+    createdAt: profile.createdAt,
+    lastSeenAt: profile.lastSeenAt,
+  };
+}
+
+/**
+ * @param {string} id - Public profile id
+ * @returns {Object|null}
+ */
+function findProfile(id) {
+  const key = String(id || "");
+  return PROFILE_ID_PATTERN.test(key) && Object.hasOwn(store.profiles, key) ? store.profiles[key] : null;
+}
+
+/**
+ * Rating changes for one round. Each player plays an Elo game against every
+ * opponent (teammates excluded): a better place is a win, the same place a
+ * draw. The sum is scaled by the number of opponents, so a round is worth
+ * about one game however many took part.
+ * @param {{id: string, rating: number, place: number, team: string|null}[]} entries - place 0 is first
+ * @returns {Object} id -> rounded rating change
+ */
+function ratingChanges(entries) {
+  const changes = {};
+  for (const a of entries) {
+    const opponents = entries.filter((b) => b !== a && !(a.team && a.team === b.team));
+    let delta = 0;
+    for (const b of opponents) {
+      const expected = 1 / (1 + 10 ** ((b.rating - a.rating) / 400));
+      const actual = a.place < b.place ? 1 : a.place === b.place ? 0.5 : 0;
+      delta += actual - expected;
+    }
+    changes[a.id] = opponents.length ? Math.round((RATING_K * delta) / opponents.length) : 0;
+  }
+  return changes;
+}
+
+/**
+ * Places from round standings: ties share a place
+ * @param {Object} results - From match.standings()
+ * @returns {Object} player id -> place (0 is first)
+ */
+function placesOf(results) {
+  const places = {};
+  if (results.teams.length) {
+    const teamPlace = {};
+    for (const team of results.teams) {
+      teamPlace[team.id] = results.teams.filter((other) => other.score > team.score).length;
+    }
+    for (const player of results.players) places[player.id] = teamPlace[player.team] || 0;
+  } else {
+    for (const player of results.players) {
+      places[player.id] = results.players.filter((other) => other.score > player.score).length;
+    }
+  }
+  return places;
+}
+
+/**
+ * Update the profiles of everyone who finished a round and add it to the history
+ * @param {Object} info - { server, mode, map, round } for the history entry
+ * @param {Object} results - Round standings (match.standings()), keyed by player id
+ * @param {Object} profileIds - player id -> profile id; players without one are left out
+ * @param {number} time - Current time in ms
+ * @returns {Object|null} The history entry, or null when fewer than two profiles took part
+ */
+function recordMatch(info, results, profileIds, time) {
+  const places = placesOf(results);
+  const seen = new Set();
+  const entries = [];
+  for (const player of results.players) {
+    const profile = findProfile(profileIds[player.id]);
+    if (!profile || seen.has(profile.id)) continue; // one entry per profile, even from two tabs
+    seen.add(profile.id);
+    entries.push({ id: profile.id, rating: profile.rating, place: places[player.id], team: player.team, player, profile });
+  }
+  if (entries.length < 2) return null;
+
+  const changes = ratingChanges(entries);
+  const winnerProfile = results.teams.length ? null : findProfile(profileIds[results.winner]);
+  const match = {
+    id: crypto.randomBytes(6).toString("base64url"),
+    endedAt: time,
+    ...info,
+    winner: results.teams.length ? results.winner : winnerProfile ? winnerProfile.id : null, // team or profile id
+    players: [],
+  };
+
+  for (const entry of entries) {
+    const { player, profile } = entry;
+    const stats = player.stats || { kills: 0, deaths: 0 };
+    const won = !!results.winner && (results.winner === player.id || results.winner === player.team);
+
+    profile.matches++;
+    profile.wins += won ? 1 : 0;
+    profile.kills += stats.kills;
+    profile.deaths += stats.deaths;
+    profile.rating += changes[profile.id];
+
+    match.players.push({
+      profileId: profile.id,
+      name: player.name || profile.name,
+      team: player.team,
+      score: player.score,
+      kills: stats.kills,
+      deaths: stats.deaths,
+      place: entry.place,
+      won,
+      rating: profile.rating,
+      ratingChange: changes[profile.id],
+    });
+  }
+
+  store.matches.push(match);
+  if (store.matches.length > MAX_MATCHES) store.matches.splice(0, store.matches.length - MAX_MATCHES);
+  scheduleSave();
+  return match;
+}
+
+/**
+ * Highest rated players who have finished at least one round
+ * @param {number} [limit=20]
+ */
+function leaderboard(limit = 20) {
+  return Object.values(store.profiles)
+    .filter((profile) => profile.matches > 0)
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+    .slice(0, limit)
+    .map(describeProfile);
+}
+
+/**
+ * A player's most recent rounds, newest first
+ * @param {string} profileId
+ * @param {number} [limit=20]
+ */
+function matchesOf(profileId, limit = 20) {
+  const found = [];
+  for (let i = store.matches.length - 1; i >= 0 && found.length < limit; i--) {
+    const match = store.matches[i];
+    if (match.players.some((player) => player.profileId === profileId)) found.push(match);
+  }
+  return found;
+}
+
+module.exports = {
+  loadProfiles,
+  identify,
+  describeProfile,
+  findProfile,
+  findByToken,
+  ratingChanges,
+  recordMatch,
+  leaderboard,
+  matchesOf,
+};
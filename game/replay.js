@@ -0,0 +1,211 @@
+/**
+ * Round recordings.
+ *
+ * While a game records, every round from its countdown to the results is
+ * captured and saved to REPLAYS_DIR as `<id>.replay`: gzipped JSON lines.
+ * The first line is the header, every other line one frame:
+ *
+ *   { format, version, id, name, map, mode, modeName, round,
+ *     startedAt, duration, snapshotRate, players: [{ id, name, color, team }] }
+ *   [t, type, data]
+ *
+ * t is milliseconds since startedAt. `state` frames are SnapshotCodec deltas
+ * against the previous state frame, with a full snapshot (base 0) every
+ * KEYFRAME_INTERVAL frames so players can seek without decoding from the
+ * start. Other frames are the socket events clients saw (bulletHit,
+ * wallImpact, objective, match, public chat:message).
+ *
+ * Rounds that are abandoned (back to warmup, or the game closes) are dropped.
+ * Only the newest MAX_REPLAYS files are kept.
+ */
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const snapshotCodec = require("../shared/snapshot");
+
+const REPLAY_FORMAT = "glowy-tanks-replay";
+const REPLAY_VERSION = 1;
+const REPLAYS_DIR = path.resolve(process.env.REPLAYS_DIR || path.join(__dirname, "..", "replays"));
+const REPLAY_EXTENSION = ".replay";
+const MAX_REPLAYS = 100;
+const MAX_REPLAY_DURATION = 30 * 60 * 1000; // longer rounds are saved up to this point
+const KEYFRAME_INTERVAL = 100; // state frames between full snapshots (5s at 20 Hz)
+const REPLAY_ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+const RECORDED_EVENTS = new Set(["bulletHit", "wallImpact", "beam", "explosion", "emp", "ability", "objective", "match", "chat:message"]);
+
+const gzip = promisify(zlib.gzip);
+
+let replays = new Map(); // id -> summary, oldest first
+
+/**
+ * What the `/replays` listing shows for a replay
+ */
+function summarize(header, size) {
+  return {
+    id: header.id,
+    name: header.name,
+    map: header.map && header.map.name,
+    mode: header.modeName,
+    round: header.round,
+    startedAt: header.startedAt,
+    duration: header.duration,
+    players: header.players.map((player) => player.name),
+    size,
+  };
+}
+
+/**
+ * Index the replays already on disk; files that can't be read are skipped
+ * @param {string} [dir=REPLAYS_DIR]
+ */
+function loadReplays(dir = REPLAYS_DIR) {
+  const found = [];
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith(REPLAY_EXTENSION));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read ${dir}: ${err.message}`);
+  }
+
+  for (const file of files) {
+    try {
+      const data = fs.readFileSync(path.join(dir, file));
+      const text = zlib.gunzipSync(data).toString("utf8");
+      const header = JSON.parse(text.slice(0, text.indexOf("\n")));
+      if (header.format !== REPLAY_FORMAT || header.version !== REPLAY_VERSION) continue;
+      if (`${header.id}${REPLAY_EXTENSION}` !== file) continue;
+      found.push(summarize(header, data.length));
+    } catch (err) {
+      console.warn(`Skipping replay ${file}: ${err.message}`);
+    }
+  }
+
+  found.sort((a, b) => a.startedAt - b.startedAt);
+  replays = new Map(found.map((summary) => [summary.id, summary]));
+  return replays;
+}
+
+/**
+ * Saved replays, newest first
+ */
+function listReplays() {
+  return [...replays.values()].reverse();
+}
+
+/**
+ * File of a saved replay
+ * @param {string} id
+ * @returns {string|null} null for unknown ids
+ */
+function replayPath(id) {
+  const key = String(id || "");
+  if (!REPLAY_ID_PATTERN.test(key) || !replays.has(key)) return null;
+  return path.join(REPLAYS_DIR, `${key}${REPLAY_EXTENSION}`);
+}
+
+/**
+ * Start recording a round
+ * @param {Object} game - Game state (server.js game with id and name)
+ * @param {string} modeName - Display name of the game's mode
+ * @param {number} time - Server time in ms
+ * @param {number} snapshotRate - State frames per second, for the header
+ */
+function createRecorder(game, modeName, time, snapshotRate) {
+  return {
+    header: {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      id: `${time}-${game.id}-r${game.match.round}`.toLowerCase(),
+      name: game.name,
+      map: game.map,
+      mode: game.mode,
+      modeName,
+      round: game.match.round,
+      startedAt: time,
+      duration: 0,
+      snapshotRate,
+      players: [],
+    },
+    frames: [],
+    players: new Map(), // everyone who had a tank during the round
+    lastSnapshot: null,
+    stateFrames: 0,
+    full: false, // MAX_REPLAY_DURATION reached; later frames are ignored
+  };
+}
+
+function addFrame(recorder, time, type, data) {
+  const t = Math.max(0, time - recorder.header.startedAt);
+  if (t > MAX_REPLAY_DURATION) {
+    recorder.full = true;
+    return;
+  }
+  recorder.frames.push(JSON.stringify([t, type, data]));
+  recorder.header.duration = t;
+}
+
+/**
+ * Record a snapshot built for broadcasting
+ * @param {Object} recorder - From createRecorder()
+ * @param {Object} snapshot - Full snapshot (server.js buildSnapshot)
+ */
+function recordState(recorder, snapshot) {
+  if (recorder.full) return;
+  for (const id in snapshot.players) {
+    const { name, color, team } = snapshot.players[id];
+    recorder.players.set(id, { id, name, color, team });
+  }
+
+  const keyframe = recorder.stateFrames % KEYFRAME_INTERVAL === 0;
+  addFrame(recorder, snapshot.t, "state", snapshotCodec.encodeDelta(keyframe ? null : recorder.lastSnapshot, snapshot));
+  recorder.lastSnapshot = snapshot;
+  recorder.stateFrames++;
+}
+
+/**
+ * Record a socket event if replays show it
+ * @param {Object} recorder - From createRecorder()
+ * @param {string} type - Socket event name
+ * @param {Object} data - Event payload
+ * @param {number} time - Server time in ms
+ */
+function recordEvent(recorder, type, data, time) {
+  if (recorder.full || !RECORDED_EVENTS.has(type)) return;
+  addFrame(recorder, time, type, data);
+}
+
+/**
+ * Write a finished recording to disk and add it to the listing, deleting
+ * the oldest replays beyond MAX_REPLAYS
+ * @param {Object} recorder - From createRecorder()
+ * @returns {Promise<Object>} The replay's listing entry
+ */
+async function saveReplay(recorder) {
+  const header = { ...recorder.header, players: [...recorder.players.values()] };
+  const text = [JSON.stringify(header), ...recorder.frames].join("\n") + "\n";
+  const data = await gzip(text);
+
+  await fs.promises.mkdir(REPLAYS_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(REPLAYS_DIR, `${header.id}${REPLAY_EXTENSION}`), data);
+
+  const summary = summarize(header, data.length);
+  replays.set(summary.id, summary);
+  for (const id of replays.keys()) {
+    if (replays.size <= MAX_REPLAYS) break;
+    replays.delete(id);
+    fs.promises.unlink(path.join(REPLAYS_DIR, `${id}${REPLAY_EXTENSION}`)).catch(() => {});
+  }
+  return summary;
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  loadReplays,
+  listReplays,
+  replayPath,
+  createRecorder,
+  recordState,
+  recordEvent,
+  saveReplay,
+};
@@ -0,0 +1,1113 @@
+/**
+ * Headless, deterministic tank simulation.
+ *
+ * Nothing in here touches sockets, timers, Date.now() or Math.random(): time
+ * and randomness come from the `now`/`random` injected into
+ * createSimulation(), and everything the network layer should announce is
+ * returned as events from step(). Given the same seed, clock and inputs a
+ * match plays out identically.
+ */
+const physics = require("../shared/physics");
+const modes = require("./modes");
+const lifecycle = require("./match");
+const { MAX_INPUT_BUDGET } = require("./validation");
+const grid = require("./grid");
+const stats = require("./stats");
+const powerups = require("./powerups");
+const weapons = require("./weapons");
+const classes = require("./classes");
+
+// Constants
+const MAP_WIDTH = 1000;
+const MAP_HEIGHT = 720;
+const TANK_MAX_SPEED = physics.TANK_MAX_SPEED; // maximum speed in pixels per second
+const BULLET_SPEED = weapons.WEAPONS.cannon.speed; // cannon shells, in pixels per second
+const BEAM_STEP = 4; // px between wall checks along a beam
+const RESPAWN_TIME = 3000; // 3 seconds
+const SPAWN_INVULNERABILITY = 3000; // 3 seconds of spawn protection
+const MUZZLE_OFFSET = 28; // turret length: bullets leave from the tip
+const MAX_REWIND = 250; // never resolve a shot further than this in the past (ms)
+const POSITION_HISTORY = 300; // how much movement history each tank keeps (ms)
+const GRID_CELL_SIZE = 100; // broad-phase cell edge in pixels
+
+// Power-up constants
+const POWER_UP_LIFETIME = 30000; // 30 seconds
+const POWER_UP_RADIUS = 30; // Collection radius
+const POWER_UP_SPAWN_INTERVAL = 7000; // a new power-up every 7 seconds
+const MAX_POWER_UPS = 6;
+const FREE_POINT_ATTEMPTS = 30; // tries to find a random spot clear of obstacles
+
+// Used when no map is given: the classic empty arena
+const OPEN_ARENA = {
+  id: "green",
+  name: "Neon Grid",
+  width: MAP_WIDTH,
+  height: MAP_HEIGHT,
+  walls: [],
+  obstacles: [],
+  spawns: [],
+  powerUpPads: [],
+};
+
+// Fastest a tank can move (classes and power-ups included), for widening rewound hit checks
+const MAX_TANK_TRAVEL_SPEED = TANK_MAX_SPEED * classes.maxSpeedMultiplier() * powerups.maxSpeedMultiplier();
+const MAX_HIT_RADIUS = classes.maxHitRadius(); // largest bullet collision radius of any class
+
+/**
+ * Seeded PRNG (mulberry32) so matches can be replayed exactly
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create the simulation-owned part of a game
+ * @param {Object} [map] - Normalized map (see game/maps.js); defaults to the open arena
+ * @param {string} [modeId] - Game mode (see game/modes.js); defaults to free-for-all
+ * @param {Object} [matchOptions] - { timeLimit, scoreLimit } (see game/match.js)
+ * @returns {Object} Fresh game state with no players
+ */
+function createGameState(map = OPEN_ARENA, modeId = modes.DEFAULT_MODE_ID, matchOptions = {}) {
+  return {
+    ...modes.createModeState(modeId, map),
+    match: lifecycle.createMatchState(matchOptions, modeId),
+    map,
+    mapWidth: map.width,
+    mapHeight: map.height,
+    solids: [...map.walls, ...map.obstacles],
+    solidGrid: grid.createShapeGrid([...map.walls, ...map.obstacles], GRID_CELL_SIZE),
+    tankGrid: grid.createGrid(GRID_CELL_SIZE), // living tanks, refilled whenever they move
+    players: {},
+    bullets: [],
+    powerUps: [],
+    beams: [], // fired since the last tick, resolved at the start of the next
+    mines: [], // from the mine weapon and the mine layer power-up
+    barriers: [], // Heavy shield walls (see game/classes.js)
+    scores: {},
+    stats: {}, // playerId -> combat stats for the round (see game/stats.js)
+    nextEntityId: 0,
+    lastPowerUpSpawnTime: 0,
+  };
+}
+
+/**
+ * Create a simulation bound to a time source and random generator
+ * @param {Object} options
+ * @param {function(): number} options.now - Current time in ms
+ * @param {function(): number} options.random - Floats in [0, 1)
+ */
+function createSimulation({ now, random }) {
+  function randomPoint(game) {
+    return {
+      x: random() * (game.mapWidth - 40) + 20,
+      y: random() * (game.mapHeight - 40) + 20,
+    };
+  }
+
+  /**
+   * What power-up hooks get to work with
+   * @param {Object[]} events - Where hooks report what happened
+   */
+  function effectContext(game, time, events) {
+    return { game, time, events };
+  }
+
+  /**
+   * Walls and obstacles that may overlap a circle
+   */
+  function solidsNear(game, x, y, radius = 0) {
+    return game.solidGrid.query(x, y, radius);
+  }
+
+  /**
+   * Put every living tank in the broad-phase grid at its current position.
+   * Held tanks (see holdPlayer) are left out, so nothing can hit or collect with them.
+   */
+  function indexTanks(game) {
+    game.tankGrid.clear();
+    for (const id in game.players) {
+      const player = game.players[id];
+      if (!player.dead && !player.held) game.tankGrid.insert(player, player.x, player.y);
+    }
+  }
+
+  function isClear(game, point) {
+    return !solidsNear(game, point.x, point.y, physics.TANK_RADIUS).some((shape) =>
+      physics.shapeContains(shape, point.x, point.y, physics.TANK_RADIUS)
+    );
+  }
+
+  /**
+   * A random spot clear of obstacles
+   * @param {Object} game - Game state
+   * @param {function(number): boolean} [side] - Only accept x positions it approves
+   */
+  function randomFreePoint(game, side) {
+    const fits = (point) => isClear(game, point) && (!side || side(point.x));
+    let point = randomPoint(game);
+    for (let i = 1; i < FREE_POINT_ATTEMPTS && !fits(point); i++) {
+      point = randomPoint(game);
+    }
+    return point;
+  }
+
+  function spawnPoint(game, player) {
+    const area = modes.spawnArea(game, player);
+    const spawns = area ? area.spawns : game.map.spawns;
+    if (!spawns.length) return randomFreePoint(game, area && area.side);
+    const spawn = spawns[Math.floor(random() * spawns.length)];
+    return { x: spawn.x, y: spawn.y };
+  }
+
+  /**
+   * Where the next power-up goes: a free pad when the map has pads,
+   * otherwise anywhere clear
+   * @returns {Object|null} Position, or null when every pad is taken
+   */
+  function powerUpPoint(game) {
+    const pads = game.map.powerUpPads;
+    if (!pads.length) return randomFreePoint(game);
+    const free = pads.filter(
+      (pad) => !game.powerUps.some((p) => p.x === pad.x && p.y === pad.y)
+    );
+    if (!free.length) return null;
+    const pad = free[Math.floor(random() * free.length)];
+    return { x: pad.x, y: pad.y };
+  }
+
+  /**
+   * Add a freshly spawned tank to the game
+   * @param {Object} game - Game state
+   * @param {string} id - Player id (the socket id on the server)
+   * @param {Object} profile - { name, color, tankClass }; tankClass is a key of
+   *   classes.CLASSES, the default class when missing
+   * @returns {Object} The new player record
+   */
+  function addPlayer(game, id, { name, color, tankClass = classes.DEFAULT_CLASS }) {
+    const player = {
+      id,
+      x: 0,
+      y: 0,
+      vx: 0, // velocity x
+      vy: 0, // velocity y
+      rotation: 0,
+      turretRotation: 0,
+      inputs: {},
+      name,
+      color,
+      hp: 0, // filled up by the class
+      dead: false,
+      respawnTime: 0,
+      effects: {}, // active power-ups by type (see game/powerups.js)
+      ammo: {}, // rounds left by weapon id, for weapons with limited ammo (see game/weapons.js)
+      lastShotTimes: {}, // weapon id -> time it last fired
+      nextClass: null, // class to switch to at the next respawn
+      abilityReadyAt: 0, // time the class ability is off cooldown
+      invulnerable: false,
+      invulnerableExpireTime: null,
+      held: false, // owner lost connection; the tank waits for them (see holdPlayer)
+      lastProcessedInput: 0,
+      inputQueue: [],
+      inputBudget: 0, // seconds of movement the tank may still spend (see step)
+      history: [], // recent { t, x, y, dead }, for lag-compensated hits
+    };
+
+    classes.applyClass(player, tankClass);
+    player.hp = player.maxHp;
+
+    // Team modes pick the team (and its color) before choosing a spawn on its side
+    modes.assignTeam(game, player);
+    const spawn = spawnPoint(game, player);
+    player.x = spawn.x;
+    player.y = spawn.y;
+
+    game.players[id] = player;
+    game.scores[id] = 0;
+    game.stats[id] = stats.createStats();
+    return player;
+  }
+
+  /**
+   * Remove a player, dropping anything they carried
+   * @returns {Object[]} Events for the network layer to broadcast
+   */
+  function removePlayer(game, id) {
+    const events = [];
+    const player = game.players[id];
+    if (player) modes.onLeave(game, player, now(), events);
+    delete game.players[id];
+    delete game.scores[id];
+    delete game.stats[id];
+    return events;
+  }
+
+  /**
+   * Freeze a tank whose owner lost connection so they can reclaim it: it keeps
+   * its place, score and stats but drops anything it carried and can't be hit
+   * @returns {Object[]} Events for the network layer to broadcast
+   */
+  function holdPlayer(game, id) {
+    const events = [];
+    const player = game.players[id];
+    if (!player || player.held) return events;
+    modes.onLeave(game, player, now(), events);
+    player.held = true;
+    player.vx = 0;
+    player.vy = 0;
+    player.inputQueue = [];
+    return events;
+  }
+
+  /**
+   * Give a held tank back to its owner under their new id
+   * @param {Object} game - Game state
+   * @param {string} oldId - Id the tank was held under
+   * @param {string} newId - The owner's new id (their new socket id on the server)
+   * @returns {Object|null} The player record, or null when no tank is held under oldId
+   */
+  function reclaimPlayer(game, oldId, newId) {
+    const player = game.players[oldId];
+    if (!player || !player.held) return null;
+
+    delete game.players[oldId];
+    game.players[newId] = player;
+    game.scores[newId] = game.scores[oldId];
+    delete game.scores[oldId];
+    game.stats[newId] = game.stats[oldId];
+    delete game.stats[oldId];
+    for (const owned of [...game.bullets, ...game.beams, ...game.mines, ...game.barriers]) {
+      if (owned.owner === oldId) owned.owner = newId;
+    }
+
+    player.id = newId;
+    player.held = false;
+    player.inputs = {};
+    player.lastProcessedInput = 0; // the new connection numbers its inputs from scratch
+    player.inputBudget = 0;
+    if (!player.dead) {
+      player.invulnerable = true;
+      player.invulnerableExpireTime = now() + SPAWN_INVULNERABILITY;
+    }
+    return player;
+  }
+
+  /**
+   * Apply one input sample using the shared movement model
+   * The client runs the same model for prediction, so keep all movement math in
+   * shared/physics.js and only decide server-side modifiers here.
+   * @param {Object} game - Game state (for arena bounds)
+   * @param {Object} player - The player object to update
+   * @param {Object} input - Input data containing keys, rotation, and delta time
+   */
+  function applyInput(game, player, input) {
+    if (!player || !input || !input.inputs) return;
+
+    const tankClass = classes.classOf(player);
+    const maxSpeed = TANK_MAX_SPEED * tankClass.speed * powerups.speedMultiplier(player);
+
+    physics.applyInput(player, input, {
+      width: game.mapWidth,
+      height: game.mapHeight,
+      maxSpeed,
+      acceleration: physics.TANK_ACCELERATION * tankClass.acceleration,
+      // Only what the tank can reach this sample (dt is capped by validation)
+      obstacles: solidsNear(game, player.x, player.y, physics.TANK_RADIUS + maxSpeed * input.dt),
+    });
+
+    if (typeof input.seq === "number") {
+      player.lastProcessedInput = input.seq;
+    }
+  }
+
+  /**
+   * Where a tank's shots start: the turret tip, or the hull center when the tip
+   * is inside a wall (so point-blank shots can't pass through it)
+   */
+  function muzzlePoint(game, player) {
+    const x = player.x + Math.cos(player.turretRotation) * MUZZLE_OFFSET;
+    const y = player.y + Math.sin(player.turretRotation) * MUZZLE_OFFSET;
+    const blocked =
+      x < 0 || y < 0 || x > game.mapWidth || y > game.mapHeight ||
+      solidsNear(game, x, y).some((shape) => physics.shapeContains(shape, x, y));
+    return blocked ? { x: player.x, y: player.y } : { x, y };
+  }
+
+  /**
+   * Fire one of the player's weapons if it is off cooldown and has ammo
+   * @param {Object} game - Game state
+   * @param {string} playerId - Shooter
+   * @param {number} angle - Aim angle in radians
+   * @param {number} [viewTime] - Server time of the world the shooter was looking at;
+   *   the shot is resolved against tank positions from then, up to MAX_REWIND ago
+   * @param {string} [weaponId] - Key of weapons.WEAPONS; the cannon by default,
+   *   which fires as the tank's class has it
+   * @returns {boolean} Whether the weapon fired
+   */
+  function shoot(game, playerId, angle, viewTime, weaponId = weapons.DEFAULT_WEAPON) {
+    const player = game.players[playerId];
+    if (!player || !weapons.WEAPONS[weaponId] || player.dead || lifecycle.isFrozen(game.match)) return false;
+    const weapon = classes.weaponFor(player, weaponId);
+    if (!weapons.hasAmmo(player, weaponId)) return false;
+
+    const time = now();
+    const ctx = effectContext(game, time, []);
+    const shot = powerups.shotFor(ctx, player, {
+      weapon: weaponId,
+      shots: weapon.projectiles || 1,
+      spread: weapon.spread || 0,
+      cooldown: weapon.cooldown,
+      bounces: weapon.bounces || 0,
+      homing: weapon.homing || null,
+      blocked: false,
+    });
+    if (shot.blocked) return false;
+
+    const lastShotTime = player.lastShotTimes[weaponId];
+    if (lastShotTime !== undefined && time - lastShotTime < shot.cooldown) {
+      return false; // shoot request ignored due to cooldown
+    }
+
+    const rewind = Number.isFinite(viewTime) ? Math.max(0, Math.min(MAX_REWIND, time - viewTime)) : 0;
+    player.turretRotation = angle;
+
+    if (weapon.fire === "mine") {
+      if (!weapons.layMine(game, player, time)) return false;
+    } else if (weapon.fire === "beam") {
+      const muzzle = muzzlePoint(game, player);
+      game.beams.push({
+        owner: playerId,
+        team: player.team || null,
+        color: player.color,
+        x: muzzle.x,
+        y: muzzle.y,
+        angle,
+        range: weapon.range,
+        damage: weapon.damage,
+        viewTime: time - rewind, // tanks are hit where the shooter saw them
+      });
+      stats.recordShot(game.stats[playerId], 1);
+    } else {
+      fireProjectiles(game, player, weapon, shot, angle, rewind, time);
+      stats.recordShot(game.stats[playerId], shot.shots);
+    }
+
+    weapons.useAmmo(player, weaponId);
+    player.lastShotTimes[weaponId] = time;
+    powerups.onFire(ctx, player);
+    return true;
+  }
+
+  /**
+   * Launch a projectile weapon's bullets from the turret tip, fanned out by the shot's spread
+   * @param {Object} shot - From powerups.shotFor()
+   * @param {number} rewind - ms; the bullets start out tested against tanks where they were
+   *   this long ago, catching up with the present over the same time (see rewindOf)
+   */
+  function fireProjectiles(game, player, weapon, shot, angle, rewind, time) {
+    const { shots, spread } = shot;
+    const muzzle = muzzlePoint(game, player);
+
+    for (let i = 0; i < shots; i++) {
+      const offset = shots === 1 ? 0 : (i - (shots - 1) / 2) * spread;
+      const a = angle + offset;
+
+      game.bullets.push({
+        id: ++game.nextEntityId,
+        kind: weapon.projectile, // how clients draw it
+        x: muzzle.x,
+        y: muzzle.y,
+        vx: Math.cos(a) * weapon.speed, // pixels per second
+        vy: Math.sin(a) * weapon.speed,
+        angle: a,
+        owner: player.id,
+        team: player.team || null, // teammates stay safe from it even if the owner leaves
+        color: player.color,
+        createdAt: time,
+        damage: weapon.damage,
+        maxAge: weapon.maxAge,
+        bounces: 0,
+        maxBounces: shot.bounces,
+        homing: shot.homing, // { turnRate, range, cone } when it turns towards enemies ahead
+        splash: weapon.splash || null, // { radius, damage } when it explodes where it stops
+        rewind,
+      });
+    }
+  }
+
+  function spawnPowerUp(game) {
+    const position = powerUpPoint(game);
+    if (!position) return;
+
+    game.powerUps.push({
+      id: ++game.nextEntityId,
+      type: powerups.randomType(random), // key of powerups.POWER_UPS
+      x: position.x,
+      y: position.y,
+      createdAt: now(),
+    });
+  }
+
+  /**
+   * Give a player a power-up, as if they had driven over it
+   * @param {Object} game - Game state
+   * @param {string} playerId
+   * @param {string} type - Key of powerups.POWER_UPS
+   * @param {Object[]} [events] - Event list for anything the power-up sets off
+   */
+  function applyPowerUp(game, playerId, type, events = []) {
+    const player = game.players[playerId];
+    if (!player || !powerups.POWER_UPS[type]) return;
+
+    stats.recordPowerUp(game.stats[playerId]);
+    powerups.addEffect(effectContext(game, now(), events), player, type);
+  }
+
+  function respawn(game, player) {
+    if (player.nextClass) {
+      classes.applyClass(player, player.nextClass, now());
+      player.nextClass = null;
+    }
+    const spawn = spawnPoint(game, player);
+    player.x = spawn.x;
+    player.y = spawn.y;
+    player.vx = 0; // Reset velocity on respawn
+    player.vy = 0;
+    player.hp = player.maxHp;
+    player.dead = false;
+    player.ammo = {};
+    player.lastShotTimes = {};
+    player.invulnerable = true;
+    player.invulnerableExpireTime = now() + SPAWN_INVULNERABILITY;
+  }
+
+  /**
+   * Stop the live round now and show the results, as if a limit had been reached
+   * @returns {Object[]} Events for the network layer to broadcast; empty when no round is live
+   */
+  function endRound(game) {
+    const events = [];
+    lifecycle.endRound(game, now(), events);
+    return events;
+  }
+
+  /**
+   * Start a new round in place: clear scores, shots and pickups, put flags home
+   * and respawn every tank without anyone having to rejoin
+   * @param {Object} game - Game state
+   */
+  function resetRound(game) {
+    game.bullets = [];
+    game.powerUps = [];
+    game.beams = [];
+    game.mines = [];
+    game.barriers = [];
+    game.lastPowerUpSpawnTime = now();
+    modes.resetObjectives(game);
+
+    for (const id in game.players) {
+      const player = game.players[id];
+      game.scores[id] = 0;
+      game.stats[id] = stats.createStats();
+      player.effects = {};
+      respawn(game, player);
+    }
+  }
+
+  /**
+   * Remember where every tank is this tick, for rewinding shots later
+   */
+  function recordHistory(game, time) {
+    for (const id in game.players) {
+      const player = game.players[id];
+      player.history.push({ t: time, x: player.x, y: player.y, dead: player.dead });
+      while (player.history.length > 2 && player.history[1].t < time - POSITION_HISTORY) {
+        player.history.shift();
+      }
+    }
+  }
+
+  /**
+   * Where a tank was at `t`, interpolated between recorded ticks
+   * @returns {{x: number, y: number, dead: boolean}}
+   */
+  function positionAt(player, t) {
+    const history = player.history;
+    if (!history.length || t >= history[history.length - 1].t) return player;
+    for (let i = history.length - 1; i > 0; i--) {
+      const a = history[i - 1];
+      const b = history[i];
+      if (t < a.t) continue;
+      if (a.dead !== b.dead) return a; // don't blend across a death or respawn
+      const k = (t - a.t) / (b.t - a.t || 1);
+      return { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k, dead: a.dead };
+    }
+    return history[0];
+  }
+
+  /**
+   * How far in the past a bullet is resolved now: the shooter's full rewind when
+   * it was fired, down to none once it has flown that long
+   * @returns {number} ms
+   */
+  function rewindOf(bullet, time) {
+    return Math.max(0, (bullet.rewind || 0) - (time - bullet.createdAt));
+  }
+
+  /**
+   * First tank a bullet touches between its position and (nextX, nextY)
+   * @param {number} rewind - ms in the past the targets are tested at (see rewindOf)
+   * @param {function(Object): Object} positionOf - Where to test each target (now or rewound)
+   * @returns {string|null} Victim id
+   */
+  function findBulletHit(game, bullet, nextX, nextY, rewind, positionOf) {
+    // Broad phase: tanks near the bullet's path, widened by how far any tank
+    // could have moved since the moment the shot is resolved against
+    const reach = MAX_HIT_RADIUS + (rewind / 1000) * MAX_TANK_TRAVEL_SPEED;
+    const candidates = game.tankGrid.queryBox(
+      Math.min(bullet.x, nextX) - reach,
+      Math.min(bullet.y, nextY) - reach,
+      Math.max(bullet.x, nextX) + reach,
+      Math.max(bullet.y, nextY) + reach
+    );
+
+    for (const target of candidates) {
+      const id = target.id;
+      if (id === bullet.owner) continue;
+      if (target.dead || target.invulnerable) continue;
+      if (!modes.canDamage(game, bullet.owner, target, bullet.team)) continue; // teammates' shots pass through
+
+      const position = positionOf(target);
+      if (position.dead) continue;
+
+      // Current position check (using squared distance)
+      const dx = position.x - bullet.x;
+      const dy = position.y - bullet.y;
+      const distSq = dx * dx + dy * dy;
+
+      // Also check next position (continuous collision detection)
+      const nextDx = position.x - nextX;
+      const nextDy = position.y - nextY;
+      const nextDistSq = nextDx * nextDx + nextDy * nextDy;
+
+      const hitRadiusSq = target.hitRadius * target.hitRadius; // Use squared distance to avoid sqrt
+      if (distSq < hitRadiusSq || nextDistSq < hitRadiusSq) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Hurt a tank, after the attacker's and the target's power-ups have had
+   * their say, and destroy it at 0 HP
+   * @param {Object} game - Game state
+   * @param {string} attackerId - Who gets the credit (may have left)
+   * @param {Object} target - Player being hit
+   * @param {number} damage - Base damage
+   * @param {number} time - Current time in ms
+   * @param {Object[]} events - Event list to append to
+   */
+  function damagePlayer(game, attackerId, target, damage, time, events) {
+    const dealt = powerups.modifyDamage(effectContext(game, time, events), game.players[attackerId], target, damage);
+    stats.recordDamage(game.stats[attackerId], game.stats[target.id], Math.min(dealt, target.hp));
+    target.hp = Math.max(0, target.hp - dealt);
+    if (target.hp <= 0) {
+      target.dead = true;
+      target.respawnTime = time + RESPAWN_TIME;
+      stats.recordKill(game.stats[attackerId], game.stats[target.id]);
+      modes.onKill(game, attackerId, target, time, events);
+    }
+  }
+
+  /**
+   * Whether an explosion or beam from `ownerId`, fired for `team`, can hurt a tank right now
+   */
+  function exposed(game, ownerId, team, target) {
+    return target.id !== ownerId && !target.dead && !target.held && modes.canDamage(game, ownerId, target, team);
+  }
+
+  /**
+   * Whether a shield wall stops shots from `ownerId`, fired for `team`: it only stops enemies'
+   */
+  function barrierBlocks(barrier, ownerId, team) {
+    if (ownerId === barrier.owner) return false;
+    return !(barrier.team && team === barrier.team);
+  }
+
+  /**
+   * Where a path first meets a shield wall
+   * @param {Object} barrier - { x, y, angle, halfLength, halfWidth }
+   * @returns {number|null} Fraction of the way from (x1, y1) to (x2, y2), or null if it misses
+   */
+  function barrierCrossing(barrier, x1, y1, x2, y2) {
+    const cos = Math.cos(barrier.angle);
+    const sin = Math.sin(barrier.angle);
+    // Both ends in the wall's own frame: u along it, v across it
+    const u1 = (x1 - barrier.x) * cos + (y1 - barrier.y) * sin;
+    const v1 = (y1 - barrier.y) * cos - (x1 - barrier.x) * sin;
+    const u2 = (x2 - barrier.x) * cos + (y2 - barrier.y) * sin;
+    const v2 = (y2 - barrier.y) * cos - (x2 - barrier.x) * sin;
+    const touches = Math.abs(v1) <= barrier.halfWidth || Math.abs(v2) <= barrier.halfWidth;
+    if (!touches && Math.sign(v1) === Math.sign(v2)) return null;
+
+    const t = v1 === v2 ? 0 : Math.max(0, Math.min(1, v1 / (v1 - v2)));
+    return Math.abs(u1 + (u2 - u1) * t) <= barrier.halfLength ? t : null;
+  }
+
+  /**
+   * Damage every enemy tank within a radius, then announce the explosion
+   * @param {Object} explosion - { owner, team, x, y, color, radius, damage, spared }; spared is
+   *   a tank id left out (a missile's direct hit has already been dealt with)
+   */
+  function blast(game, explosion, time, events) {
+    const { owner, team, x, y, radius, damage, spared } = explosion;
+    for (const target of game.tankGrid.query(x, y, radius)) {
+      if (target.id === spared || target.invulnerable || !exposed(game, owner, team, target)) continue;
+      if (Math.hypot(target.x - x, target.y - y) < radius) {
+        damagePlayer(game, owner, target, damage, time, events);
+      }
+    }
+    events.push({ type: "explosion", data: { owner, x, y, color: explosion.color, radius } });
+  }
+
+  function hitPlayer(game, bullet, id, time, events) {
+    stats.recordHit(game.stats[bullet.owner]);
+    damagePlayer(game, bullet.owner, game.players[id], bullet.damage, time, events);
+
+    events.push({
+      type: "bulletHit",
+      data: { shooter: bullet.owner, victim: id, hitX: bullet.x, hitY: bullet.y },
+    });
+  }
+
+  /**
+   * Take a bullet out of play; bullets with splash damage explode where they stop
+   * @param {string} [spared] - Tank it hit directly, left out of the splash
+   */
+  function removeBullet(game, index, time, events, spared) {
+    const [bullet] = game.bullets.splice(index, 1);
+    if (!bullet.splash) return;
+    blast(game, { ...bullet.splash, owner: bullet.owner, team: bullet.team, x: bullet.x, y: bullet.y, color: bullet.color, spared }, time, events);
+  }
+
+  /**
+   * Resolve the beams fired since the last tick: each runs from the muzzle to
+   * the first wall and hits every enemy tank it passes, as the shooter saw them
+   */
+  function updateBeams(game, time, events) {
+    for (const beam of game.beams) {
+      const dirX = Math.cos(beam.angle);
+      const dirY = Math.sin(beam.angle);
+      let length = 0;
+      while (length < beam.range) {
+        const x = beam.x + dirX * (length + BEAM_STEP);
+        const y = beam.y + dirY * (length + BEAM_STEP);
+        if (x < 0 || y < 0 || x > game.mapWidth || y > game.mapHeight) break;
+        if (solidsNear(game, x, y).some((shape) => physics.shapeContains(shape, x, y))) break;
+        length += BEAM_STEP;
+      }
+      const endX = beam.x + dirX * length;
+      const endY = beam.y + dirY * length;
+      for (const barrier of game.barriers) {
+        if (!barrierBlocks(barrier, beam.owner, beam.team)) continue;
+        const t = barrierCrossing(barrier, beam.x, beam.y, endX, endY);
+        if (t !== null) length = Math.min(length, t * Math.hypot(endX - beam.x, endY - beam.y));
+      }
+
+      const hits = [];
+      for (const id in game.players) {
+        const target = game.players[id];
+        if (target.invulnerable || !exposed(game, beam.owner, beam.team, target)) continue;
+        const position = positionAt(target, beam.viewTime);
+        if (position.dead) continue;
+        const along = (position.x - beam.x) * dirX + (position.y - beam.y) * dirY;
+        const across = Math.abs((position.y - beam.y) * dirX - (position.x - beam.x) * dirY);
+        const radius = target.hitRadius;
+        if (along > -radius && along < length + radius && across < radius) {
+          hits.push({ target, along });
+        }
+      }
+
+      if (hits.length) stats.recordHit(game.stats[beam.owner]);
+      for (const { target, along } of hits.sort((a, b) => a.along - b.along)) {
+        damagePlayer(game, beam.owner, target, beam.damage, time, events);
+        events.push({
+          type: "bulletHit",
+          data: { shooter: beam.owner, victim: target.id, hitX: beam.x + dirX * along, hitY: beam.y + dirY * along },
+        });
+      }
+      events.push({
+        type: "beam",
+        data: { owner: beam.owner, color: beam.color, x1: beam.x, y1: beam.y, x2: beam.x + dirX * length, y2: beam.y + dirY * length },
+      });
+    }
+    game.beams = [];
+  }
+
+  function updateBullets(game, dt, events) {
+    const time = now();
+
+    // Check collisions BEFORE moving bullets
+    for (let i = game.bullets.length - 1; i >= 0; i--) {
+      const bullet = game.bullets[i];
+      if (!bullet) continue;
+      if (bullet.homing) steerBullet(game, bullet, dt);
+
+      const nextX = bullet.x + bullet.vx * dt;
+      const nextY = bullet.y + bullet.vy * dt;
+
+      // Enemy shield walls stop it outright
+      const barrier = game.barriers.find(
+        (b) => barrierBlocks(b, bullet.owner, bullet.team) && barrierCrossing(b, bullet.x, bullet.y, nextX, nextY) !== null
+      );
+      if (barrier) {
+        const t = barrierCrossing(barrier, bullet.x, bullet.y, nextX, nextY);
+        bullet.x += (nextX - bullet.x) * t;
+        bullet.y += (nextY - bullet.y) * t;
+        events.push({ type: "wallImpact", data: { x: bullet.x, y: bullet.y, color: bullet.color || "#ffff00" } });
+        removeBullet(game, i, time, events);
+        continue;
+      }
+
+      // Check collision with all players, as the shooter saw them
+      const rewind = rewindOf(bullet, time);
+      const victim = findBulletHit(game, bullet, nextX, nextY, rewind, (target) =>
+        rewind ? positionAt(target, time - rewind) : target
+      );
+      if (victim) {
+        hitPlayer(game, bullet, victim, time, events);
+        removeBullet(game, i, time, events, victim);
+        continue;
+      }
+
+      // Move bullet if no hit
+      bullet.x = nextX;
+      bullet.y = nextY;
+
+      // Wall bouncing with max bounces
+      let bounced = false;
+
+      if (bullet.x < 0 || bullet.x > game.mapWidth) {
+        if (bullet.bounces < bullet.maxBounces) {
+          bullet.vx = -bullet.vx;
+          bullet.x = Math.max(0, Math.min(game.mapWidth, bullet.x));
+          bullet.bounces++;
+          bounced = true;
+          events.push({
+            type: "wallImpact",
+            data: { x: bullet.x, y: bullet.y, color: bullet.color || "#ffff00" },
+          });
+        } else {
+          removeBullet(game, i, time, events);
+          continue;
+        }
+      }
+
+      if (bullet.y < 0 || bullet.y > game.mapHeight) {
+        if (bullet.bounces < bullet.maxBounces) {
+          bullet.vy = -bullet.vy;
+          bullet.y = Math.max(0, Math.min(game.mapHeight, bullet.y));
+          bullet.bounces++;
+          bounced = true;
+          events.push({
+            type: "wallImpact",
+            data: { x: bullet.x, y: bullet.y, color: bullet.color || "#ffff00" },
+          });
+        } else {
+          removeBullet(game, i, time, events);
+          continue;
+        }
+      }
+
+      // Ricochet off walls and obstacles inside the arena
+      const shape =
+        !bounced && solidsNear(game, bullet.x, bullet.y).find((s) => physics.shapeContains(s, bullet.x, bullet.y));
+      if (shape) {
+        if (bullet.bounces < bullet.maxBounces) {
+          reflectBullet(bullet, shape, dt);
+          bullet.bounces++;
+          bounced = true;
+          events.push({
+            type: "wallImpact",
+            data: { x: bullet.x, y: bullet.y, color: bullet.color || "#ffff00" },
+          });
+        } else {
+          removeBullet(game, i, time, events);
+          continue;
+        }
+      }
+
+      // Update angle after bounce
+      if (bounced) {
+        bullet.angle = Math.atan2(bullet.vy, bullet.vx);
+      }
+
+      // Remove if too old
+      if (time - bullet.createdAt >= bullet.maxAge) {
+        removeBullet(game, i, time, events);
+      }
+    }
+  }
+
+  /**
+   * Turn a homing bullet towards the nearest enemy ahead of it, as far as its
+   * turn rate allows this tick
+   */
+  function steerBullet(game, bullet, dt) {
+    const { range, cone, turnRate } = bullet.homing;
+    let best = null;
+    let bestDistance = range;
+    let bestTurn = 0;
+    for (const target of game.tankGrid.query(bullet.x, bullet.y, range)) {
+      if (target.id === bullet.owner || target.dead || !modes.canDamage(game, bullet.owner, target, bullet.team)) continue;
+      const distance = Math.hypot(target.x - bullet.x, target.y - bullet.y);
+      const bearing = Math.atan2(target.y - bullet.y, target.x - bullet.x);
+      const turn = Math.atan2(Math.sin(bearing - bullet.angle), Math.cos(bearing - bullet.angle));
+      if (distance < bestDistance && Math.abs(turn) <= cone) {
+        best = target;
+        bestDistance = distance;
+        bestTurn = turn;
+      }
+    }
+    if (!best) return;
+
+    const speed = Math.hypot(bullet.vx, bullet.vy);
+    bullet.angle += Math.max(-turnRate * dt, Math.min(turnRate * dt, bestTurn));
+    bullet.vx = Math.cos(bullet.angle) * speed;
+    bullet.vy = Math.sin(bullet.angle) * speed;
+  }
+
+  /**
+   * Mirror a bullet's velocity about the surface it just entered and move it
+   * back onto that surface
+   * @param {Object} bullet - Bullet already inside `shape`
+   * @param {Object} shape - Rectangle or circle it hit
+   * @param {number} dt - Tick length, to recover where the bullet came from
+   */
+  function reflectBullet(bullet, shape, dt) {
+    const EPSILON = 0.01;
+
+    if (typeof shape.r === "number") {
+      let nx = bullet.x - shape.x;
+      let ny = bullet.y - shape.y;
+      const len = Math.sqrt(nx * nx + ny * ny) || 1;
+      nx /= len;
+      ny /= len;
+      const dot = bullet.vx * nx + bullet.vy * ny;
+      bullet.vx -= 2 * dot * nx;
+      bullet.vy -= 2 * dot * ny;
+      bullet.x = shape.x + nx * (shape.r + EPSILON);
+      bullet.y = shape.y + ny * (shape.r + EPSILON);
+      return;
+    }
+
+    // Whichever axis was outside the rectangle last tick is the face we crossed
+    const prevX = bullet.x - bullet.vx * dt;
+    const prevY = bullet.y - bullet.vy * dt;
+    if (prevX <= shape.x || prevX >= shape.x + shape.w) {
+      bullet.x = prevX <= shape.x ? shape.x - EPSILON : shape.x + shape.w + EPSILON;
+      bullet.vx = -bullet.vx;
+    }
+    if (prevY <= shape.y || prevY >= shape.y + shape.h) {
+      bullet.y = prevY <= shape.y ? shape.y - EPSILON : shape.y + shape.h + EPSILON;
+      bullet.vy = -bullet.vy;
+    }
+  }
+
+  function updatePowerUps(game, events) {
+    const time = now();
+    game.powerUps = game.powerUps.filter((powerUp) => {
+      // lifetime
+      if (time - powerUp.createdAt > POWER_UP_LIFETIME) return false;
+
+      // Check collision with players
+      for (const player of game.tankGrid.query(powerUp.x, powerUp.y, POWER_UP_RADIUS)) {
+        const playerId = player.id;
+        if (player.dead) continue;
+
+        const dx = player.x - powerUp.x;
+        const dy = player.y - powerUp.y;
+        if (dx * dx + dy * dy < POWER_UP_RADIUS * POWER_UP_RADIUS) {
+          applyPowerUp(game, playerId, powerUp.type, events);
+          return false; // Remove power-up after collection
+        }
+      }
+
+      return true; // Keep power-up
+    });
+  }
+
+  /**
+   * Set off armed mines an enemy drives over; the blast hurts every enemy in reach
+   */
+  function updateMines(game, time, events) {
+    const { lifetime, triggerRadius, blastRadius, damage } = weapons.MINE;
+    game.mines = game.mines.filter((mine) => {
+      if (time - mine.createdAt > lifetime) return false;
+      if (time < mine.armedAt) return true;
+      const triggered = game.tankGrid
+        .query(mine.x, mine.y, triggerRadius)
+        .some((target) => exposed(game, mine.owner, mine.team, target) && Math.hypot(target.x - mine.x, target.y - mine.y) < triggerRadius);
+      if (!triggered) return true;
+
+      blast(game, { owner: mine.owner, team: mine.team, x: mine.x, y: mine.y, color: mine.color, radius: blastRadius, damage }, time, events);
+      return false;
+    });
+  }
+
+  /**
+   * Pick a class for a player's next spawn
+   * @param {Object} game - Game state
+   * @param {string} playerId
+   * @param {string} classId - Key of classes.CLASSES
+   * @returns {boolean} Whether the class exists
+   */
+  function setClass(game, playerId, classId) {
+    const player = game.players[playerId];
+    if (!player || !classes.CLASSES[classId]) return false;
+    player.nextClass = classId === player.tankClass ? null : classId;
+    return true;
+  }
+
+  /**
+   * Use the player's class ability if it is off cooldown
+   * @returns {Object[]} Events for the network layer to broadcast; empty when nothing happened
+   */
+  function useAbility(game, playerId) {
+    const events = [];
+    const player = game.players[playerId];
+    if (!player || player.dead || player.held || lifecycle.isFrozen(game.match)) return events;
+    classes.useAbility(effectContext(game, now(), events), player);
+    return events;
+  }
+
+  /**
+   * Advance a game by one tick
+   * @param {Object} game - Game state, mutated in place
+   * @param {Object} inputs - playerId -> input samples to apply this tick, in order
+   * @param {number} dt - Tick length in seconds
+   * @returns {Object[]} Events ({ type, data }) for the network layer to broadcast
+   */
+  function step(game, inputs, dt) {
+    const events = [];
+    const time = now();
+
+    lifecycle.updateMatch(game, time, resetRound, events);
+    if (lifecycle.isFrozen(game.match)) {
+      // Tanks hold still, but inputs are still acknowledged so prediction doesn't stall
+      for (const id in game.players) {
+        const player = game.players[id];
+        player.vx = 0;
+        player.vy = 0;
+        for (const input of (inputs && inputs[id]) || []) {
+          if (input && typeof input.seq === "number") player.lastProcessedInput = input.seq;
+        }
+      }
+      return events;
+    }
+
+    // Spawn power-ups periodically with a cap
+    if (time - game.lastPowerUpSpawnTime > POWER_UP_SPAWN_INTERVAL) {
+      game.lastPowerUpSpawnTime = time;
+      if (game.powerUps.length < MAX_POWER_UPS) {
+        spawnPowerUp(game);
+      }
+    }
+
+    // Shield walls run out
+    if (game.barriers.length) game.barriers = game.barriers.filter((barrier) => time < barrier.expiresAt);
+
+    // Handle bullet collisions with continuous collision detection
+    indexTanks(game);
+    updateBeams(game, time, events);
+    updateBullets(game, dt, events);
+
+    // Process inputs against each tank's movement budget. It only grows with
+    // simulated time, so inflated dt values or floods of samples can't buy distance.
+    for (const id in game.players) {
+      const player = game.players[id];
+      player.inputBudget = Math.min(MAX_INPUT_BUDGET, player.inputBudget + dt);
+      for (const input of (inputs && inputs[id]) || []) {
+        if (!input) continue;
+        const allowed = Math.min(input.dt || dt, player.inputBudget);
+        if (allowed > 0) {
+          applyInput(game, player, allowed === input.dt ? input : { ...input, dt: allowed });
+          player.inputBudget -= allowed;
+        } else if (typeof input.seq === "number") {
+          player.lastProcessedInput = input.seq; // over budget: acknowledged but not applied
+        }
+      }
+    }
+
+    // Respawn players; the living add to their time alive. Held tanks wait for their owner.
+    for (const id in game.players) {
+      const player = game.players[id];
+      if (player.held) continue;
+      if (player.dead && player.respawnTime && time > player.respawnTime) {
+        respawn(game, player);
+      } else if (!player.dead) {
+        stats.recordLife(game.stats[id], dt * 1000);
+      }
+    }
+
+    // Power-up collection and mines
+    if (game.powerUps.length || game.mines.length) {
+      indexTanks(game); // tanks have moved and respawned since the bullet pass
+      updatePowerUps(game, events);
+      updateMines(game, time, events);
+    }
+
+    // Active power-ups tick and run out; spawn protection wears off
+    const ctx = effectContext(game, time, events);
+    for (const id in game.players) {
+      const player = game.players[id];
+      powerups.updateEffects(ctx, player, dt, !player.dead && !player.held);
+      if (player.invulnerable && time > player.invulnerableExpireTime) {
+        player.invulnerable = false;
+        player.invulnerableExpireTime = null;
+      }
+    }
+
+    // Flags, hill control and other mode objectives
+    modes.update(game, dt, time, events);
+
+    recordHistory(game, time);
+
+    return events;
+  }
+
+  return {
+    now,
+    random,
+    addPlayer,
+    removePlayer,
+    holdPlayer,
+    reclaimPlayer,
+    applyInput,
+    shoot,
+    setClass,
+    useAbility,
+    spawnPowerUp,
+    applyPowerUp,
+    resetRound,
+    endRound,
+    step,
+  };
+}
+
+module.exports = {
+  OPEN_ARENA,
+  MAP_WIDTH,
+  MAP_HEIGHT,
+  BULLET_SPEED,
+  createRng,
+  createGameState,
+  createSimulation,
+};
@@ -0,0 +1,105 @@
+/**
+ * Per-player combat statistics for the current round.
+ *
+ * game.stats keeps one record per player next to game.scores and is cleared
+ * with the scores when a round starts. The simulation fills it in from its
+ * shot, hit, damage, death and power-up paths; describeStats() is the public view
+ * that goes into snapshots and the round results.
+ */
+
+/**
+ * Fresh record for a player who just joined or a round that just started
+ */
+function createStats() {
+  return {
+    kills: 0,
+    deaths: 0,
+    damageDealt: 0,
+    damageTaken: 0,
+    shotsFired: 0,
+    shotsHit: 0, // projectiles that struck a tank
+    powerUps: 0,
+    currentLife: 0, // ms alive since the last spawn, counting only unfrozen play
+    longestLife: 0,
+  };
+}
+
+/**
+ * @param {Object} stats - The shooter's record
+ * @param {number} projectiles - Bullets the shot created (rapid fire spreads several)
+ */
+function recordShot(stats, projectiles) {
+  stats.shotsFired += projectiles;
+}
+
+/**
+ * A bullet struck a tank (its damage is counted by recordDamage)
+ * @param {Object|undefined} shooter - Shooter's record (gone if they left)
+ */
+function recordHit(shooter) {
+  if (shooter) shooter.shotsHit++;
+}
+
+/**
+ * A tank lost HP to a bullet or a mine
+ * @param {Object|undefined} attacker - Attacker's record (gone if they left)
+ * @param {Object} victim - Victim's record
+ * @param {number} damage - HP actually removed (0 through a shield)
+ */
+function recordDamage(attacker, victim, damage) {
+  if (attacker) attacker.damageDealt += damage;
+  victim.damageTaken += damage;
+}
+
+/**
+ * A tank was destroyed; its life ends here
+ * @param {Object|undefined} killer - Killer's record (gone if they left)
+ * @param {Object} victim - Victim's record
+ */
+function recordKill(killer, victim) {
+  if (killer) killer.kills++;
+  victim.deaths++;
+  victim.currentLife = 0;
+}
+
+function recordPowerUp(stats) {
+  stats.powerUps++;
+}
+
+/**
+ * Count time a living tank spent in play
+ * @param {number} ms
+ */
+function recordLife(stats, ms) {
+  stats.currentLife += ms;
+  stats.longestLife = Math.max(stats.longestLife, stats.currentLife);
+}
+
+/**
+ * What clients see: accuracy as a whole percentage and longest life in whole
+ * seconds, so the values only change (and cost snapshot bytes) when they matter
+ */
+function describeStats(stats) {
+  return {
+    kills: stats.kills,
+    deaths: stats.deaths,
+    damageDealt: stats.damageDealt,
+    damageTaken: stats.damageTaken,
+    shotsFired: stats.shotsFired,
+    shotsHit: stats.shotsHit,
+    accuracy: stats.shotsFired ? Math.round((stats.shotsHit / stats.shotsFired) * 100) : 0,
+    powerUps: stats.powerUps,
+    longestLife: Math.floor(stats.longestLife / 1000),
+  };
+}
+
+module.exports = {
+  createStats,
+  recordShot,
+  recordHit,
+  recordDamage,
+  recordKill,
+  recordPowerUp,
+  recordLife,
+  describeStats,
+};
@@ -0,0 +1,134 @@
+/**
+ * Server-side checks on everything clients send about their tank.
+ *
+ * The movement model trusts input.dt, so a modified client could move faster
+ * by inflating dt or by flooding samples. Inputs are normalized here before
+ * they are queued, the game loop hands at most MAX_INPUTS_PER_TICK to the
+ * simulation, and the simulation spends them against a movement budget that
+ * only grows with server time (see simulation.step).
+ *
+ * Each socket gets a guard from createGuard() that tracks its last sequence
+ * number, shot rate and a decaying violation score. Honest clients stay at
+ * zero; clients that keep breaking the rules are flagged, then kicked.
+ */
+const { weaponForSlot } = require("./weapons");
+
+const MAX_INPUT_DT = 1 / 30; // one sample may cover at most two ticks
+const MAX_INPUT_BUDGET = 0.25; // seconds of movement a stalled client may catch up on
+const MAX_INPUTS_PER_TICK = 8;
+const MAX_INPUT_BATCH = 30; // samples in one `input` message
+const MAX_QUEUED_INPUTS = 120;
+const MAX_SHOTS_PER_SECOND = 10; // every weapon fired as fast as it goes is about 5, so this only catches scripts
+const VIOLATION_DECAY = 1; // points forgiven per second
+const FLAG_THRESHOLD = 10;
+const KICK_THRESHOLD = 30;
+const MOVE_KEYS = ["w", "a", "s", "d"];
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function normalizeAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Fresh per-connection state; create a new one whenever the socket joins a game
+ */
+function createGuard() {
+  return {
+    lastSeq: 0,
+    violations: 0,
+    violationsUpdatedAt: 0,
+    flagged: false,
+    shotWindowStart: 0,
+    shotsInWindow: 0,
+  };
+}
+
+/**
+ * Check one input sample from a client and return a clean copy
+ * @param {*} sample - Untrusted { seq, inputs, rotation, turretRotation, dt }
+ * @param {number} lastSeq - Highest seq already accepted from this client
+ * @returns {{input: Object|null, violation: string|null}} input is null when the sample must be dropped
+ */
+function validateInput(sample, lastSeq) {
+  if (!sample || typeof sample !== "object" || !sample.inputs || typeof sample.inputs !== "object") {
+    return { input: null, violation: "malformed input" };
+  }
+  if (!Number.isInteger(sample.seq) || sample.seq <= lastSeq) {
+    return { input: null, violation: "input seq out of order" };
+  }
+  if (!isFiniteNumber(sample.dt) || sample.dt <= 0) {
+    return { input: null, violation: "invalid input dt" };
+  }
+
+  const inputs = {};
+  for (const key of MOVE_KEYS) inputs[key] = sample.inputs[key] === true;
+
+  const input = {
+    seq: sample.seq,
+    inputs,
+    dt: Math.min(sample.dt, MAX_INPUT_DT),
+  };
+  if (isFiniteNumber(sample.rotation)) input.rotation = normalizeAngle(sample.rotation);
+  if (isFiniteNumber(sample.turretRotation)) input.turretRotation = normalizeAngle(sample.turretRotation);
+
+  return { input, violation: sample.dt > MAX_INPUT_DT ? "input dt too large" : null };
+}
+
+/**
+ * Aim angle and weapon from a `shoot` message
+ * @param {*} data - Untrusted { angle, slot }; no slot means the cannon
+ * @returns {{angle: number, weapon: string}|null} null when the angle isn't a finite number or the slot is unknown
+ */
+function validateShot(data) {
+  const angle = data && data.angle;
+  const weapon = data ? weaponForSlot(data.slot) : null;
+  return isFiniteNumber(angle) && weapon ? { angle: normalizeAngle(angle), weapon } : null;
+}
+
+/**
+ * Count a shot request against the per-second limit
+ * @returns {boolean} false when the client is asking faster than any weapon fires
+ */
+function countShot(guard, time) {
+  if (time - guard.shotWindowStart >= 1000) {
+    guard.shotWindowStart = time;
+    guard.shotsInWindow = 0;
+  }
+  guard.shotsInWindow++;
+  return guard.shotsInWindow <= MAX_SHOTS_PER_SECOND;
+}
+
+/**
+ * Add to a client's violation score
+ * @param {Object} guard - From createGuard()
+ * @param {number} time - Current time in ms
+ * @param {number} [weight=1]
+ * @returns {"flag"|"kick"|null} "flag" the first time the client crosses FLAG_THRESHOLD
+ */
+function recordViolation(guard, time, weight = 1) {
+  const elapsed = Math.max(0, time - guard.violationsUpdatedAt) / 1000;
+  guard.violations = Math.max(0, guard.violations - elapsed * VIOLATION_DECAY) + weight;
+  guard.violationsUpdatedAt = time;
+
+  if (guard.violations >= KICK_THRESHOLD) return "kick";
+  if (guard.violations >= FLAG_THRESHOLD && !guard.flagged) {
+    guard.flagged = true;
+    return "flag";
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_INPUT_BUDGET,
+  MAX_INPUTS_PER_TICK,
+  MAX_INPUT_BATCH,
+  MAX_QUEUED_INPUTS,
+  createGuard,
+  validateInput,
+  validateShot,
+  countShot,
+  recordViolation,
+};
@@ -0,0 +1,184 @@
+/**
+ * Weapon registry.
+ *
+ * Every tank has the cannon, with unlimited ammo. The other weapons are
+ * picked up from the map (as "<weapon>Ammo" power-ups, see game/powerups.js)
+ * and fire until their ammo runs out; ammo is lost with the tank.
+ *
+ * A weapon's slot is what the `shoot` message names: slot 0 is the cannon,
+ * the rest follow WEAPON_SLOTS. Each weapon fires in one of three ways:
+ *
+ *   projectile  `projectiles` bullets of kind `projectile`, `spread` radians
+ *               apart, flying at `speed` for up to `maxAge` ms and bouncing
+ *               `bounces` times; `splash` ({ radius, damage }) makes them
+ *               explode where they stop, `homing` makes them steer
+ *   beam        an instant line `range` px long that stops at the first wall
+ *               and hits every enemy tank on it
+ *   mine        drops a proximity mine (MINE) where the tank stands
+ *
+ * The kind of each projectile goes out in snapshots so clients can draw it.
+ */
+
+const MINE = {
+  perPlayer: 4, // mines one tank may have down at once, however they were laid
+  armTime: 1000, // ms before a mine reacts
+  lifetime: 30000,
+  triggerRadius: 24, // an enemy tank this close sets it off
+  blastRadius: 70,
+  damage: 40,
+};
+
+const WEAPONS = {
+  cannon: {
+    name: "Cannon",
+    fire: "projectile",
+    projectile: "shell",
+    cooldown: 1500,
+    speed: 300, // px per second
+    damage: 20,
+    maxAge: 10000, // enough time for multiple bounces
+    bounces: 3,
+  },
+
+  // Piercing hitscan laser
+  railgun: {
+    name: "Railgun",
+    fire: "beam",
+    cooldown: 1200,
+    damage: 45,
+    range: 1400,
+    pickupAmmo: 3,
+    maxAmmo: 6,
+    pickupWeight: 0.5,
+  },
+
+  shotgun: {
+    name: "Shotgun",
+    fire: "projectile",
+    projectile: "pellet",
+    cooldown: 900,
+    projectiles: 7,
+    spread: 0.09,
+    speed: 450,
+    damage: 10,
+    maxAge: 450, // short range
+    bounces: 0,
+    pickupAmmo: 6,
+    maxAmmo: 12,
+    pickupWeight: 0.6,
+  },
+
+  missile: {
+    name: "Missile",
+    fire: "projectile",
+    projectile: "missile",
+    cooldown: 1500,
+    speed: 180,
+    damage: 25,
+    maxAge: 5000,
+    bounces: 0,
+    splash: { radius: 80, damage: 25 },
+    homing: { turnRate: 1.8, range: 350, cone: Math.PI / 2 },
+    pickupAmmo: 3,
+    maxAmmo: 6,
+    pickupWeight: 0.5,
+  },
+
+  mine: {
+    name: "Mines",
+    fire: "mine",
+    cooldown: 600,
+    pickupAmmo: 3,
+    maxAmmo: 5,
+    pickupWeight: 0.5,
+  },
+};
+
+const DEFAULT_WEAPON = "cannon";
+const WEAPON_SLOTS = ["cannon", "railgun", "shotgun", "missile", "mine"]; // index is the slot
+
+/**
+ * Weapon in a `shoot` message's slot
+ * @param {*} slot - Untrusted; a missing slot means the cannon
+ * @returns {string|null} Weapon id, or null for anything but a known slot
+ */
+function weaponForSlot(slot) {
+  if (slot === undefined) return DEFAULT_WEAPON;
+  return Number.isInteger(slot) ? WEAPON_SLOTS[slot] || null : null;
+}
+
+/**
+ * Whether a tank can fire a weapon now as far as ammo goes
+ */
+function hasAmmo(player, id) {
+  return WEAPONS[id].pickupAmmo === undefined || (player.ammo[id] || 0) > 0;
+}
+
+/**
+ * Spend one round of a limited weapon
+ */
+function useAmmo(player, id) {
+  if (WEAPONS[id].pickupAmmo === undefined) return;
+  player.ammo[id]--;
+  if (player.ammo[id] <= 0) delete player.ammo[id];
+}
+
+/**
+ * Add a pickup's worth of ammo, up to the weapon's maximum
+ */
+function giveAmmo(player, id) {
+  const weapon = WEAPONS[id];
+  player.ammo[id] = Math.min(weapon.maxAmmo, (player.ammo[id] || 0) + weapon.pickupAmmo);
+}
+
+/**
+ * Put a mine down under a tank
+ * @param {Object} game - Game state (mines go in game.mines)
+ * @param {Object} player - Owner
+ * @param {number} time - Current time in ms
+ * @returns {boolean} false when the tank already has MINE.perPlayer mines down
+ */
+function layMine(game, player, time) {
+  if (game.mines.filter((mine) => mine.owner === player.id).length >= MINE.perPlayer) return false;
+  game.mines.push({
+    id: ++game.nextEntityId,
+    owner: player.id,
+    team: player.team || null, // spared even if the owner leaves
+    color: player.color,
+    x: player.x,
+    y: player.y,
+    armedAt: time + MINE.armTime,
+    createdAt: time,
+  });
+  return true;
+}
+
+/**
+ * Weapons in slot order, for the HUD and the client's fire pacing
+ */
+function listWeapons() {
+  return WEAPON_SLOTS.map((id) => {
+    const weapon = WEAPONS[id];
+    return {
+      id,
+      name: weapon.name,
+      fire: weapon.fire,
+      projectile: weapon.projectile || null,
+      cooldown: weapon.cooldown,
+      speed: weapon.speed || null,
+    };
+  });
+}
+
+module.exports = {
+  WEAPONS,
+  WEAPON_SLOTS,
+  DEFAULT_WEAPON,
+  MINE,
+  weaponForSlot,
+  hasAmmo,
+  useAmmo,
+  giveAmmo,
+  layMine,
+  listWeapons,
+};
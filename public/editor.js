@@ -0,0 +1,522 @@
+// Map Editor - draws arenas in the JSON format the server loads from /maps
+
+const MIN_MAP_SIZE = 400;
+const MAX_MAP_SIZE = 4000;
+const POINT_RADIUS = 20; // spawns and pads are drawn/picked at tank size
+const MAP_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// UI Elements
+const canvas = document.getElementById("editor-canvas");
+const ctx = canvas.getContext("2d");
+const toolButtons = document.querySelectorAll(".tool-btn");
+const mapIdInput = document.getElementById("map-id");
+const mapNameInput = document.getElementById("map-name");
+const mapWidthInput = document.getElementById("map-width");
+const mapHeightInput = document.getElementById("map-height");
+const gridSizeSelect = document.getElementById("grid-size");
+const validateBtn = document.getElementById("validate-btn");
+const exportBtn = document.getElementById("export-btn");
+const importBtn = document.getElementById("import-btn");
+const importFile = document.getElementById("import-file");
+const clearBtn = document.getElementById("clear-btn");
+const serverMapsSelect = document.getElementById("server-maps");
+const publishBtn = document.getElementById("publish-btn");
+const statusBox = document.getElementById("editor-status");
+
+const editor = {
+  map: emptyMap(1000, 720),
+  tool: "wall",
+  grid: 20,
+  drag: null, // { x, y, currentX, currentY } in map space while drawing
+  hover: null,
+  problems: [], // unreachable points from the last validation
+  scale: 1,
+  offsetX: 0,
+  offsetY: 0,
+};
+
+function emptyMap(width, height) {
+  return {
+    id: mapIdInput.value || "my-map",
+    name: mapNameInput.value || "My Map",
+    width,
+    height,
+    walls: [],
+    obstacles: [],
+    spawns: [],
+    powerUpPads: [],
+  };
+}
+
+// View: fit the whole map into the canvas
+function updateView() {
+  const { width, height } = editor.map;
+  editor.scale = Math.min(1, (canvas.width - 20) / width, (canvas.height - 20) / height);
+  editor.offsetX = (canvas.width - width * editor.scale) / 2;
+  editor.offsetY = (canvas.height - height * editor.scale) / 2;
+}
+
+function toMap(e) {
+  const rect = canvas.getBoundingClientRect();
+  const x = ((e.clientX - rect.left) * (canvas.width / rect.width) - editor.offsetX) / editor.scale;
+  const y = ((e.clientY - rect.top) * (canvas.height / rect.height) - editor.offsetY) / editor.scale;
+  return { x, y };
+}
+
+function snap(value, max) {
+  return Math.max(0, Math.min(max, Math.round(value / editor.grid) * editor.grid));
+}
+
+function setStatus(message, kind) {
+  statusBox.textContent = message;
+  statusBox.className = kind || "";
+}
+
+// Editing
+function shapeFromDrag(drag) {
+  const { width, height } = editor.map;
+  const x1 = snap(drag.x, width);
+  const y1 = snap(drag.y, height);
+  const x2 = snap(drag.currentX, width);
+  const y2 = snap(drag.currentY, height);
+
+  if (editor.tool === "pillar") {
+    const maxR = Math.min(x1, y1, width - x1, height - y1);
+    const r = Math.min(maxR, Math.round(Math.hypot(x2 - x1, y2 - y1)));
+    return r > 0 ? { x: x1, y: y1, r } : null;
+  }
+
+  const w = Math.abs(x2 - x1);
+  const h = Math.abs(y2 - y1);
+  return w > 0 && h > 0 ? { x: Math.min(x1, x2), y: Math.min(y1, y2), w, h } : null;
+}
+
+function addPoint(list, point) {
+  const { width, height } = editor.map;
+  list.push({
+    x: Math.max(POINT_RADIUS, Math.min(width - POINT_RADIUS, snap(point.x, width))),
+    y: Math.max(POINT_RADIUS, Math.min(height - POINT_RADIUS, snap(point.y, height))),
+  });
+}
+
+/**
+ * Remove the topmost item under a point: spawns and pads first, then obstacles, then walls
+ * @returns {boolean} Whether anything was removed
+ */
+function eraseAt(point) {
+  const { map } = editor;
+  const pointLists = [map.spawns, map.powerUpPads];
+  for (const list of pointLists) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (Math.hypot(list[i].x - point.x, list[i].y - point.y) <= POINT_RADIUS) {
+        list.splice(i, 1);
+        return true;
+      }
+    }
+  }
+  for (const list of [map.obstacles, map.walls]) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (TankPhysics.shapeContains(list[i], point.x, point.y, 2)) {
+        list.splice(i, 1);
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+canvas.addEventListener("mousedown", (e) => {
+  const point = toMap(e);
+
+  if (e.button === 2) {
+    if (eraseAt(point)) onMapChanged();
+    return;
+  }
+  if (e.button !== 0) return;
+
+  switch (editor.tool) {
+    case "spawn":
+      addPoint(editor.map.spawns, point);
+      onMapChanged();
+      break;
+    case "pad":
+      addPoint(editor.map.powerUpPads, point);
+      onMapChanged();
+      break;
+    case "erase":
+      if (eraseAt(point)) onMapChanged();
+      break;
+    default:
+      editor.drag = { x: point.x, y: point.y, currentX: point.x, currentY: point.y };
+  }
+});
+
+canvas.addEventListener("mousemove", (e) => {
+  const point = toMap(e);
+  editor.hover = point;
+  if (editor.drag) {
+    editor.drag.currentX = point.x;
+    editor.drag.currentY = point.y;
+  }
+  render();
+});
+
+window.addEventListener("mouseup", () => {
+  if (!editor.drag) return;
+  const shape = shapeFromDrag(editor.drag);
+  editor.drag = null;
+  if (!shape) {
+    render();
+    return;
+  }
+  if (editor.tool === "wall") editor.map.walls.push(shape);
+  else editor.map.obstacles.push(shape);
+  onMapChanged();
+});
+
+canvas.addEventListener("mouseleave", () => {
+  editor.hover = null;
+  render();
+});
+
+canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+
+toolButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    editor.tool = button.dataset.tool;
+    toolButtons.forEach((b) => b.classList.toggle("active", b === button));
+  });
+});
+
+gridSizeSelect.addEventListener("change", () => {
+  editor.grid = Number(gridSizeSelect.value) || 20;
+  render();
+});
+
+function onSizeChanged() {
+  const width = Math.round(Number(mapWidthInput.value));
+  const height = Math.round(Number(mapHeightInput.value));
+  if (!(width >= MIN_MAP_SIZE && width <= MAX_MAP_SIZE && height >= MIN_MAP_SIZE && height <= MAX_MAP_SIZE)) {
+    setStatus(`Width and height must be between ${MIN_MAP_SIZE} and ${MAX_MAP_SIZE}.`, "error");
+    return;
+  }
+  editor.map.width = width;
+  editor.map.height = height;
+  updateView();
+  onMapChanged();
+}
+
+mapWidthInput.addEventListener("change", onSizeChanged);
+mapHeightInput.addEventListener("change", onSizeChanged);
+
+function onMapChanged() {
+  editor.problems = [];
+  setStatus("");
+  render();
+}
+
+// Validation
+function isInside(shape, map) {
+  if (typeof shape.r === "number") {
+    return shape.x - shape.r >= 0 && shape.y - shape.r >= 0 &&
+      shape.x + shape.r <= map.width && shape.y + shape.r <= map.height;
+  }
+  return shape.x >= 0 && shape.y >= 0 && shape.x + shape.w <= map.width && shape.y + shape.h <= map.height;
+}
+
+/**
+ * Check the map the same way the server will when it's published
+ * @returns {string[]} Problems, empty when the map is valid
+ */
+function validateMap() {
+  const map = currentMap();
+  const problems = [];
+  editor.problems = [];
+
+  if (!MAP_ID_PATTERN.test(map.id)) {
+    problems.push("Id must be 1-32 characters of a-z, 0-9, _ or -.");
+  }
+
+  const solids = [...map.walls, ...map.obstacles];
+  solids.forEach((shape, i) => {
+    if (!isInside(shape, map)) problems.push(`Shape ${i + 1} sticks out of the map.`);
+  });
+
+  const points = [
+    ...map.spawns.map((p, i) => ({ ...p, label: `Spawn ${i + 1}` })),
+    ...map.powerUpPads.map((p, i) => ({ ...p, label: `Power-up pad ${i + 1}` })),
+  ];
+  for (const point of points) {
+    if (solids.some((shape) => TankPhysics.shapeContains(shape, point.x, point.y, TankPhysics.TANK_RADIUS))) {
+      problems.push(`${point.label} overlaps a wall or obstacle.`);
+      editor.problems.push(point);
+    }
+  }
+
+  if (!map.spawns.length) {
+    problems.push("Add at least one spawn point.");
+  }
+
+  for (const point of TankPhysics.findUnreachable(map)) {
+    const label = { spawn: "Spawn", powerUpPad: "Power-up pad", flag: "Flag" }[point.kind];
+    problems.push(`${label} ${point.index + 1} can't be reached.`);
+    editor.problems.push(point);
+  }
+
+  render();
+  return problems;
+}
+
+function currentMap() {
+  return {
+    ...editor.map,
+    id: mapIdInput.value.trim().toLowerCase(),
+    name: mapNameInput.value.trim() || mapIdInput.value.trim(),
+  };
+}
+
+validateBtn.addEventListener("click", () => {
+  const problems = validateMap();
+  if (problems.length) setStatus(problems.join("\n"), "error");
+  else setStatus("Map is valid. Every spawn and pad is reachable.", "ok");
+});
+
+// Import / export
+function loadIntoEditor(data) {
+  const width = Math.round(Number(data.width)) || 1000;
+  const height = Math.round(Number(data.height)) || 720;
+  editor.map = {
+    id: String(data.id || ""),
+    name: String(data.name || ""),
+    width,
+    height,
+    walls: Array.isArray(data.walls) ? data.walls : [],
+    obstacles: Array.isArray(data.obstacles) ? data.obstacles : [],
+    spawns: Array.isArray(data.spawns) ? data.spawns : [],
+    powerUpPads: Array.isArray(data.powerUpPads) ? data.powerUpPads : [],
+  };
+  // Mode objectives have no tools yet, but keep them so they survive a round trip
+  if (Array.isArray(data.flags)) editor.map.flags = data.flags;
+  if (data.hill) editor.map.hill = data.hill;
+  mapIdInput.value = editor.map.id;
+  mapNameInput.value = editor.map.name;
+  mapWidthInput.value = width;
+  mapHeightInput.value = height;
+  updateView();
+  onMapChanged();
+}
+
+exportBtn.addEventListener("click", () => {
+  const map = currentMap();
+  const blob = new Blob([JSON.stringify(map, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${map.id || "map"}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+importBtn.addEventListener("click", () => importFile.click());
+
+importFile.addEventListener("change", () => {
+  const file = importFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadIntoEditor(JSON.parse(reader.result));
+      setStatus(`Imported ${file.name}.`, "ok");
+    } catch (err) {
+      setStatus(`Could not read ${file.name}: ${err.message}`, "error");
+    }
+  };
+  reader.readAsText(file);
+  importFile.value = "";
+});
+
+clearBtn.addEventListener("click", () => {
+  if (!confirm("Remove every wall, obstacle, spawn and pad?")) return;
+  editor.map = { ...emptyMap(editor.map.width, editor.map.height), ...currentMap(), walls: [], obstacles: [], spawns: [], powerUpPads: [] };
+  onMapChanged();
+});
+
+function loadServerMaps() {
+  fetch("/maps")
+    .then((res) => res.json())
+    .then((list) => {
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = "Choose…";
+      serverMapsSelect.replaceChildren(
+        placeholder,
+        ...list.map((map) => {
+          const option = document.createElement("option");
+          option.value = map.id;
+          option.textContent = map.custom ? `${map.name} (custom)` : map.name;
+          return option;
+        })
+      );
+    })
+    .catch((err) => console.warn("Could not load maps:", err));
+}
+
+serverMapsSelect.addEventListener("change", () => {
+  const id = serverMapsSelect.value;
+  if (!id) return;
+  fetch(`/maps/${encodeURIComponent(id)}`)
+    .then((res) => res.json())
+    .then((map) => {
+      loadIntoEditor(map);
+      setStatus(`Opened "${map.name}". Change the id to publish a copy.`, "ok");
+    })
+    .catch((err) => setStatus(`Could not open map: ${err.message}`, "error"));
+});
+
+/**
+ * Edit keys of the maps this browser published: map id -> key
+ */
+function mapEditKeys() {
+  try {
+    return JSON.parse(localStorage.getItem("mapEditKeys")) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+publishBtn.addEventListener("click", () => {
+  const problems = validateMap();
+  if (problems.length) {
+    setStatus(problems.join("\n"), "error");
+    return;
+  }
+
+  publishBtn.disabled = true;
+  const map = currentMap();
+  const editKeys = mapEditKeys();
+  fetch("/maps", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...map, editKey: editKeys[map.id] }),
+  })
+    .then((res) => res.json().then((body) => ({ ok: res.ok, body })))
+    .then(({ ok, body }) => {
+      if (!ok) throw new Error(body.error || "Publish failed");
+      if (body.editKey) {
+        editKeys[body.id] = body.editKey; // lets this browser publish over the map later
+        localStorage.setItem("mapEditKeys", JSON.stringify(editKeys));
+      }
+      setStatus(`Published "${body.name}". Pick it from the map list when hosting.`, "ok");
+      loadServerMaps();
+    })
+    .catch((err) => setStatus(err.message, "error"))
+    .finally(() => {
+      publishBtn.disabled = false;
+    });
+});
+
+// Rendering
+function traceShape(shape) {
+  ctx.beginPath();
+  if (typeof shape.r === "number") {
+    ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+  } else {
+    ctx.rect(shape.x, shape.y, shape.w, shape.h);
+  }
+}
+
+function drawGrid(map) {
+  ctx.fillStyle = "#07070d";
+  ctx.fillRect(0, 0, map.width, map.height);
+
+  ctx.lineWidth = 1 / editor.scale;
+  ctx.strokeStyle = "rgba(0, 255, 255, 0.08)";
+  ctx.beginPath();
+  for (let x = editor.grid; x < map.width; x += editor.grid) {
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, map.height);
+  }
+  for (let y = editor.grid; y < map.height; y += editor.grid) {
+    ctx.moveTo(0, y);
+    ctx.lineTo(map.width, y);
+  }
+  ctx.stroke();
+
+  ctx.strokeStyle = "#00ffff";
+  ctx.lineWidth = 3 / editor.scale;
+  ctx.strokeRect(0, 0, map.width, map.height);
+}
+
+function drawShapes(list, fill, stroke) {
+  ctx.fillStyle = fill;
+  ctx.strokeStyle = stroke;
+  ctx.lineWidth = 2 / editor.scale;
+  for (const shape of list) {
+    traceShape(shape);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+function drawPoints(list, color, label) {
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 2 / editor.scale;
+  ctx.font = `${12 / editor.scale}px Orbitron, Arial, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  list.forEach((point, i) => {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, POINT_RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillText(`${label}${i + 1}`, point.x, point.y);
+  });
+}
+
+function render() {
+  const { map } = editor;
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = "#0a0a0f";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(editor.scale, 0, 0, editor.scale, editor.offsetX, editor.offsetY);
+
+  drawGrid(map);
+  drawShapes(map.walls, "rgba(0, 255, 255, 0.15)", "#00ffff");
+  drawShapes(map.obstacles, "rgba(20, 10, 40, 0.95)", "#ff00ff");
+  drawPoints(map.spawns, "#00ffff", "S");
+  drawPoints(map.powerUpPads, "#ffff00", "P");
+
+  if (editor.drag) {
+    const shape = shapeFromDrag(editor.drag);
+    if (shape) {
+      ctx.globalAlpha = 0.6;
+      drawShapes([shape], "rgba(255, 255, 255, 0.1)", "#ffffff");
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  ctx.strokeStyle = "#ff3355";
+  ctx.lineWidth = 3 / editor.scale;
+  for (const point of editor.problems) {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, POINT_RADIUS + 6, 0, Math.PI * 2);
+    ctx.moveTo(point.x - 14, point.y - 14);
+    ctx.lineTo(point.x + 14, point.y + 14);
+    ctx.moveTo(point.x + 14, point.y - 14);
+    ctx.lineTo(point.x - 14, point.y + 14);
+    ctx.stroke();
+  }
+
+  if (editor.hover) {
+    const x = snap(editor.hover.x, map.width);
+    const y = snap(editor.hover.y, map.height);
+    ctx.fillStyle = "#ff00ff";
+    ctx.beginPath();
+    ctx.arc(x, y, 3 / editor.scale, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+updateView();
+render();
+loadServerMaps();
@@ -0,0 +1,154 @@
+/**
+ * Leaderboard panel on the start screen: the highest rated profiles, and
+ * any player's recent rounds when their row is clicked.
+ */
+const leaderboardBtn = document.getElementById("leaderboard-btn");
+const leaderboardPanel = document.getElementById("leaderboard");
+const leaderboardTitle = document.getElementById("leaderboard-title");
+const leaderboardEntries = document.getElementById("leaderboard-entries");
+
+const leaderboardView = {
+  player: null, // profile whose matches are shown, null for the rankings
+};
+
+function ownProfileId() {
+  return localStorage.getItem("profileId");
+}
+
+function killDeathRatio(kills, deaths) {
+  return (kills / Math.max(1, deaths)).toFixed(2);
+}
+
+/**
+ * One grid row of the panel
+ * @param {Array<string|number|Node>} cells
+ * @param {string} [className]
+ */
+function leaderboardRow(cells, className) {
+  const row = document.createElement("div");
+  row.className = `leaderboard-row${className ? ` ${className}` : ""}`;
+  for (const cell of cells) {
+    const span = document.createElement("span");
+    if (cell instanceof Node) span.append(cell);
+    else span.textContent = String(cell);
+    row.append(span);
+  }
+  return row;
+}
+
+function showLeaderboardMessage(text) {
+  const placeholder = document.createElement("div");
+  placeholder.className = "server-list-placeholder";
+  placeholder.textContent = text;
+  leaderboardEntries.replaceChildren(placeholder);
+}
+
+function fetchJson(url) {
+  return fetch(url).then((res) => {
+    if (!res.ok) throw new Error(`${url}: ${res.status}`);
+    return res.json();
+  });
+}
+
+function openLeaderboard() {
+  leaderboardPanel.style.display = "block";
+  menu.classList.add("browsing");
+  showRankings();
+}
+
+function closeLeaderboard() {
+  leaderboardPanel.style.display = "none";
+  menu.classList.remove("browsing");
+}
+
+function showRankings() {
+  leaderboardView.player = null;
+  leaderboardTitle.textContent = "Leaderboard";
+  const ownId = ownProfileId();
+
+  Promise.all([fetchJson("/leaderboard"), ownId ? fetchJson(`/players/${encodeURIComponent(ownId)}`).catch(() => null) : null])
+    .then(([profiles, own]) => {
+      if (!profiles.length && !own) {
+        showLeaderboardMessage("Nobody has finished a round yet.");
+        return;
+      }
+      const rows = profiles.map((profile, i) => ({ rank: i + 1, profile }));
+      // Always show where you stand, even outside the top
+      if (own && !profiles.some((profile) => profile.id === own.id)) rows.push({ rank: "–", profile: own });
+
+      leaderboardEntries.replaceChildren(
+        leaderboardRow(["#", "PLAYER", "RATING", "WINS", "K/D"], "heading"),
+        ...rows.map(({ rank, profile }) => {
+          const row = leaderboardRow(
+            [rank, profile.name, profile.rating, `${profile.wins}/${profile.matches}`, killDeathRatio(profile.kills, profile.deaths)],
+            profile.id === ownId ? "selectable me" : "selectable"
+          );
+          row.title = "Recent rounds";
+          row.addEventListener("click", () => showMatches(profile));
+          return row;
+        })
+      );
+    })
+    .catch((err) => {
+      console.warn("Could not load the leaderboard:", err);
+      showLeaderboardMessage("Could not load the leaderboard.");
+    });
+}
+
+/**
+ * A player's recent rounds: place, where it was played, score and rating change
+ * @param {Object} profile - Public profile from the server
+ */
+function showMatches(profile) {
+  leaderboardView.player = profile;
+  leaderboardTitle.textContent = `${profile.name} · ${profile.rating}`;
+  audioManager.playProceduralSound('uiClick');
+
+  fetchJson(`/players/${encodeURIComponent(profile.id)}/matches`)
+    .then((matches) => {
+      if (leaderboardView.player !== profile) return; // went back meanwhile
+      if (!matches.length) {
+        showLeaderboardMessage("No rounds played yet.");
+        return;
+      }
+      leaderboardEntries.replaceChildren(
+        leaderboardRow(["#", "ROUND", "SCORE", "K/D", "RATING"], "heading"),
+        ...matches.map((match) => {
+          const entry = match.players.find((player) => player.profileId === profile.id);
+          const change = document.createElement("span");
+          change.className = entry.ratingChange >= 0 ? "won" : "lost";
+          change.textContent = `${entry.ratingChange >= 0 ? "+" : ""}${entry.ratingChange}`;
+          const row = leaderboardRow([
+            entry.place + 1,
+            [match.server, match.mode, match.map].filter(Boolean).join(" · "),
+            entry.score,
+            killDeathRatio(entry.kills, entry.deaths),
+            change,
+          ]);
+          row.title = new Date(match.endedAt).toLocaleString();
+          return row;
+        })
+      );
+    })
+    .catch((err) => {
+      console.warn("Could not load matches:", err);
+      showLeaderboardMessage("Could not load this player's rounds.");
+    });
+}
+
+leaderboardBtn.addEventListener("click", () => {
+  audioManager.playProceduralSound('menuOpen');
+  openLeaderboard();
+});
+
+// Back leaves a player's rounds first, then the panel
+document.getElementById("leaderboard-back-btn").addEventListener("click", () => {
+  audioManager.playProceduralSound('menuClose');
+  if (leaderboardView.player) showRankings();
+  else closeLeaderboard();
+});
+
+document.getElementById("close-leaderboard").addEventListener("click", () => {
+  audioManager.playProceduralSound('menuClose');
+  closeLeaderboard();
+});
@@ -41,7 +41,9 @@ class AudioManager {
       uiHover: () => this.generateUIHover(),
       buttonPress: () => this.generateButtonPress(),
       menuOpen: () => this.generateMenuOpen(),
-      menuClose: () => this.generateMenuClose()
+      menuClose: () => this.generateMenuClose(),
+      shoot: () => this.generateShoot(),
+      explosion: () => this.generateExplosion()
     };
   }
 
@@ -158,6 +160,66 @@ class AudioManager {
     osc.stop(this.audioContext.currentTime + 0.12);
   }
 
+  /**
+   * Generate laser shot sound (sharp falling zap)
+   */
+  generateShoot() {
+    if (!this.audioContext || this.muted) return;
+    
+    const osc = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    
+    osc.connect(gain);
+    gain.connect(this.audioContext.destination);
+    
+    osc.frequency.setValueAtTime(900, this.audioContext.currentTime);
+    osc.frequency.exponentialRampToValueAtTime(120, this.audioContext.currentTime + 0.15);
+    osc.type = 'sawtooth';
+    
+    gain.gain.setValueAtTime(this.masterVolume * this.sfxVolume * 0.2, this.audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.15);
+    
+    osc.start(this.audioContext.currentTime);
+    osc.stop(this.audioContext.currentTime + 0.15);
+  }
+
+  /**
+   * Generate explosion sound (filtered noise burst)
+   */
+  generateExplosion() {
+    if (!this.audioContext || this.muted) return;
+    
+    const duration = 0.5;
+    const buffer = this.audioContext.createBuffer(
+      1,
+      Math.floor(this.audioContext.sampleRate * duration),
+      this.audioContext.sampleRate
+    );
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (Math.random() * 2 - 1) * (1 - i / data.length);
+    }
+    
+    const noise = this.audioContext.createBufferSource();
+    const filter = this.audioContext.createBiquadFilter();
+    const gain = this.audioContext.createGain();
+    
+    noise.buffer = buffer;
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.audioContext.destination);
+    
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(1200, this.audioContext.currentTime);
+    filter.frequency.exponentialRampToValueAtTime(100, this.audioContext.currentTime + duration);
+    
+    gain.gain.setValueAtTime(this.masterVolume * this.sfxVolume * 0.6, this.audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
+    
+    noise.start(this.audioContext.currentTime);
+    noise.stop(this.audioContext.currentTime + duration);
+  }
+
   /**
    * Play a procedural sound by name
    */
@@ -298,3 +360,2601 @@ function showStartScreen() {
   if (startScreen) startScreen.style.display = "block";
   if (audioSettings) audioSettings.style.display = "none";
 }
+
+// ===== Game Client =====
+
+const socket = io();
+
+// Mirrors of the server constants the client needs for drawing and pacing
+const MAX_HP = 100; // the default class's; recordings from before classes don't send maxHp
+const TANK_DRAW_RADIUS = 25; // hit radius the tank sprite is drawn at; other classes are scaled
+const SHOOT_COOLDOWN_MARGIN = 50; // stay just behind the server cooldown so shots aren't dropped
+const INPUT_STEP = 1 / 60; // matches the server TICK_RATE
+const MAX_INPUT_BACKLOG = 0.25; // seconds of input to catch up after a stalled frame
+const CLOAK_ENEMY_ALPHA = 0.06; // how much of a cloaked enemy shows through
+const MINE_RADIUS = 7;
+const PREDICTION_SNAP_DISTANCE = 120; // corrections larger than this snap instead of blending
+const PREDICTION_SMOOTHING = 12; // how fast small corrections are blended out (per second)
+const SCOREBOARD_REFRESH_MS = 250;
+const BEAM_MS = 250; // how long a railgun beam stays on screen
+const MUZZLE_OFFSET = 28; // turret length; the server spawns shots at the tip too
+const INTERPOLATION_DELAY = 100; // render remote entities this far in the past (ms)
+const MAX_EXTRAPOLATION = 250; // never guess further than this past the newest snapshot (ms)
+const SNAPSHOT_BUFFER_MS = 1000; // how much snapshot history to keep
+const TELEPORT_DISTANCE = 150; // jumps larger than this (respawns) are not interpolated
+const ANNOUNCEMENT_MS = 2500; // how long flag/hill messages stay on screen
+const DECODED_SNAPSHOT_HISTORY = 64; // must cover the server's SNAPSHOT_HISTORY
+const CHAT_LOG_MAX = 100; // chat lines kept in the sidebar
+const SPECTATOR_CAMERA_SPEED = 700; // free camera speed in pixels per second
+const RECONNECT_TIMEOUT = 30000; // give up on a dropped connection after this long (the server's default grace)
+const RECONNECT_STORAGE_KEY = "reconnect"; // sessionStorage: { serverId, token, name } while we have a tank
+
+// How the HUD shows game/weapons.js's weapons: the index is the slot a `shoot`
+// message names. Cooldowns and speeds come from /weapons.
+const WEAPONS = [
+  { id: "cannon", title: "Cannon", color: "#ffffff" },
+  { id: "railgun", title: "Railgun", color: "#b266ff" },
+  { id: "shotgun", title: "Shotgun", color: "#ffb347" },
+  { id: "missile", title: "Missile", color: "#ff4d4d" },
+  { id: "mine", title: "Mines", color: "#ff5a36" },
+];
+
+const POWER_UP_STYLES = {
+  speed: { color: "#00ffff", label: "S", title: "Speed" },
+  rapidFire: { color: "#ff00ff", label: "R", title: "Rapid Fire" },
+  shield: { color: "#4a90e2", label: "◎", title: "Shield" },
+  damageBoost: { color: "#ff0080", label: "D", title: "Damage" },
+  healthPack: { color: "#2ecc71", label: "+", title: "Health" },
+  bounce: { color: "#ffa500", label: "B", title: "Ricochet" },
+  cloak: { color: "#b0b0ff", label: "C", title: "Cloak" },
+  mines: { color: "#ff5a36", label: "M", title: "Mine Layer" },
+  emp: { color: "#00e5ff", label: "E", title: "EMP" },
+  homing: { color: "#ffe600", label: "H", title: "Homing" },
+  jammed: { color: "#888888", label: "J", title: "Jammed" },
+  repairAura: { color: "#7dff9a", label: "+", title: "Repair" },
+  railgunAmmo: { color: WEAPONS[1].color, label: "1", title: "Railgun" },
+  shotgunAmmo: { color: WEAPONS[2].color, label: "2", title: "Shotgun" },
+  missileAmmo: { color: WEAPONS[3].color, label: "3", title: "Missile" },
+  mineAmmo: { color: WEAPONS[4].color, label: "4", title: "Mines" },
+};
+
+// Game UI Elements
+const gameContainer = document.getElementById("game-container");
+const canvas = document.getElementById("game-canvas");
+const ctx = canvas.getContext("2d");
+const scoreList = document.getElementById("score-list");
+const scoreboardTitle = document.getElementById("scoreboard-title");
+const matchStatus = document.getElementById("match-status");
+const teamScores = document.getElementById("team-scores");
+const hudEffects = document.getElementById("hud-effects");
+const hudWeapons = document.getElementById("hud-weapons");
+const hudAbility = document.getElementById("hud-ability");
+const gameClassSelect = document.getElementById("game-class-select");
+const chatLog = document.getElementById("chat-log");
+const hostPanel = document.getElementById("host-panel");
+const lockButton = document.getElementById("lock-btn");
+const hostPlayer = document.getElementById("host-player");
+const hostPlayerName = document.getElementById("host-player-name");
+const hostHint = document.getElementById("host-hint");
+const chatInput = document.getElementById("chat-input");
+
+const game = {
+  running: false,
+  myId: null,
+  gameId: null,
+  mode: "ffa",
+  mapWidth: 1000,
+  mapHeight: 720,
+  map: null, // layout from the join payload
+  classes: [], // from /classes: what prediction, drawing and the class pickers need
+  weapons: {}, // from /weapons: id -> cooldown and projectile speed, for fire pacing and extrapolation
+  powerUpRules: { speedMultipliers: {}, rapidFireCooldown: 0, repairRadius: 0 }, // from /power-ups
+  solids: [], // walls + obstacles, for prediction
+  state: null,
+  players: {}, // id -> latest player snapshot
+  self: null, // locally predicted state of our own tank
+  selfError: { x: 0, y: 0 }, // visual offset left over from the last reconciliation
+  pendingInputs: [], // inputs sent but not yet acknowledged by the server
+  snapshots: [], // { t, players, bullets } in server time, oldest first
+  clockOffset: null, // estimated client clock minus server clock (ms)
+  decodedSnapshots: new Map(), // seq -> full snapshot, bases for incoming deltas
+  particles: [],
+  impacts: [],
+  beams: [], // railgun shots being drawn: { x1, y1, x2, y2, color, life }
+  camera: { x: 0, y: 0 },
+  shake: 0,
+  announcement: null, // { text, color, until } for flag and hill events
+  match: null, // { phase, endsAt, round, timeLimit, scoreLimit, results } from the server
+  lobby: null, // { name, hostId, locked, visibility } from the server
+  inviteCode: null, // goes into invite links
+  spectating: false, // watching without a tank
+  spectatorCamera: { followId: null, free: false, x: 0, y: 0 }, // free: the viewer chose to roam
+  selectedPlayerId: null, // scoreboard row the host is managing
+  replay: null, // recording being played back instead of a live game (see replay.js)
+  showStats: false, // Tab stat sheet open
+  reconnectToken: null, // from the join payload; gets our tank back after a dropped connection
+  reconnecting: false, // connection lost, waiting for socket.io to bring it back
+  reconnectTimer: null,
+  lastFrameTime: 0,
+  inputAccumulator: 0,
+  lastScoreboardUpdate: 0,
+};
+
+const input = {
+  keys: { w: false, a: false, s: false, d: false },
+  mouseX: 0, // canvas space
+  mouseY: 0,
+  mouseDown: false,
+  seq: 0,
+  rotation: 0,
+  turretRotation: 0,
+  slot: 0, // selected weapon, an index into WEAPONS
+  lastShotTimes: {}, // weapon id -> performance.now() of its last shot
+};
+
+// Socket events
+socket.on("join", (data) => {
+  startGame(data);
+});
+
+socket.on("state", (packet) => {
+  const state = decodeSnapshot(packet);
+  if (state) handleState(state);
+});
+
+socket.on("bulletHit", handleBulletHit);
+socket.on("wallImpact", handleWallImpact);
+socket.on("beam", handleBeam);
+socket.on("explosion", handleExplosion);
+socket.on("emp", handleEmp);
+socket.on("ability", handleAbility);
+socket.on("objective", handleObjective);
+socket.on("match", handleMatch);
+
+socket.on("role", (data) => {
+  if (!game.running || !data) return;
+  setSpectating(!!data.spectator);
+});
+
+socket.on("lobby", (data) => {
+  if (!game.running || !data) return;
+  game.lobby = data;
+  updateScoreboard();
+});
+
+socket.on("chat:history", (messages) => {
+  if (!game.running || !Array.isArray(messages)) return;
+  chatLog.replaceChildren(...messages.map(chatLine));
+  chatLog.scrollTop = chatLog.scrollHeight;
+});
+
+socket.on("chat:message", (message) => {
+  if (!game.running || !message) return;
+  addChatMessage(message);
+});
+
+// The server holds our tank for a while after the connection drops; socket.io
+// reconnects on its own unless the server closed the connection (kick, ban)
+socket.on("disconnect", (reason) => {
+  if (!game.running || game.replay) return;
+  if (reason === "io server disconnect" || game.spectating || !game.reconnectToken) {
+    stopGame();
+    return;
+  }
+  game.reconnecting = true;
+  clearTimeout(game.reconnectTimer);
+  game.reconnectTimer = setTimeout(() => {
+    stopGame();
+    showLobbyError("Connection lost.");
+  }, RECONNECT_TIMEOUT);
+});
+
+socket.on("connect", () => {
+  if (game.reconnecting) rejoinGame(savedGame());
+});
+
+// Game events, also played back from replays
+function handleBulletHit(data) {
+  if (!game.running || !data) return;
+  const victim = game.players[data.victim];
+  spawnBurst(data.hitX, data.hitY, victim ? victim.color : "#ffffff", 14, 160);
+  if (data.victim === game.myId) {
+    game.shake = Math.max(game.shake, 6);
+  }
+}
+
+function handleWallImpact(data) {
+  if (!game.running || !data) return;
+  game.impacts.push({
+    x: data.x,
+    y: data.y,
+    color: data.color || "#ffff00",
+    life: 0.35,
+    maxLife: 0.35,
+  });
+  spawnBurst(data.x, data.y, data.color || "#ffff00", 6, 90);
+}
+
+function handleBeam(data) {
+  if (!game.running || !data) return;
+  game.beams.push({ ...data, life: BEAM_MS / 1000, maxLife: BEAM_MS / 1000 });
+  spawnBurst(data.x2, data.y2, data.color, 8, 120);
+}
+
+// Mines and missiles
+function handleExplosion(data) {
+  if (!game.running || !data) return;
+  game.impacts.push({ x: data.x, y: data.y, color: data.color, life: 0.5, maxLife: 0.5, radius: data.radius });
+  spawnBurst(data.x, data.y, data.color, 30, 220);
+  audioManager.playProceduralSound('explosion');
+  const me = game.players[game.myId];
+  if (me && Math.hypot(me.x - data.x, me.y - data.y) < 200) game.shake = Math.max(game.shake, 10);
+}
+
+function handleEmp(data) {
+  if (!game.running || !data) return;
+  const color = POWER_UP_STYLES.emp.color;
+  game.impacts.push({ x: data.x, y: data.y, color, life: 0.6, maxLife: 0.6, radius: data.radius });
+  spawnBurst(data.x, data.y, color, 24, 300);
+}
+
+// Class abilities; the lasting ones show up as effects
+function handleAbility(data) {
+  if (!game.running || !data) return;
+  const player = game.players[data.player];
+  const color = (player && player.color) || "#ffffff";
+  if (data.ability === "dash") {
+    game.beams.push({ x1: data.fromX, y1: data.fromY, x2: data.x, y2: data.y, color, life: BEAM_MS / 1000, maxLife: BEAM_MS / 1000 });
+    spawnBurst(data.fromX, data.fromY, color, 10, 120);
+  } else if (data.ability === "repairAura") {
+    const repair = POWER_UP_STYLES.repairAura.color;
+    game.impacts.push({ x: data.x, y: data.y, color: repair, life: 0.6, maxLife: 0.6, radius: game.powerUpRules.repairRadius });
+  } else {
+    spawnBurst(data.x, data.y, color, 16, 160);
+  }
+}
+
+function handleObjective(data) {
+  if (!game.running || !data) return;
+  const text = objectiveText(data);
+  if (!text) return;
+  const team = game.state && game.state.teams && game.state.teams[data.team];
+  game.announcement = {
+    text,
+    color: team ? team.color : "#ffffff",
+    until: performance.now() + ANNOUNCEMENT_MS,
+  };
+  if (data.action === "flagCaptured") audioManager.playProceduralSound('explosion');
+}
+
+function handleMatch(data) {
+  if (!game.running || !data) return;
+  if (data.phase === "countdown") {
+    // Fresh round: everyone was respawned, so drop leftover effects and prediction
+    game.particles = [];
+    game.impacts = [];
+    game.beams = [];
+    game.pendingInputs = [];
+    game.self = null;
+  }
+  game.match = data;
+  updateScoreboard();
+}
+
+function startGame(data) {
+  game.myId = data.id;
+  game.gameId = data.gameId;
+  game.mode = data.mode || "ffa";
+  game.match = data.match || null;
+  game.lobby = data.lobby || null;
+  game.inviteCode = data.inviteCode || null;
+  game.spectatorCamera = { followId: null, free: false, x: game.mapWidth / 2, y: game.mapHeight / 2 };
+  game.selectedPlayerId = null;
+  game.mapWidth = data.mapWidth || 1000;
+  game.mapHeight = data.mapHeight || 720;
+  game.map = data.map || null;
+  game.solids = game.map ? [...game.map.walls, ...game.map.obstacles] : [];
+  game.state = null;
+  game.players = {};
+  game.self = null;
+  game.selfError = { x: 0, y: 0 };
+  game.pendingInputs = [];
+  game.snapshots = [];
+  game.clockOffset = null;
+  game.decodedSnapshots = new Map();
+  game.particles = [];
+  game.impacts = [];
+  game.beams = [];
+  game.shake = 0;
+  game.announcement = null;
+  game.inputAccumulator = 0;
+  game.reconnectToken = data.reconnectToken || null;
+  game.reconnecting = false;
+  clearTimeout(game.reconnectTimer);
+  input.seq = 0;
+  input.slot = 0;
+  input.lastShotTimes = {};
+
+  scoreboardTitle.textContent = data.modeName || "Scoreboard";
+  setSpectating(!!data.spectator);
+  updateHostPanel();
+
+  if (startScreen) startScreen.style.display = "none";
+  if (audioSettings) audioSettings.style.display = "none";
+  if (gameContainer) gameContainer.style.display = "flex";
+
+  if (!game.running) {
+    game.running = true;
+    game.lastFrameTime = performance.now();
+    requestAnimationFrame(frame);
+  }
+}
+
+function stopGame() {
+  game.running = false;
+  game.myId = null;
+  game.gameId = null;
+  game.reconnectToken = null;
+  game.reconnecting = false;
+  clearTimeout(game.reconnectTimer);
+  sessionStorage.removeItem(RECONNECT_STORAGE_KEY);
+  chatLog.replaceChildren();
+  chatInput.value = "";
+  if (gameContainer) gameContainer.style.display = "none";
+  showStartScreen();
+}
+
+/**
+ * Rebuild a full `state` from a delta packet and acknowledge it so the server
+ * can diff the next one against it
+ * @param {Object} packet - Delta produced by SnapshotCodec.encodeDelta
+ * @returns {Object|null} State in list form, or null if the packet can't be decoded
+ */
+function decodeSnapshot(packet) {
+  if (!game.running || !packet) return null;
+
+  let base = null;
+  if (packet.base) {
+    base = game.decodedSnapshots.get(packet.base);
+    if (!base) {
+      socket.emit("state:resync");
+      return null;
+    }
+  }
+
+  const snapshot = SnapshotCodec.applyDelta(base, packet);
+  game.decodedSnapshots.set(snapshot.seq, snapshot);
+  if (game.decodedSnapshots.size > DECODED_SNAPSHOT_HISTORY) {
+    game.decodedSnapshots.delete(game.decodedSnapshots.keys().next().value);
+  }
+  socket.emit("state:ack", snapshot.seq);
+  return listState(snapshot);
+}
+
+/**
+ * A full snapshot with its id-keyed sections turned into lists, as handleState
+ * takes it; each player gets its active power-ups as player.effects (type -> effect)
+ * and its rounds of limited weapons as player.ammo (weapon id -> count)
+ */
+function listState(snapshot) {
+  const withIds = (section) => Object.keys(section).map((id) => ({ id, ...section[id] }));
+  const effects = {};
+  for (const key in snapshot.effects) {
+    const effect = snapshot.effects[key];
+    (effects[effect.player] = effects[effect.player] || {})[effect.type] = effect;
+  }
+  const ammo = {};
+  for (const key in snapshot.ammo) {
+    const entry = snapshot.ammo[key];
+    (ammo[entry.player] = ammo[entry.player] || {})[entry.weapon] = entry.count;
+  }
+  return {
+    seq: snapshot.seq,
+    t: snapshot.t,
+    players: withIds(snapshot.players).map((player) => ({
+      ...player,
+      effects: effects[player.id] || {},
+      ammo: ammo[player.id] || {},
+    })),
+    bullets: withIds(snapshot.bullets),
+    powerUps: withIds(snapshot.powerUps),
+    mines: withIds(snapshot.mines),
+    barriers: withIds(snapshot.barriers),
+    scores: snapshot.scores,
+    stats: snapshot.stats,
+    teams: snapshot.teams,
+    objectives: withIds(snapshot.objectives),
+  };
+}
+
+function handleState(state) {
+  if (!game.running || !state) return;
+
+  const players = {};
+  for (const p of state.players || []) {
+    const prev = game.players[p.id];
+    if (prev && !prev.dead && p.dead) {
+      spawnBurst(p.x, p.y, p.color, 40, 260);
+      game.impacts.push({ x: p.x, y: p.y, color: p.color, life: 0.6, maxLife: 0.6 });
+      audioManager.playProceduralSound('explosion');
+      if (p.id === game.myId) game.shake = 14;
+    }
+    players[p.id] = p;
+  }
+
+  game.players = players;
+  game.state = state;
+  bufferSnapshot(state);
+  reconcile(players[game.myId]);
+}
+
+// Snapshot interpolation for everything we don't predict
+
+function indexById(list) {
+  const map = new Map();
+  for (const item of list || []) map.set(item.id, item);
+  return map;
+}
+
+function bufferSnapshot(state) {
+  const now = Date.now();
+  const t = typeof state.t === "number" ? state.t : now;
+
+  // Track the fastest observed delivery; drift up slowly in case the clocks wander
+  const offset = now - t;
+  if (game.clockOffset === null || offset < game.clockOffset) {
+    game.clockOffset = offset;
+  } else {
+    game.clockOffset += (offset - game.clockOffset) * 0.01;
+  }
+
+  const newest = game.snapshots[game.snapshots.length - 1];
+  if (newest && t <= newest.t) return; // late or duplicate packet
+
+  game.snapshots.push({
+    t,
+    players: indexById(state.players),
+    bullets: indexById(state.bullets),
+  });
+  while (game.snapshots.length > 2 && game.snapshots[1].t < t - SNAPSHOT_BUFFER_MS) {
+    game.snapshots.shift();
+  }
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function lerpAngle(a, b, t) {
+  let diff = (b - a) % (Math.PI * 2);
+  if (diff > Math.PI) diff -= Math.PI * 2;
+  if (diff < -Math.PI) diff += Math.PI * 2;
+  return a + diff * t;
+}
+
+function interpolatePlayer(from, to, alpha) {
+  if (!from) return to;
+  // Discrete changes (death, respawn teleport) land when the newer snapshot is reached
+  if (from.dead !== to.dead || Math.hypot(to.x - from.x, to.y - from.y) > TELEPORT_DISTANCE) {
+    return from;
+  }
+  return {
+    ...from,
+    x: lerp(from.x, to.x, alpha),
+    y: lerp(from.y, to.y, alpha),
+    rotation: lerpAngle(from.rotation || 0, to.rotation || 0, alpha),
+    turretRotation: lerpAngle(from.turretRotation || 0, to.turretRotation || 0, alpha),
+  };
+}
+
+function interpolateBullet(from, to, alpha) {
+  if (!from) return to;
+  // A wall bounce between snapshots would cut the corner, so just hold the nearer point
+  // (homing missiles turn a little every tick; those are still interpolated)
+  if (Math.abs(lerpAngle(from.angle, to.angle, 1) - from.angle) > 0.3) return alpha < 0.5 ? from : to;
+  return { ...to, x: lerp(from.x, to.x, alpha), y: lerp(from.y, to.y, alpha) };
+}
+
+function extrapolatePlayer(player, seconds) {
+  if (player.dead) return player;
+  return {
+    ...player,
+    x: Math.max(0, Math.min(game.mapWidth, player.x + (player.vx || 0) * seconds)),
+    y: Math.max(0, Math.min(game.mapHeight, player.y + (player.vy || 0) * seconds)),
+  };
+}
+
+/**
+ * Speed of a projectile kind, for snapshots that don't carry one (recordings from before classes)
+ */
+function projectileSpeed(kind) {
+  const weapon = Object.values(game.weapons).find((rules) => rules.projectile === (kind || "shell"));
+  return weapon ? weapon.speed : 0;
+}
+
+function extrapolateBullet(bullet, seconds) {
+  const speed = bullet.speed || projectileSpeed(bullet.kind);
+  return {
+    ...bullet,
+    x: bullet.x + Math.cos(bullet.angle) * speed * seconds,
+    y: bullet.y + Math.sin(bullet.angle) * speed * seconds,
+  };
+}
+
+/**
+ * Server time of the world we draw for remote entities; sent with shots so the
+ * server can check hits against what we actually saw
+ */
+function viewTime() {
+  return Date.now() - (game.clockOffset || 0) - INTERPOLATION_DELAY;
+}
+
+/**
+ * Remote players and bullets as they were INTERPOLATION_DELAY ms ago,
+ * blended between the two snapshots around that moment
+ * @returns {{players: Object[], bullets: Object[]}}
+ */
+function getInterpolatedView() {
+  const snapshots = game.snapshots;
+  if (!snapshots.length) return { players: [], bullets: [] };
+
+  const renderTime = viewTime();
+
+  let index = snapshots.length - 1;
+  while (index > 0 && snapshots[index].t > renderTime) index--;
+  const from = snapshots[index];
+  const to = snapshots[index + 1];
+
+  if (!to) {
+    // Starved (dropped or late packets): coast along the last known velocities briefly
+    const seconds = Math.max(0, Math.min(renderTime - from.t, MAX_EXTRAPOLATION)) / 1000;
+    return {
+      players: [...from.players.values()].map((p) => extrapolatePlayer(p, seconds)),
+      bullets: [...from.bullets.values()].map((b) => extrapolateBullet(b, seconds)),
+    };
+  }
+
+  const alpha = Math.max(0, Math.min(1, (renderTime - from.t) / (to.t - from.t)));
+  const players = [];
+  for (const [id, player] of to.players) {
+    players.push(interpolatePlayer(from.players.get(id), player, alpha));
+  }
+  const bullets = [];
+  for (const [id, bullet] of to.bullets) {
+    bullets.push(interpolateBullet(from.bullets.get(id), bullet, alpha));
+  }
+  return { players, bullets };
+}
+
+// Client-side prediction
+
+/**
+ * A class from /classes, or null when unknown (or the list hasn't loaded)
+ */
+function classInfo(id) {
+  return game.classes.find((tankClass) => tankClass.id === id) || null;
+}
+
+/**
+ * Top speed factor of a tank's power-ups, as the server works it out
+ */
+function speedMultiplier(player) {
+  let multiplier = 1;
+  for (const type in (player && player.effects) || {}) {
+    multiplier *= game.powerUpRules.speedMultipliers[type] || 1;
+  }
+  return multiplier;
+}
+
+function predictionWorld(me) {
+  const tankClass = classInfo(me && me.tankClass);
+  return {
+    width: game.mapWidth,
+    height: game.mapHeight,
+    maxSpeed: TankPhysics.TANK_MAX_SPEED * (tankClass ? tankClass.speed : 1) * speedMultiplier(me),
+    acceleration: TankPhysics.TANK_ACCELERATION * (tankClass ? tankClass.acceleration : 1),
+    obstacles: game.solids,
+  };
+}
+
+/**
+ * Rebase our predicted tank on the authoritative snapshot and replay every
+ * input the server has not processed yet
+ * @param {Object} serverMe - Our player entry from the latest `state`
+ */
+function reconcile(serverMe) {
+  if (!serverMe || serverMe.dead) {
+    game.self = null;
+    game.selfError = { x: 0, y: 0 };
+    game.pendingInputs = [];
+    return;
+  }
+
+  const acked = serverMe.lastProcessedInput || 0;
+  game.pendingInputs = game.pendingInputs.filter((pending) => pending.seq > acked);
+
+  const self = {
+    x: serverMe.x,
+    y: serverMe.y,
+    vx: serverMe.vx,
+    vy: serverMe.vy,
+    rotation: serverMe.rotation,
+    turretRotation: serverMe.turretRotation,
+  };
+  const world = predictionWorld(serverMe);
+  for (const pending of game.pendingInputs) {
+    TankPhysics.applyInput(self, pending, world);
+  }
+
+  // Keep what's on screen where it was and blend the correction out over a few frames
+  const previous = game.self;
+  if (previous) {
+    const errorX = previous.x + game.selfError.x - self.x;
+    const errorY = previous.y + game.selfError.y - self.y;
+    game.selfError =
+      Math.hypot(errorX, errorY) > PREDICTION_SNAP_DISTANCE
+        ? { x: 0, y: 0 }
+        : { x: errorX, y: errorY };
+  }
+  game.self = self;
+}
+
+function predictInput(sample) {
+  if (!game.self) return;
+  TankPhysics.applyInput(game.self, sample, predictionWorld(game.players[game.myId]));
+  game.pendingInputs.push(sample);
+}
+
+/**
+ * Our tank as it should be drawn: the server entry with the predicted
+ * transform and the live mouse aim
+ */
+function getSelfView() {
+  if (game.spectating) return null;
+  const me = game.players[game.myId];
+  if (!me || me.dead || !game.self) return me;
+  return {
+    ...me,
+    x: game.self.x + game.selfError.x,
+    y: game.self.y + game.selfError.y,
+    vx: game.self.vx,
+    vy: game.self.vy,
+    rotation: game.self.rotation,
+    turretRotation: input.turretRotation,
+  };
+}
+
+// Match state
+
+// Countdown and results freeze every tank on the server, so don't predict or shoot
+function isMatchFrozen() {
+  return !!game.match && (game.match.phase === "countdown" || game.match.phase === "post");
+}
+
+/**
+ * Milliseconds left in the current match phase, or null when it is open-ended
+ */
+function matchTimeLeft() {
+  if (!game.match || game.match.endsAt === null) return null;
+  const serverNow = Date.now() - (game.clockOffset || 0);
+  return Math.max(0, game.match.endsAt - serverNow);
+}
+
+function formatClock(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Input handling
+function isTypingTarget(target) {
+  return !!target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA");
+}
+
+window.addEventListener("keydown", (e) => {
+  if (!game.running || isTypingTarget(e.target)) return;
+  if (e.key === "Enter" && !game.replay) {
+    openChat();
+    e.preventDefault();
+    return;
+  }
+  if (e.key === "Tab") {
+    game.showStats = !game.showStats;
+    e.preventDefault();
+    return;
+  }
+  if (game.spectating && (e.key === " " || e.key.toLowerCase() === "f")) {
+    if (e.key === " ") followNext();
+    else game.spectatorCamera.free = !game.spectatorCamera.free;
+    e.preventDefault();
+    return;
+  }
+  const key = e.key.toLowerCase();
+  if (key in input.keys) {
+    input.keys[key] = true;
+    e.preventDefault();
+  } else if (key >= "1" && key <= String(WEAPONS.length)) {
+    selectWeapon(Number(key) - 1);
+  } else if (key === "q") {
+    cycleWeapon();
+  } else if (key === "e") {
+    useAbility();
+  }
+});
+
+window.addEventListener("keyup", (e) => {
+  const key = e.key.toLowerCase();
+  if (key in input.keys) input.keys[key] = false;
+});
+
+window.addEventListener("blur", () => {
+  for (const key in input.keys) input.keys[key] = false;
+  input.mouseDown = false;
+});
+
+canvas.addEventListener("mousemove", (e) => {
+  const rect = canvas.getBoundingClientRect();
+  input.mouseX = (e.clientX - rect.left) * (canvas.width / rect.width);
+  input.mouseY = (e.clientY - rect.top) * (canvas.height / rect.height);
+});
+
+canvas.addEventListener("mousedown", (e) => {
+  if (e.button === 0) input.mouseDown = true;
+  else if (e.button === 2) useAbility();
+});
+
+window.addEventListener("mouseup", (e) => {
+  if (e.button === 0) input.mouseDown = false;
+});
+
+canvas.addEventListener("contextmenu", (e) => e.preventDefault());
+
+/**
+ * Sample the keyboard/mouse at a fixed step and send the batch to the server
+ * @param {number} dt - Seconds since the previous frame
+ */
+function processInput(dt) {
+  const me = getSelfView();
+
+  let dx = 0;
+  let dy = 0;
+  if (input.keys.w) dy -= 1;
+  if (input.keys.s) dy += 1;
+  if (input.keys.a) dx -= 1;
+  if (input.keys.d) dx += 1;
+  // Hull faces the direction of travel and keeps its heading when idle
+  if (dx || dy) input.rotation = Math.atan2(dy, dx);
+
+  if (me) {
+    const aimX = input.mouseX + game.camera.x;
+    const aimY = input.mouseY + game.camera.y;
+    input.turretRotation = Math.atan2(aimY - me.y, aimX - me.x);
+  }
+
+  game.inputAccumulator = Math.min(game.inputAccumulator + dt, MAX_INPUT_BACKLOG);
+  if (!me || me.dead || isMatchFrozen()) {
+    game.inputAccumulator = 0;
+    return;
+  }
+
+  const batch = [];
+  while (game.inputAccumulator >= INPUT_STEP) {
+    game.inputAccumulator -= INPUT_STEP;
+    const sample = {
+      seq: ++input.seq,
+      inputs: { ...input.keys },
+      rotation: input.rotation,
+      turretRotation: input.turretRotation,
+      dt: INPUT_STEP,
+    };
+    predictInput(sample);
+    batch.push(sample);
+  }
+  if (batch.length) socket.emit("input", batch);
+}
+
+/**
+ * Whether we have a weapon: the cannon always, the others while they have ammo
+ */
+function hasWeapon(me, slot) {
+  return slot === 0 || !!(me && me.ammo[WEAPONS[slot].id]);
+}
+
+function selectWeapon(slot) {
+  if (game.spectating || !hasWeapon(game.players[game.myId], slot)) return;
+  input.slot = slot;
+  updateScoreboard();
+}
+
+/**
+ * Switch to the next weapon we have ammo for, wrapping round to the cannon
+ */
+function cycleWeapon() {
+  const me = game.players[game.myId];
+  for (let step = 1; step <= WEAPONS.length; step++) {
+    const slot = (input.slot + step) % WEAPONS.length;
+    if (hasWeapon(me, slot)) {
+      selectWeapon(slot);
+      return;
+    }
+  }
+}
+
+function useAbility() {
+  const me = game.players[game.myId];
+  if (game.spectating || game.replay || !me || me.dead || isMatchFrozen()) return;
+  socket.emit("ability");
+}
+
+/**
+ * Pick the class we get at our next spawn
+ */
+function chooseClass(id) {
+  localStorage.setItem("tankClass", id);
+  classSelect.value = id;
+  updateClassInfo();
+  if (game.running && !game.replay) socket.emit("class", { tankClass: id });
+}
+
+function tryShoot(now) {
+  const me = getSelfView();
+  if (!input.mouseDown || !me || me.dead || me.effects.jammed || isMatchFrozen()) return;
+  if (!hasWeapon(me, input.slot)) input.slot = 0; // out of ammo: back to the cannon
+
+  const weapon = WEAPONS[input.slot];
+  const rules = game.weapons[weapon.id];
+  const tankClass = classInfo(me.tankClass);
+  const rapid = input.slot === 0 && me.effects.rapidFire;
+  const base = input.slot === 0 && tankClass ? tankClass.cannon.cooldown : rules ? rules.cooldown : 0;
+  const cooldown = (rapid ? game.powerUpRules.rapidFireCooldown : base) + SHOOT_COOLDOWN_MARGIN;
+  if (now - (input.lastShotTimes[weapon.id] || 0) < cooldown) return;
+
+  input.lastShotTimes[weapon.id] = now;
+  socket.emit("shoot", { angle: input.turretRotation, viewTime: viewTime(), slot: input.slot });
+  audioManager.playProceduralSound('shoot');
+
+  const muzzleX = me.x + Math.cos(input.turretRotation) * MUZZLE_OFFSET;
+  const muzzleY = me.y + Math.sin(input.turretRotation) * MUZZLE_OFFSET;
+  spawnBurst(muzzleX, muzzleY, me.color, 5, 70);
+}
+
+// Effects
+function spawnBurst(x, y, color, count, speed) {
+  for (let i = 0; i < count; i++) {
+    const angle = Math.random() * Math.PI * 2;
+    const velocity = speed * (0.3 + Math.random() * 0.7);
+    const life = 0.3 + Math.random() * 0.4;
+    game.particles.push({
+      x,
+      y,
+      vx: Math.cos(angle) * velocity,
+      vy: Math.sin(angle) * velocity,
+      size: 1.5 + Math.random() * 2.5,
+      color,
+      life,
+      maxLife: life,
+    });
+  }
+}
+
+function updateEffects(dt) {
+  for (let i = game.particles.length - 1; i >= 0; i--) {
+    const p = game.particles[i];
+    p.life -= dt;
+    if (p.life <= 0) {
+      game.particles.splice(i, 1);
+      continue;
+    }
+    p.x += p.vx * dt;
+    p.y += p.vy * dt;
+    p.vx *= 0.94;
+    p.vy *= 0.94;
+  }
+
+  for (let i = game.impacts.length - 1; i >= 0; i--) {
+    game.impacts[i].life -= dt;
+    if (game.impacts[i].life <= 0) game.impacts.splice(i, 1);
+  }
+
+  for (let i = game.beams.length - 1; i >= 0; i--) {
+    game.beams[i].life -= dt;
+    if (game.beams[i].life <= 0) game.beams.splice(i, 1);
+  }
+
+  game.shake = Math.max(0, game.shake - dt * 40);
+
+  const blend = Math.exp(-PREDICTION_SMOOTHING * dt);
+  game.selfError.x *= blend;
+  game.selfError.y *= blend;
+}
+
+// Camera follows our tank, clamped to the arena (centered when the arena is smaller than the view)
+function clampCamera(value, max) {
+  if (max <= 0) return max / 2;
+  return Math.max(0, Math.min(max, value));
+}
+
+function updateCamera(dt) {
+  const me = game.spectating ? spectatorFocus(dt) : getSelfView();
+  const focusX = me ? me.x : game.mapWidth / 2;
+  const focusY = me ? me.y : game.mapHeight / 2;
+  game.camera.x = clampCamera(focusX - canvas.width / 2, game.mapWidth - canvas.width);
+  game.camera.y = clampCamera(focusY - canvas.height / 2, game.mapHeight - canvas.height);
+}
+
+// Spectating
+const roleButton = document.getElementById("role-btn");
+
+/**
+ * Switch the view between driving a tank and watching
+ */
+function setSpectating(spectating) {
+  game.spectating = spectating;
+  // Our tank (if any) is brand new: nothing left to predict or reconcile
+  game.self = null;
+  game.selfError = { x: 0, y: 0 };
+  game.pendingInputs = [];
+  game.inputAccumulator = 0;
+  input.seq = 0;
+  if (spectating) {
+    const camera = game.spectatorCamera;
+    camera.x = game.camera.x + canvas.width / 2;
+    camera.y = game.camera.y + canvas.height / 2;
+    camera.followId = null;
+  }
+  roleButton.textContent = spectating ? "Play" : "Spectate";
+  rememberGame();
+}
+
+/**
+ * Keep what this tab needs to get its tank back after a reload or a dropped
+ * connection; spectators have nothing to get back
+ */
+function rememberGame() {
+  if (!game.reconnectToken || game.spectating) {
+    sessionStorage.removeItem(RECONNECT_STORAGE_KEY);
+    return;
+  }
+  const saved = { serverId: game.gameId, token: game.reconnectToken, name: sanitizeName(playerNameInput.value) };
+  sessionStorage.setItem(RECONNECT_STORAGE_KEY, JSON.stringify(saved));
+}
+
+/**
+ * @returns {{serverId: string, token: string, name: string}|null}
+ */
+function savedGame() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(RECONNECT_STORAGE_KEY));
+    return saved && saved.serverId && saved.token ? saved : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Ask for our held tank back; once the grace period is over the server
+ * treats this as a normal join
+ */
+function rejoinGame(saved) {
+  if (!saved) return;
+  sessionStorage.removeItem(RECONNECT_STORAGE_KEY); // saved again once we are back in
+  lobby.joiningId = saved.serverId;
+  socket.emit("join", {
+    serverId: saved.serverId,
+    name: saved.name,
+    reconnect: saved.token,
+    token: profileToken(),
+    tankClass: classSelect.value,
+  });
+}
+
+/**
+ * Point the follow-cam at the next tank in the game
+ */
+function followNext() {
+  const camera = game.spectatorCamera;
+  const ids = Object.keys(game.players);
+  camera.free = false;
+  if (!ids.length) {
+    camera.followId = null;
+    return;
+  }
+  camera.followId = ids[(ids.indexOf(camera.followId) + 1) % ids.length];
+}
+
+/**
+ * Where the spectator camera looks: the followed tank, or a point moved with WASD
+ */
+function spectatorFocus(dt) {
+  const camera = game.spectatorCamera;
+  if (!camera.free) {
+    if (!game.players[camera.followId]) followNext(); // nobody yet, or they left
+    const followed = getInterpolatedView().players.find((p) => p.id === camera.followId);
+    if (followed) {
+      camera.x = followed.x;
+      camera.y = followed.y;
+      return camera;
+    }
+  }
+
+  let dx = 0;
+  let dy = 0;
+  if (input.keys.w) dy -= 1;
+  if (input.keys.s) dy += 1;
+  if (input.keys.a) dx -= 1;
+  if (input.keys.d) dx += 1;
+  const length = Math.hypot(dx, dy) || 1;
+  camera.x = Math.max(0, Math.min(game.mapWidth, camera.x + (dx / length) * SPECTATOR_CAMERA_SPEED * dt));
+  camera.y = Math.max(0, Math.min(game.mapHeight, camera.y + (dy / length) * SPECTATOR_CAMERA_SPEED * dt));
+  return camera;
+}
+
+roleButton.addEventListener("click", () => {
+  socket.emit(game.spectating ? "play" : "spectate");
+  roleButton.blur(); // keep Space for the follow-cam rather than this button
+});
+
+// Rendering
+function traceRoundRect(x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + w - r, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
+  ctx.lineTo(x + w, y + h - r);
+  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
+  ctx.lineTo(x + r, y + h);
+  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
+  ctx.lineTo(x, y + r);
+  ctx.quadraticCurveTo(x, y, x + r, y);
+  ctx.closePath();
+}
+
+function drawArena() {
+  ctx.fillStyle = "#07070d";
+  ctx.fillRect(0, 0, game.mapWidth, game.mapHeight);
+
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = "rgba(255, 0, 255, 0.12)";
+  ctx.beginPath();
+  for (let y = 50; y < game.mapHeight; y += 50) {
+    ctx.moveTo(0, y);
+    ctx.lineTo(game.mapWidth, y);
+  }
+  ctx.stroke();
+  ctx.strokeStyle = "rgba(0, 255, 255, 0.12)";
+  ctx.beginPath();
+  for (let x = 50; x < game.mapWidth; x += 50) {
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, game.mapHeight);
+  }
+  ctx.stroke();
+
+  ctx.save();
+  ctx.strokeStyle = "#00ffff";
+  ctx.lineWidth = 3;
+  ctx.shadowColor = "#00ffff";
+  ctx.shadowBlur = 18;
+  ctx.strokeRect(0, 0, game.mapWidth, game.mapHeight);
+  ctx.restore();
+
+  if (game.map) drawMapLayout(game.map);
+}
+
+function traceShape(shape) {
+  ctx.beginPath();
+  if (typeof shape.r === "number") {
+    ctx.arc(shape.x, shape.y, shape.r, 0, Math.PI * 2);
+  } else {
+    ctx.rect(shape.x, shape.y, shape.w, shape.h);
+  }
+}
+
+function drawMapLayout(map) {
+  ctx.save();
+
+  // Power-up pads and spawn points sit under everything else
+  ctx.lineWidth = 1.5;
+  ctx.strokeStyle = "rgba(255, 255, 0, 0.25)";
+  for (const pad of map.powerUpPads) {
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+      const a = (Math.PI / 3) * i;
+      ctx.lineTo(pad.x + Math.cos(a) * 18, pad.y + Math.sin(a) * 18);
+    }
+    ctx.closePath();
+    ctx.stroke();
+  }
+  ctx.strokeStyle = "rgba(0, 255, 255, 0.18)";
+  for (const spawn of map.spawns) {
+    ctx.beginPath();
+    ctx.arc(spawn.x, spawn.y, 24, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  // Walls: bright neon barriers
+  ctx.fillStyle = "rgba(0, 255, 255, 0.12)";
+  ctx.strokeStyle = "#00ffff";
+  ctx.shadowColor = "#00ffff";
+  ctx.shadowBlur = 16;
+  ctx.lineWidth = 2;
+  for (const wall of map.walls) {
+    traceShape(wall);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // Obstacles: solid cover blocks
+  ctx.fillStyle = "rgba(20, 10, 40, 0.95)";
+  ctx.strokeStyle = "#ff00ff";
+  ctx.shadowColor = "#ff00ff";
+  ctx.shadowBlur = 14;
+  for (const obstacle of map.obstacles) {
+    traceShape(obstacle);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+function drawPowerUp(powerUp, now) {
+  const style = POWER_UP_STYLES[powerUp.type] || { color: "#ffffff", label: "?" };
+  const pulse = 1 + Math.sin(now / 200 + powerUp.x) * 0.12;
+
+  ctx.save();
+  ctx.translate(powerUp.x, powerUp.y);
+  ctx.shadowColor = style.color;
+  ctx.shadowBlur = 20;
+
+  ctx.strokeStyle = style.color;
+  ctx.lineWidth = 2;
+  ctx.rotate(now / 600);
+  ctx.strokeRect(-12 * pulse, -12 * pulse, 24 * pulse, 24 * pulse);
+  ctx.rotate(-now / 600);
+
+  ctx.fillStyle = "rgba(10, 10, 30, 0.85)";
+  ctx.beginPath();
+  ctx.arc(0, 0, 10, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.fillStyle = style.color;
+  ctx.font = "bold 12px Orbitron, Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(style.label, 0, 1);
+  ctx.restore();
+}
+
+/**
+ * A mine pulses once it is armed; enemies' mines are harder to spot
+ */
+function drawMine(mine, now) {
+  const owner = game.players[mine.owner];
+  const friendly = !owner || mine.owner === game.myId || isTeammate(owner);
+  ctx.save();
+  ctx.translate(mine.x, mine.y);
+  ctx.globalAlpha = friendly ? 0.9 : 0.45;
+  ctx.fillStyle = "rgba(10, 10, 30, 0.9)";
+  ctx.strokeStyle = mine.color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(0, 0, MINE_RADIUS, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  if (mine.armed && Math.sin(now / 150) > 0) {
+    ctx.fillStyle = mine.color;
+    ctx.shadowColor = mine.color;
+    ctx.shadowBlur = 10;
+    ctx.beginPath();
+    ctx.arc(0, 0, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function drawHill(hill, now) {
+  const team = hill.holder && game.state.teams[hill.holder];
+  const color = hill.contested ? "#ffffff" : team ? team.color : "rgba(255, 255, 255, 0.5)";
+  const pulse = hill.contested ? 0.5 + Math.sin(now / 90) * 0.3 : 1;
+
+  ctx.save();
+  ctx.fillStyle = color;
+  ctx.globalAlpha = 0.08 * pulse;
+  ctx.beginPath();
+  ctx.arc(hill.x, hill.y, hill.r, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.globalAlpha = pulse;
+  ctx.strokeStyle = color;
+  ctx.shadowColor = color;
+  ctx.shadowBlur = 16;
+  ctx.lineWidth = 3;
+  ctx.setLineDash([14, 10]);
+  ctx.lineDashOffset = -now / 40;
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawFlag(flag, players, now) {
+  const team = game.state.teams[flag.team];
+  const color = team ? team.color : "#ffffff";
+
+  // Base: where the flag returns to and where captures are scored
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.globalAlpha = 0.5;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 6]);
+  ctx.beginPath();
+  ctx.arc(flag.homeX, flag.homeY, 30, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+
+  // A carried flag follows the tank as it is drawn, not the server position
+  let { x, y } = flag;
+  const carrier = flag.carrier && players.find((p) => p.id === flag.carrier);
+  if (carrier) {
+    x = carrier.x + 12;
+    y = carrier.y - 8;
+  }
+  const wave = Math.sin(now / 150) * 3;
+
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.shadowColor = color;
+  ctx.shadowBlur = 16;
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(0, 10);
+  ctx.lineTo(0, -26);
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(0, -26);
+  ctx.quadraticCurveTo(10, -24 + wave, 20, -20);
+  ctx.lineTo(0, -12);
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+/**
+ * Flags and the hill, under tanks so carriers stay readable
+ * @param {Object[]} objectives - state.objectives
+ * @param {Object[]} players - Tanks as they are being drawn this frame
+ */
+function drawObjectives(objectives, players, now) {
+  for (const objective of objectives) {
+    if (objective.kind === "hill") drawHill(objective, now);
+  }
+  for (const objective of objectives) {
+    if (objective.kind === "flag") drawFlag(objective, players, now);
+  }
+}
+
+// Trail length, width and glow of each projectile kind (glow null: the shooter's color)
+const PROJECTILE_STYLES = {
+  shell: { length: 16, width: 4, glow: null, blur: 14 },
+  pellet: { length: 7, width: 3, glow: WEAPONS[2].color, blur: 10 },
+  missile: { length: 12, width: 7, glow: WEAPONS[3].color, blur: 24 },
+};
+
+function drawBullet(bullet) {
+  const style = PROJECTILE_STYLES[bullet.kind] || PROJECTILE_STYLES.shell;
+  const tailX = bullet.x - Math.cos(bullet.angle) * style.length;
+  const tailY = bullet.y - Math.sin(bullet.angle) * style.length;
+
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.shadowColor = style.glow || bullet.color || "#ffff00";
+  ctx.shadowBlur = style.blur;
+  ctx.strokeStyle = bullet.color || "#ffff00";
+  ctx.lineWidth = style.width;
+  ctx.beginPath();
+  ctx.moveTo(tailX, tailY);
+  ctx.lineTo(bullet.x, bullet.y);
+  ctx.stroke();
+
+  ctx.shadowBlur = 0;
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Whether a player is on our team (never in free-for-all)
+ */
+/**
+ * A Heavy's shield wall: solid to its owner's enemies, so drawn bolder for them
+ */
+function drawBarrier(barrier) {
+  const owner = game.players[barrier.owner];
+  const friendly = !owner || barrier.owner === game.myId || isTeammate(owner);
+  ctx.save();
+  ctx.translate(barrier.x, barrier.y);
+  ctx.rotate(barrier.angle);
+  ctx.globalAlpha = friendly ? 0.5 : 0.85;
+  ctx.strokeStyle = barrier.color;
+  ctx.shadowColor = barrier.color;
+  ctx.shadowBlur = 18;
+  ctx.lineWidth = 4;
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  ctx.moveTo(-barrier.halfLength, 0);
+  ctx.lineTo(barrier.halfLength, 0);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function isTeammate(player) {
+  const me = game.players[game.myId];
+  return !!(me && player.team && player.team === me.team);
+}
+
+function drawTank(player, now) {
+  const isMe = player.id === game.myId;
+  // Cloaked enemies barely show; our own and teammates' cloaks just fade the tank
+  const cloaked = !!(player.effects && player.effects.cloak);
+  const hidden = cloaked && !isMe && !isTeammate(player);
+  const tankClass = classInfo(player.tankClass);
+  const scale = tankClass ? tankClass.hitRadius / TANK_DRAW_RADIUS : 1;
+
+  ctx.save();
+  ctx.translate(player.x, player.y);
+  if (cloaked) {
+    ctx.globalAlpha = hidden ? CLOAK_ENEMY_ALPHA : 0.4;
+  } else if (player.held) {
+    ctx.globalAlpha = 0.3; // owner lost connection; can't be hit until they're back
+  } else if (player.invulnerable) {
+    ctx.globalAlpha = 0.55 + Math.sin(now / 80) * 0.3;
+  }
+
+  // Hull
+  ctx.save();
+  ctx.rotate(player.rotation || 0);
+  ctx.scale(scale, scale);
+  ctx.shadowColor = player.color;
+  ctx.shadowBlur = isMe ? 26 : 18;
+  ctx.fillStyle = player.color;
+  ctx.fillRect(-22, -19, 44, 6);
+  ctx.fillRect(-22, 13, 44, 6);
+  ctx.fillStyle = "rgba(10, 10, 30, 0.92)";
+  ctx.strokeStyle = player.color;
+  ctx.lineWidth = 3;
+  traceRoundRect(-20, -14, 40, 28, 6);
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+
+  // Turret
+  ctx.save();
+  ctx.rotate(player.turretRotation || 0);
+  ctx.shadowColor = player.color;
+  ctx.shadowBlur = 14;
+  ctx.fillStyle = player.color;
+  ctx.fillRect(0, -3, 28, 6);
+  ctx.beginPath();
+  ctx.arc(0, 0, 9, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.arc(0, 0, 3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+
+  if (player.effects && player.effects.shield && !hidden) {
+    ctx.strokeStyle = POWER_UP_STYLES.shield.color;
+    ctx.shadowColor = POWER_UP_STYLES.shield.color;
+    ctx.shadowBlur = 20;
+    ctx.lineWidth = 2;
+    ctx.globalAlpha *= 0.6 + Math.sin(now / 120) * 0.2;
+    ctx.beginPath();
+    ctx.arc(0, 0, 30 * scale, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  if (player.effects && player.effects.repairAura && !hidden) {
+    ctx.strokeStyle = POWER_UP_STYLES.repairAura.color;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha *= 0.25 + Math.sin(now / 200) * 0.1;
+    ctx.beginPath();
+    ctx.arc(0, 0, game.powerUpRules.repairRadius, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  if (!hidden) drawTankLabel(player, isMe);
+}
+
+function drawTankLabel(player, isMe) {
+  const barWidth = 44;
+  const hpRatio = Math.max(0, Math.min(1, (player.hp || 0) / (player.maxHp || MAX_HP)));
+  const hpColor = hpRatio > 0.6 ? "#2ecc71" : hpRatio > 0.3 ? "#f1c40f" : "#e74c3c";
+
+  ctx.save();
+  ctx.translate(player.x, player.y);
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(-barWidth / 2, -38, barWidth, 5);
+  ctx.shadowColor = hpColor;
+  ctx.shadowBlur = 8;
+  ctx.fillStyle = hpColor;
+  ctx.fillRect(-barWidth / 2, -38, barWidth * hpRatio, 5);
+
+  ctx.shadowColor = player.color;
+  ctx.shadowBlur = 6;
+  ctx.fillStyle = isMe ? "#ffffff" : player.color;
+  ctx.font = "600 13px Rajdhani, Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  ctx.fillText(`${player.name || "Player"}${player.held ? " (away)" : ""}`, 0, -42);
+  ctx.restore();
+}
+
+function drawEffects() {
+  ctx.save();
+  ctx.globalCompositeOperation = "lighter";
+
+  for (const impact of game.impacts) {
+    const t = 1 - impact.life / impact.maxLife;
+    ctx.globalAlpha = 1 - t;
+    ctx.strokeStyle = impact.color;
+    ctx.shadowColor = impact.color;
+    ctx.shadowBlur = 20;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(impact.x, impact.y, 4 + t * (impact.radius || 26), 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  ctx.lineCap = "round";
+  for (const beam of game.beams) {
+    const t = beam.life / beam.maxLife;
+    ctx.globalAlpha = t;
+    ctx.strokeStyle = beam.color;
+    ctx.shadowColor = WEAPONS[1].color;
+    ctx.shadowBlur = 24;
+    ctx.lineWidth = 2 + 6 * t;
+    ctx.beginPath();
+    ctx.moveTo(beam.x1, beam.y1);
+    ctx.lineTo(beam.x2, beam.y2);
+    ctx.stroke();
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 1 + 2 * t;
+    ctx.stroke();
+  }
+
+  ctx.shadowBlur = 0;
+  for (const p of game.particles) {
+    ctx.globalAlpha = p.life / p.maxLife;
+    ctx.fillStyle = p.color;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function drawAnnouncement() {
+  const announcement = game.announcement;
+  if (!announcement) return;
+  const remaining = announcement.until - performance.now();
+  if (remaining <= 0) {
+    game.announcement = null;
+    return;
+  }
+
+  ctx.save();
+  ctx.globalAlpha = Math.min(1, remaining / 400);
+  ctx.fillStyle = announcement.color;
+  ctx.shadowColor = announcement.color;
+  ctx.shadowBlur = 18;
+  ctx.font = "700 24px Orbitron, Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  ctx.fillText(announcement.text, canvas.width / 2, 24);
+  ctx.restore();
+}
+
+function drawCountdown() {
+  const left = matchTimeLeft();
+  if (left === null) return;
+
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#00ffff";
+  ctx.shadowColor = "#00ffff";
+  ctx.shadowBlur = 24;
+  ctx.font = "600 22px Rajdhani, Arial, sans-serif";
+  ctx.fillText(`ROUND ${game.match.round}`, canvas.width / 2, canvas.height / 2 - 70);
+  ctx.font = "900 96px Orbitron, Arial, sans-serif";
+  ctx.fillText(String(Math.max(1, Math.ceil(left / 1000))), canvas.width / 2, canvas.height / 2);
+  ctx.restore();
+}
+
+// Stat sheet columns: heading and how to show a row ({ score, stats })
+const STAT_COLUMNS = [
+  { title: "SCORE", value: (row) => row.score },
+  { title: "K", value: (row) => row.stats.kills },
+  { title: "D", value: (row) => row.stats.deaths },
+  { title: "K/D", value: (row) => (row.stats.kills / Math.max(1, row.stats.deaths)).toFixed(2) },
+  { title: "ACC", value: (row) => `${row.stats.accuracy}%` },
+  { title: "DMG", value: (row) => row.stats.damageDealt },
+  { title: "TAKEN", value: (row) => row.stats.damageTaken },
+  { title: "PICKUPS", value: (row) => row.stats.powerUps },
+  { title: "LIFE", value: (row) => formatClock(row.stats.longestLife * 1000) },
+];
+const STAT_SHEET_WIDTH = 760;
+const STAT_ROW_HEIGHT = 26;
+const STAT_SHEET_MAX_ROWS = 18;
+
+/**
+ * Players with their score and combat stats, one line each under a header line
+ * @param {Object[]} rows - { id, name, score, stats }
+ * @param {number} x - Left edge
+ * @param {number} y - Middle of the header line
+ * @param {number} width
+ */
+function drawStatTable(rows, x, y, width) {
+  const nameWidth = 200;
+  const columnWidth = (width - nameWidth) / STAT_COLUMNS.length;
+  const columnRight = (i) => x + nameWidth + (i + 1) * columnWidth;
+
+  ctx.font = "700 13px Rajdhani, Arial, sans-serif";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+  ctx.textAlign = "left";
+  ctx.fillText("PLAYER", x, y);
+  ctx.textAlign = "right";
+  STAT_COLUMNS.forEach((column, i) => ctx.fillText(column.title, columnRight(i), y));
+
+  ctx.font = "600 17px Rajdhani, Arial, sans-serif";
+  rows.forEach((row, i) => {
+    const rowY = y + (i + 1) * STAT_ROW_HEIGHT;
+    const player = game.players[row.id];
+    ctx.fillStyle = row.id === game.myId ? "#ffffff" : player ? player.color : "#00ffff";
+    ctx.textAlign = "left";
+    ctx.fillText(`${i + 1}. ${row.name || "Player"}`, x, rowY, nameWidth - 10);
+    ctx.textAlign = "right";
+    STAT_COLUMNS.forEach((column, c) => ctx.fillText(String(column.value(row)), columnRight(c), rowY));
+  });
+}
+
+/**
+ * Everyone's stats so far this round, toggled with Tab
+ */
+function drawStatSheet() {
+  const scores = (game.state && game.state.scores) || {};
+  const stats = (game.state && game.state.stats) || {};
+  const rows = rankedPlayers()
+    .filter((player) => stats[player.id])
+    .slice(0, STAT_SHEET_MAX_ROWS)
+    .map((player) => ({ id: player.id, name: player.name, score: scores[player.id] || 0, stats: stats[player.id] }));
+
+  const width = STAT_SHEET_WIDTH;
+  const height = 110 + rows.length * STAT_ROW_HEIGHT;
+  const x = (canvas.width - width) / 2;
+  const y = (canvas.height - height) / 2;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(10, 0, 20, 0.88)";
+  ctx.strokeStyle = "#00ffff";
+  ctx.shadowColor = "#00ffff";
+  ctx.shadowBlur = 24;
+  ctx.lineWidth = 2;
+  traceRoundRect(x, y, width, height, 14);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#00ffff";
+  ctx.font = "900 24px Orbitron, Arial, sans-serif";
+  ctx.fillText(scoreboardTitle.textContent.toUpperCase(), canvas.width / 2, y + 32);
+
+  ctx.shadowBlur = 0;
+  drawStatTable(rows, x + 30, y + 70, width - 60);
+  ctx.restore();
+}
+
+function drawResults() {
+  const results = game.match.results;
+  if (!results) return;
+
+  const teams = (game.state && game.state.teams) || {};
+  const ranked = results.teams.length ? results.teams : results.players;
+  const winner = ranked.find((row) => row.id === results.winner);
+  const title = !winner
+    ? "DRAW"
+    : winner.id === game.myId
+      ? "VICTORY"
+      : `${String(winner.name || "Player").toUpperCase()} WINS`;
+  const winnerColor = winner && teams[winner.id] ? teams[winner.id].color : "#ff00ff";
+  // Team modes list the teams, then everyone's stat line
+  const rows = results.teams;
+  const statRows = results.players.filter((player) => player.stats).slice(0, 8);
+
+  const width = STAT_SHEET_WIDTH;
+  const tableTop = 96 + rows.length * 30;
+  const height = tableTop + (statRows.length + 1) * STAT_ROW_HEIGHT + 44;
+  const x = (canvas.width - width) / 2;
+  const y = (canvas.height - height) / 2;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(10, 0, 20, 0.88)";
+  ctx.strokeStyle = winnerColor;
+  ctx.shadowColor = winnerColor;
+  ctx.shadowBlur = 24;
+  ctx.lineWidth = 2;
+  traceRoundRect(x, y, width, height, 14);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "center";
+  ctx.fillStyle = winnerColor;
+  ctx.font = "900 34px Orbitron, Arial, sans-serif";
+  ctx.fillText(title, canvas.width / 2, y + 44);
+
+  ctx.shadowBlur = 0;
+  ctx.font = "600 18px Rajdhani, Arial, sans-serif";
+  rows.forEach((row, i) => {
+    const rowY = y + 96 + i * 30;
+    const color = teams[row.id] ? teams[row.id].color : row.id === game.myId ? "#ffffff" : "#00ffff";
+    ctx.fillStyle = color;
+    ctx.textAlign = "left";
+    ctx.fillText(`${i + 1}. ${row.name || "Player"}`, x + 40, rowY);
+    ctx.textAlign = "right";
+    ctx.fillText(String(row.score), x + width - 40, rowY);
+  });
+  if (statRows.length) drawStatTable(statRows, x + 40, y + tableTop, width - 80);
+
+  const left = matchTimeLeft();
+  if (left !== null) {
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.font = "600 15px Rajdhani, Arial, sans-serif";
+    ctx.fillText(`Next round in ${Math.ceil(left / 1000)}s`, canvas.width / 2, y + height - 24);
+  }
+  ctx.restore();
+}
+
+/**
+ * Scores across the top and the camera controls along the bottom
+ */
+function drawSpectatorHud() {
+  const scores = (game.state && game.state.scores) || {};
+  const teams = (game.state && game.state.teams) || {};
+  const teamIds = Object.keys(teams);
+  const parts = teamIds.length
+    ? teamIds.map((id) => ({ text: `${teams[id].name} ${teams[id].score}`, color: teams[id].color }))
+    : Object.values(game.players)
+        .sort((a, b) => (scores[b.id] || 0) - (scores[a.id] || 0))
+        .slice(0, 5)
+        .map((p, i) => ({ text: `${i + 1}. ${p.name || "Player"} ${scores[p.id] || 0}`, color: p.color }));
+
+  const camera = game.spectatorCamera;
+  const followed = !camera.free && game.players[camera.followId];
+  const hint = followed
+    ? `Following ${followed.name || "Player"} · Space: next player · F: free camera`
+    : "Free camera · WASD: move · Space: follow a player";
+
+  ctx.save();
+  ctx.fillStyle = "rgba(10, 10, 25, 0.7)";
+  ctx.fillRect(0, 0, canvas.width, 36);
+  ctx.fillRect(0, canvas.height - 30, canvas.width, 30);
+  ctx.textBaseline = "middle";
+  ctx.font = "700 16px Orbitron, Arial, sans-serif";
+
+  const gap = 28;
+  const widths = parts.map((part) => ctx.measureText(part.text).width);
+  let x = (canvas.width - widths.reduce((sum, w) => sum + w + gap, -gap)) / 2;
+  parts.forEach((part, i) => {
+    ctx.fillStyle = part.color;
+    ctx.shadowColor = part.color;
+    ctx.shadowBlur = 8;
+    ctx.fillText(part.text, x, 18);
+    x += widths[i] + gap;
+  });
+
+  ctx.shadowBlur = 0;
+  ctx.textAlign = "center";
+  ctx.font = "600 15px Rajdhani, Arial, sans-serif";
+  ctx.fillStyle = "#00ffff";
+  ctx.fillText(`${game.replay ? "REPLAY" : "SPECTATING"} · ${hint}`, canvas.width / 2, canvas.height - 15);
+  ctx.restore();
+}
+
+function drawReconnecting() {
+  ctx.save();
+  ctx.fillStyle = "rgba(10, 0, 20, 0.55)";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#00ffff";
+  ctx.shadowColor = "#00ffff";
+  ctx.shadowBlur = 20;
+  ctx.font = "900 36px Orbitron, Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("CONNECTION LOST", canvas.width / 2, canvas.height / 2 - 20);
+  ctx.font = "600 18px Rajdhani, Arial, sans-serif";
+  ctx.fillText("Reconnecting... your tank is being held for you", canvas.width / 2, canvas.height / 2 + 24);
+  ctx.restore();
+}
+
+function drawOverlay() {
+  if (game.reconnecting) {
+    drawReconnecting();
+    return;
+  }
+  drawAnnouncement();
+  if (game.spectating) drawSpectatorHud();
+
+  if (game.match && game.match.phase === "countdown") drawCountdown();
+  if (game.match && game.match.phase === "post") {
+    drawResults();
+    return;
+  }
+  if (game.showStats) {
+    drawStatSheet();
+    return;
+  }
+
+  const me = game.players[game.myId];
+  if (!me || !me.dead) return;
+
+  ctx.save();
+  ctx.fillStyle = "rgba(10, 0, 20, 0.45)";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#ff0080";
+  ctx.shadowColor = "#ff0080";
+  ctx.shadowBlur = 20;
+  ctx.font = "900 42px Orbitron, Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("DESTROYED", canvas.width / 2, canvas.height / 2 - 20);
+  ctx.font = "600 18px Rajdhani, Arial, sans-serif";
+  ctx.fillStyle = "#00ffff";
+  ctx.shadowColor = "#00ffff";
+  const next = me.nextClass && classInfo(me.nextClass);
+  ctx.fillText(next ? `Respawning as ${next.name}...` : "Respawning...", canvas.width / 2, canvas.height / 2 + 24);
+  ctx.restore();
+}
+
+function render(now) {
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = "#0a0a0f";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const shakeX = game.shake ? (Math.random() - 0.5) * game.shake : 0;
+  const shakeY = game.shake ? (Math.random() - 0.5) * game.shake : 0;
+  ctx.translate(Math.round(-game.camera.x + shakeX), Math.round(-game.camera.y + shakeY));
+
+  drawArena();
+
+  const state = game.state;
+  if (state) {
+    const view = getInterpolatedView();
+    const self = getSelfView();
+    const remotes = view.players.filter((p) => p.id !== game.myId);
+    drawObjectives(state.objectives || [], self ? [...remotes, self] : remotes, now);
+    for (const powerUp of state.powerUps || []) drawPowerUp(powerUp, now);
+    for (const mine of state.mines || []) drawMine(mine, now);
+    for (const barrier of state.barriers || []) drawBarrier(barrier);
+    for (const bullet of view.bullets) drawBullet(bullet);
+    for (const remote of remotes) {
+      if (!remote.dead) drawTank(remote, now);
+    }
+    if (self && !self.dead) drawTank(self, now);
+  }
+
+  drawEffects();
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  drawOverlay();
+}
+
+// Sidebar
+function objectiveText(event) {
+  const teams = (game.state && game.state.teams) || {};
+  const team = teams[event.team] ? teams[event.team].name : "";
+  const player = game.players[event.player];
+  const who = event.player === game.myId ? "You" : (player && player.name) || "A player";
+
+  switch (event.action) {
+    case "flagTaken":
+      return `${who} took the ${team} flag!`;
+    case "flagDropped":
+      return `${team} flag dropped`;
+    case "flagReturned":
+      return `${team} flag returned`;
+    case "flagCaptured":
+      return `${team} scores!`;
+    case "hillControl":
+      return team ? `${team} holds the hill` : "Hill is neutral";
+    default:
+      return null;
+  }
+}
+
+function updateMatchStatus() {
+  const match = game.match;
+  if (!match) {
+    matchStatus.textContent = "";
+    return;
+  }
+
+  const left = matchTimeLeft();
+  let text;
+  switch (match.phase) {
+    case "warmup":
+      text = "Warmup · waiting for players";
+      break;
+    case "countdown":
+      text = `Round ${match.round} starting`;
+      break;
+    case "live":
+      text = left === null ? `Round ${match.round}` : formatClock(left);
+      break;
+    case "post":
+      text = "Round over";
+      break;
+  }
+  matchStatus.className = `phase-${match.phase}`;
+  matchStatus.textContent = `${text} · First to ${match.scoreLimit}`;
+}
+
+function updateTeamScores(teams) {
+  const me = game.players[game.myId];
+  teamScores.replaceChildren(
+    ...Object.keys(teams).map((id) => {
+      const row = document.createElement("div");
+      row.className = me && me.team === id ? "team-score mine" : "team-score";
+      row.style.setProperty("--team-color", teams[id].color);
+
+      const name = document.createElement("span");
+      name.textContent = teams[id].name;
+      const score = document.createElement("span");
+      score.className = "score-value";
+      score.textContent = teams[id].score;
+
+      row.append(name, score);
+      return row;
+    })
+  );
+}
+
+/**
+ * Players in scoreboard order: team modes list each team together; within a
+ * team (or in free-for-all) by score
+ */
+function rankedPlayers() {
+  const scores = (game.state && game.state.scores) || {};
+  const teamOrder = Object.keys((game.state && game.state.teams) || {});
+  return Object.values(game.players).sort(
+    (a, b) =>
+      teamOrder.indexOf(a.team) - teamOrder.indexOf(b.team) ||
+      (scores[b.id] || 0) - (scores[a.id] || 0)
+  );
+}
+
+function updateScoreboard() {
+  const scores = (game.state && game.state.scores) || {};
+  const teams = (game.state && game.state.teams) || {};
+  const ranked = rankedPlayers();
+  updateTeamScores(teams);
+  updateMatchStatus();
+  updateHostPanel();
+
+  scoreList.replaceChildren(
+    ...ranked.map((player) => {
+      const li = document.createElement("li");
+      li.className = player.id === game.myId ? "score-row me" : "score-row";
+      if ((isHost() || game.spectating) && player.id !== game.myId) li.classList.add("selectable");
+      if (player.id === game.selectedPlayerId) li.classList.add("selected");
+      li.dataset.id = player.id;
+      li.style.setProperty("--player-color", player.color);
+
+      const name = document.createElement("span");
+      name.className = "score-name";
+      name.textContent = player.name || "Player";
+      if (player.bot) {
+        const tag = document.createElement("span");
+        tag.className = "score-bot";
+        tag.textContent = " BOT";
+        name.append(tag);
+      }
+      if (game.lobby && player.id === game.lobby.hostId) {
+        const crown = document.createElement("span");
+        crown.className = "score-host";
+        crown.title = "Host";
+        crown.textContent = " ★";
+        name.append(crown);
+      }
+
+      const score = document.createElement("span");
+      score.className = "score-value";
+      score.textContent = scores[player.id] || 0;
+
+      li.append(name, score);
+      return li;
+    })
+  );
+
+  const me = game.players[game.myId];
+  const active = me ? Object.values(me.effects).filter((effect) => POWER_UP_STYLES[effect.type]) : [];
+  hudEffects.replaceChildren(
+    ...active.map((effect) => {
+      const style = POWER_UP_STYLES[effect.type];
+      const chip = document.createElement("span");
+      chip.className = "effect-chip";
+      chip.style.setProperty("--effect-color", style.color);
+      chip.textContent = effect.stacks > 1 ? `${style.title} ×${effect.stacks}` : style.title;
+      return chip;
+    })
+  );
+
+  // Weapons we have, with the number key that selects each
+  hudWeapons.replaceChildren(
+    ...WEAPONS.map((weapon, slot) => ({ weapon, slot }))
+      .filter(({ slot }) => me && hasWeapon(me, slot))
+      .map(({ weapon, slot }) => {
+        const chip = document.createElement("span");
+        chip.className = slot === input.slot ? "effect-chip selected" : "effect-chip";
+        chip.style.setProperty("--effect-color", weapon.color);
+        chip.textContent = slot === 0 ? `1 ${weapon.title}` : `${slot + 1} ${weapon.title} ×${me.ammo[weapon.id]}`;
+        return chip;
+      })
+  );
+
+  // The class ability, with its cooldown
+  const tankClass = me && classInfo(me.tankClass);
+  if (!tankClass) {
+    hudAbility.replaceChildren();
+  } else {
+    const chip = document.createElement("span");
+    const left = (me.abilityReadyAt || 0) - (Date.now() - (game.clockOffset || 0));
+    chip.className = left > 0 ? "effect-chip cooling" : "effect-chip selected";
+    chip.style.setProperty("--effect-color", me.color);
+    chip.textContent = left > 0 ? `E ${tankClass.ability.name} ${Math.ceil(left / 1000)}s` : `E ${tankClass.ability.name}`;
+    hudAbility.replaceChildren(chip);
+  }
+  if (me && document.activeElement !== gameClassSelect) gameClassSelect.value = me.nextClass || me.tankClass;
+}
+
+const inviteButton = document.getElementById("invite-btn");
+
+inviteButton.addEventListener("click", () => {
+  const link = inviteLink();
+  const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+  copied
+    .then(() => {
+      inviteButton.textContent = "Link Copied!";
+      setTimeout(() => (inviteButton.textContent = "Copy Invite Link"), 1500);
+    })
+    .catch(() => window.prompt("Invite link", link));
+});
+
+// Host controls
+function isHost() {
+  return !!game.lobby && game.lobby.hostId === game.myId;
+}
+
+function updateHostPanel() {
+  hostPanel.hidden = !isHost();
+  if (!isHost()) game.selectedPlayerId = null;
+  lockButton.textContent = game.lobby && game.lobby.locked ? "Unlock" : "Lock";
+
+  const selected = game.players[game.selectedPlayerId];
+  if (game.selectedPlayerId && !selected && game.state) game.selectedPlayerId = null; // they left
+  hostPlayer.hidden = !game.selectedPlayerId;
+  hostHint.hidden = !!game.selectedPlayerId;
+  hostPlayerName.textContent = selected ? selected.name || "Player" : "";
+}
+
+function hostAction(action, data) {
+  socket.emit(`host:${action}`, data || {});
+}
+
+// mousedown rather than click: the scoreboard is rebuilt several times a second
+// Spectators (and replay viewers) follow whoever they click instead
+scoreList.addEventListener("mousedown", (e) => {
+  const row = e.target.closest(".score-row");
+  if (row && game.spectating && !isHost()) {
+    game.spectatorCamera.followId = row.dataset.id;
+    game.spectatorCamera.free = false;
+    return;
+  }
+  if (!row || !isHost() || row.dataset.id === game.myId) return;
+  game.selectedPlayerId = game.selectedPlayerId === row.dataset.id ? null : row.dataset.id;
+  updateScoreboard();
+});
+
+lockButton.addEventListener("click", () => {
+  hostAction("lock", { locked: !(game.lobby && game.lobby.locked) });
+});
+
+document.getElementById("rename-btn").addEventListener("click", () => {
+  const name = window.prompt("New server name", (game.lobby && game.lobby.name) || "");
+  if (name && name.trim()) hostAction("rename", { name: name.trim() });
+});
+
+document.getElementById("end-round-btn").addEventListener("click", () => {
+  if (window.confirm("End the current round now?")) hostAction("endRound");
+});
+
+document.getElementById("kick-btn").addEventListener("click", () => {
+  if (game.selectedPlayerId) hostAction("kick", { playerId: game.selectedPlayerId });
+  game.selectedPlayerId = null;
+  updateHostPanel();
+});
+
+document.getElementById("ban-btn").addEventListener("click", () => {
+  const player = game.players[game.selectedPlayerId];
+  if (!player || !window.confirm(`Ban ${player.name || "this player"} for the rest of the game?`)) return;
+  hostAction("ban", { playerId: player.id });
+  game.selectedPlayerId = null;
+  updateHostPanel();
+});
+
+document.getElementById("make-host-btn").addEventListener("click", () => {
+  if (game.selectedPlayerId) hostAction("transfer", { playerId: game.selectedPlayerId });
+  game.selectedPlayerId = null;
+  updateHostPanel();
+});
+
+const hostBotDifficulty = document.getElementById("host-bot-difficulty");
+
+document.getElementById("add-bot-btn").addEventListener("click", () => {
+  hostAction("addBot", { difficulty: hostBotDifficulty.value });
+});
+
+// The selected bot, or the newest one
+document.getElementById("remove-bot-btn").addEventListener("click", () => {
+  const selected = game.players[game.selectedPlayerId];
+  hostAction("removeBot", { playerId: selected && selected.bot ? selected.id : undefined });
+});
+
+document.getElementById("fill-bots-btn").addEventListener("click", () => {
+  const count = window.prompt("Keep adding bots until this many tanks are in the game (0 to stop):", "8");
+  if (count !== null && count.trim()) hostAction("fillBots", { count: Number(count), difficulty: hostBotDifficulty.value });
+});
+
+// Chat
+function chatName(playerId, name) {
+  const span = document.createElement("span");
+  span.className = "chat-name";
+  const player = game.players[playerId];
+  if (player) span.style.setProperty("--player-color", player.color);
+  span.textContent = name || "Player";
+  return span;
+}
+
+/**
+ * One line of the chat log
+ * @param {Object} message - { playerId, name, text, kind, team, to, toName } from the server
+ */
+function chatLine(message) {
+  const li = document.createElement("li");
+  const kind = message.kind || (message.system ? "system" : "chat");
+  li.className = `chat-line ${kind}`;
+
+  switch (kind) {
+    case "system":
+    case "notice":
+      li.textContent = message.text;
+      break;
+    case "emote":
+      li.append("* ", chatName(message.playerId, message.name), ` ${message.text}`);
+      break;
+    case "whisper": {
+      const outgoing = message.playerId === game.myId;
+      li.append(
+        outgoing ? "To " : "From ",
+        outgoing ? chatName(message.to, message.toName) : chatName(message.playerId, message.name),
+        `: ${message.text}`
+      );
+      break;
+    }
+    case "team": {
+      const tag = document.createElement("span");
+      tag.className = "chat-tag";
+      const team = game.state && game.state.teams && game.state.teams[message.team];
+      if (team) tag.style.setProperty("--team-color", team.color);
+      tag.textContent = "[Team] ";
+      li.append(tag, chatName(message.playerId, message.name), `: ${message.text}`);
+      break;
+    }
+    default:
+      li.append(chatName(message.playerId, message.name), `: ${message.text}`);
+  }
+  return li;
+}
+
+function addChatMessage(message) {
+  // Only follow new lines if the reader hasn't scrolled back
+  const atBottom = chatLog.scrollHeight - chatLog.scrollTop - chatLog.clientHeight < 20;
+  chatLog.append(chatLine(message));
+  while (chatLog.children.length > CHAT_LOG_MAX) chatLog.firstChild.remove();
+  if (atBottom) chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function openChat() {
+  // Keys held while the box opens would otherwise stay pressed
+  for (const key in input.keys) input.keys[key] = false;
+  input.mouseDown = false;
+  chatInput.focus();
+}
+
+chatInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") {
+    const text = chatInput.value.trim();
+    if (text) socket.emit("chat:message", { text });
+    chatInput.value = "";
+    chatInput.blur();
+  } else if (e.key === "Escape") {
+    chatInput.value = "";
+    chatInput.blur();
+  }
+});
+
+// Main loop
+function frame(timestamp) {
+  if (!game.running) return;
+
+  const dt = Math.min(0.1, Math.max(0, (timestamp - game.lastFrameTime) / 1000));
+  game.lastFrameTime = timestamp;
+
+  if (game.replay) updateReplay(dt);
+  if (!game.reconnecting) {
+    processInput(dt);
+    tryShoot(timestamp);
+  }
+  updateEffects(dt);
+  updateCamera(dt);
+  render(timestamp);
+
+  if (timestamp - game.lastScoreboardUpdate > SCOREBOARD_REFRESH_MS) {
+    game.lastScoreboardUpdate = timestamp;
+    updateScoreboard();
+  }
+
+  requestAnimationFrame(frame);
+}
+
+// ===== Lobby =====
+
+// Mirrors the server's sanitizeString/NAME_MAX rules
+const NAME_MAX = 20;
+const SERVER_REFRESH_MS = 3000;
+
+const menu = document.getElementById("menu");
+const playerNameInput = document.getElementById("player-name");
+const serverNameInput = document.getElementById("server-name");
+const nameError = document.getElementById("name-error");
+const joinBtn = document.getElementById("join-btn");
+const hostBtn = document.getElementById("host-btn");
+const serverList = document.getElementById("server-list");
+const serversContainer = document.getElementById("servers");
+const serverCount = document.getElementById("server-count");
+const refreshBtn = document.getElementById("refresh-btn");
+const serverBackBtn = document.getElementById("server-back-btn");
+const closeServerListBtn = document.getElementById("close-server-list");
+const mapSelect = document.getElementById("map-select");
+const modeSelect = document.getElementById("mode-select");
+const timeLimitSelect = document.getElementById("time-limit");
+const scoreLimitInput = document.getElementById("score-limit");
+const visibilitySelect = document.getElementById("visibility-select");
+const serverPasswordInput = document.getElementById("server-password");
+const inviteBanner = document.getElementById("invite-banner");
+const spectateCheck = document.getElementById("spectate-check");
+const recordCheck = document.getElementById("record-check");
+const botFillInput = document.getElementById("bot-fill");
+const botDifficultySelect = document.getElementById("bot-difficulty");
+const classSelect = document.getElementById("class-select");
+const classInfoText = document.getElementById("class-info");
+
+const lobby = {
+  pending: false,
+  refreshTimer: null,
+  touched: false,
+  joiningId: null, // serverId of the last join request, to retry it with a password
+  invite: null, // { serverId, code } from an invite link
+};
+
+function sanitizeName(name) {
+  if (typeof name !== "string") return "";
+  let s = name.trim();
+  if (!s) return "";
+  s = s.replace(/\s+/g, " ").replace(/[\x00-\x1F]/g, "");
+  if (s.length > NAME_MAX) s = s.slice(0, NAME_MAX);
+  return s;
+}
+
+function validateName() {
+  const name = sanitizeName(playerNameInput.value);
+  const error = name ? "" : "Please enter a name to play.";
+
+  if (lobby.touched || !error) showLobbyError(error);
+  joinBtn.disabled = !!error || lobby.pending;
+  hostBtn.disabled = !!error || lobby.pending;
+  hostBtn.classList.toggle("pulsing", !error && !lobby.pending);
+  return error ? null : name;
+}
+
+function showLobbyError(message) {
+  nameError.textContent = message || "";
+}
+
+function setLobbyPending(pending) {
+  lobby.pending = pending;
+  validateName();
+}
+
+function openServerList() {
+  serverList.style.display = "block";
+  menu.classList.add("browsing");
+  requestServers();
+  clearInterval(lobby.refreshTimer);
+  lobby.refreshTimer = setInterval(requestServers, SERVER_REFRESH_MS);
+}
+
+function closeServerList() {
+  serverList.style.display = "none";
+  menu.classList.remove("browsing");
+  clearInterval(lobby.refreshTimer);
+  lobby.refreshTimer = null;
+}
+
+function requestServers() {
+  if (socket.connected) {
+    socket.emit("getServers");
+    return;
+  }
+  fetch("/servers")
+    .then((res) => res.json())
+    .then(renderServers)
+    .catch((err) => {
+      console.warn("Could not load servers:", err);
+      renderServers([]);
+    });
+}
+
+/**
+ * Fill one of the lobby's lists (servers, replays) from fetched entries
+ * @param {HTMLElement} container
+ * @param {HTMLElement} counter - Shows how many entries there are
+ * @param {*} entries - From the server; anything but an array counts as empty
+ * @param {{icon: string, text: string}} empty - Placeholder shown when there are none
+ * @param {function(Object): HTMLElement} renderEntry
+ */
+function renderList(container, counter, entries, empty, renderEntry) {
+  const list = Array.isArray(entries) ? entries : [];
+  counter.textContent = `(${list.length})`;
+
+  if (!list.length) {
+    const placeholder = document.createElement("div");
+    placeholder.className = "server-list-placeholder";
+    const icon = document.createElement("div");
+    icon.className = "placeholder-icon";
+    icon.textContent = empty.icon;
+    const text = document.createElement("p");
+    text.className = "placeholder-text";
+    text.textContent = empty.text;
+    placeholder.append(icon, text);
+    container.replaceChildren(placeholder);
+    return;
+  }
+
+  container.replaceChildren(...list.map(renderEntry));
+}
+
+/**
+ * A clickable list row: a label on the left, a short detail on the right
+ * @returns {HTMLButtonElement}
+ */
+function listItem(label, detail, onClick) {
+  const item = document.createElement("button");
+  item.type = "button";
+  item.className = "server-item";
+
+  const name = document.createElement("span");
+  name.className = "server-name";
+  name.textContent = label;
+
+  const info = document.createElement("span");
+  info.className = "server-players";
+  info.textContent = detail;
+
+  item.append(name, info);
+  item.addEventListener("click", onClick);
+  return item;
+}
+
+function renderServers(servers) {
+  renderList(serversContainer, serverCount, servers, { icon: "🔍", text: "No servers yet. Host one!" }, (server) => {
+    const full = server.players - (server.bots || 0) >= server.maxPlayers; // bots make way for people
+    let players = `${server.players}/${server.maxPlayers}${server.bots ? ` (${server.bots} bots)` : ""}`;
+    if (full) players = "FULL";
+    else if (server.locked) players = "LOCKED";
+
+    const item = listItem([server.name, server.mode, server.map].filter(Boolean).join(" · "), players, () => joinServer(server.id));
+    item.disabled = full || server.locked || lobby.pending;
+    return item;
+  });
+}
+
+/**
+ * @param {string} serverId
+ * @param {string} [password] - For private games joined without an invite link
+ */
+function joinServer(serverId, password) {
+  const name = validateName();
+  if (!name || lobby.pending) return;
+  audioManager.playProceduralSound('buttonPress');
+  setLobbyPending(true);
+  lobby.joiningId = serverId;
+  const code = lobby.invite && lobby.invite.serverId === serverId ? lobby.invite.code : undefined;
+  socket.emit("join", {
+    serverId,
+    name,
+    code,
+    password,
+    spectate: spectateCheck.checked,
+    token: profileToken(),
+    tankClass: classSelect.value,
+  });
+}
+
+/**
+ * Pick up `/?join=<gameId>&code=<inviteCode>` so the Join button goes straight there
+ */
+function readInvite() {
+  const params = new URLSearchParams(window.location.search);
+  const serverId = params.get("join");
+  if (!serverId) return;
+  lobby.invite = { serverId, code: params.get("code") || undefined };
+  inviteBanner.textContent = "You've been invited! Enter your name and press Join.";
+  inviteBanner.hidden = false;
+}
+
+function clearInvite() {
+  lobby.invite = null;
+  inviteBanner.hidden = true;
+  if (window.location.search) window.history.replaceState(null, "", window.location.pathname);
+}
+
+function inviteLink() {
+  const params = new URLSearchParams({ join: game.gameId });
+  if (game.inviteCode) params.set("code", game.inviteCode);
+  return `${window.location.origin}/?${params}`;
+}
+
+/**
+ * The secret that ties this browser to its profile; the server issues it on the first join
+ */
+function profileToken() {
+  return localStorage.getItem("profileToken") || undefined;
+}
+
+function hostServer() {
+  const playerName = validateName();
+  if (!playerName || lobby.pending) return;
+  audioManager.playProceduralSound('buttonPress');
+  setLobbyPending(true);
+  socket.emit("host", {
+    name: sanitizeName(serverNameInput.value),
+    playerName,
+    map: mapSelect.value,
+    mode: modeSelect.value,
+    timeLimit: Number(timeLimitSelect.value),
+    scoreLimit: Number(scoreLimitInput.value) || 0, // 0 = the mode's default
+    visibility: visibilitySelect.value,
+    password: visibilitySelect.value === "private" ? serverPasswordInput.value : undefined,
+    record: recordCheck.checked,
+    botFill: Number(botFillInput.value) || 0,
+    botDifficulty: botDifficultySelect.value,
+    token: profileToken(),
+    tankClass: classSelect.value,
+  });
+}
+
+function loadMaps() {
+  fetch("/maps")
+    .then((res) => res.json())
+    .then((list) => {
+      if (!Array.isArray(list) || !list.length) return;
+      const selected = mapSelect.value;
+      mapSelect.replaceChildren(
+        ...list.map((map) => {
+          const option = document.createElement("option");
+          option.value = map.id;
+          option.textContent = `${map.name} (${map.width}×${map.height})`;
+          return option;
+        })
+      );
+      if (list.some((map) => map.id === selected)) mapSelect.value = selected;
+    })
+    .catch((err) => console.warn("Could not load maps:", err));
+}
+
+function loadModes() {
+  fetch("/modes")
+    .then((res) => res.json())
+    .then((list) => {
+      if (!Array.isArray(list) || !list.length) return;
+      const selected = modeSelect.value;
+      modeSelect.replaceChildren(
+        ...list.map((mode) => {
+          const option = document.createElement("option");
+          option.value = mode.id;
+          option.textContent = mode.name;
+          option.dataset.scoreLimit = mode.scoreLimit;
+          return option;
+        })
+      );
+      if (list.some((mode) => mode.id === selected)) modeSelect.value = selected;
+      updateScoreLimitHint();
+    })
+    .catch((err) => console.warn("Could not load modes:", err));
+}
+
+function loadClasses() {
+  fetch("/classes")
+    .then((res) => res.json())
+    .then((list) => {
+      if (!Array.isArray(list) || !list.length) return;
+      game.classes = list;
+      const selected = localStorage.getItem("tankClass") || classSelect.value;
+      for (const select of [classSelect, gameClassSelect]) {
+        select.replaceChildren(
+          ...list.map((tankClass) => {
+            const option = document.createElement("option");
+            option.value = tankClass.id;
+            option.textContent = tankClass.name;
+            return option;
+          })
+        );
+      }
+      classSelect.value = list.some((tankClass) => tankClass.id === selected) ? selected : list[0].id;
+      updateClassInfo();
+    })
+    .catch((err) => console.warn("Could not load classes:", err));
+}
+
+function loadWeapons() {
+  fetch("/weapons")
+    .then((res) => res.json())
+    .then((list) => {
+      if (!Array.isArray(list)) return;
+      game.weapons = Object.fromEntries(list.map((weapon) => [weapon.id, weapon]));
+    })
+    .catch((err) => console.warn("Could not load weapons:", err));
+}
+
+function loadPowerUps() {
+  fetch("/power-ups")
+    .then((res) => res.json())
+    .then((rules) => {
+      if (rules && rules.speedMultipliers) game.powerUpRules = rules;
+    })
+    .catch((err) => console.warn("Could not load power-ups:", err));
+}
+
+// What the picked class trades off, under the picker
+function updateClassInfo() {
+  const tankClass = classInfo(classSelect.value);
+  classInfoText.textContent = tankClass
+    ? `${tankClass.description} ${tankClass.hp} HP · ${tankClass.ability.name} (E / right-click)`
+    : "";
+}
+
+classSelect.addEventListener("change", () => chooseClass(classSelect.value));
+
+gameClassSelect.addEventListener("change", () => {
+  chooseClass(gameClassSelect.value);
+  gameClassSelect.blur(); // keep the keyboard for driving
+});
+
+// Show the selected mode's default so an empty score limit isn't a mystery
+function updateScoreLimitHint() {
+  const option = modeSelect.selectedOptions[0];
+  const fallback = option && option.dataset.scoreLimit;
+  scoreLimitInput.placeholder = fallback ? `Score limit (${fallback})` : "Score limit";
+}
+
+modeSelect.addEventListener("change", updateScoreLimitHint);
+
+visibilitySelect.addEventListener("change", () => {
+  serverPasswordInput.hidden = visibilitySelect.value !== "private";
+});
+
+playerNameInput.addEventListener("input", () => {
+  lobby.touched = true;
+  validateName();
+});
+
+playerNameInput.addEventListener("blur", () => {
+  const name = sanitizeName(playerNameInput.value);
+  if (name) localStorage.setItem("playerName", name);
+});
+
+serverNameInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") hostServer();
+});
+
+playerNameInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && lobby.invite) joinServer(lobby.invite.serverId);
+});
+
+joinBtn.addEventListener("click", () => {
+  if (!validateName()) return;
+  if (lobby.invite) {
+    joinServer(lobby.invite.serverId);
+    return;
+  }
+  audioManager.playProceduralSound('menuOpen');
+  openServerList();
+});
+
+hostBtn.addEventListener("click", hostServer);
+
+refreshBtn.addEventListener("click", () => {
+  audioManager.playProceduralSound('uiClick');
+  requestServers();
+});
+
+[serverBackBtn, closeServerListBtn].forEach((btn) => {
+  btn.addEventListener("click", () => {
+    audioManager.playProceduralSound('menuClose');
+    closeServerList();
+  });
+});
+
+socket.on("servers", renderServers);
+
+socket.on("join", (data) => {
+  if (data.token) localStorage.setItem("profileToken", data.token);
+  if (data.profile) localStorage.setItem("profileId", data.profile.id);
+  setLobbyPending(false);
+  closeServerList();
+  showLobbyError("");
+  clearInvite();
+});
+
+// Join rejections arrive as { code, message }; other errors as plain strings
+socket.on("error", (error) => {
+  setLobbyPending(false);
+  if (game.reconnecting) stopGame(); // the game is gone or won't have us back
+  const code = error && error.code;
+  if (code === "PASSWORD_REQUIRED" || code === "WRONG_PASSWORD") {
+    const password = window.prompt(code === "WRONG_PASSWORD" ? "Wrong password. Try again:" : "This game needs a password:");
+    if (password) {
+      joinServer(lobby.joiningId, password);
+      return;
+    }
+  }
+  if (code && lobby.invite) clearInvite(); // the invite can't be used; fall back to the server list
+  const message = typeof error === "string" ? error : error && error.message;
+  showLobbyError(message || "Something went wrong.");
+  if (serverList.style.display !== "none") requestServers();
+});
+
+socket.on("disconnect", (reason) => {
+  setLobbyPending(false);
+  // Kicks, bans and validation kicks end the connection for good; open a new one for the lobby
+  if (reason === "io server disconnect") socket.connect();
+});
+
+playerNameInput.value = localStorage.getItem("playerName") || "";
+readInvite();
+// A reload mid-game goes straight back in
+if (savedGame()) {
+  setLobbyPending(true);
+  socket.once("connect", () => rejoinGame(savedGame()));
+}
+validateName();
+loadMaps();
+loadModes();
+loadClasses();
+loadWeapons();
+loadPowerUps();
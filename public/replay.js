@@ -0,0 +1,279 @@
+/**
+ * Replay player.
+ *
+ * Plays a round recorded by the server (see game/replay.js) through the
+ * normal game view in main.js, as a spectator with no server connection.
+ * The replay has its own clock that can be paused, sped up and moved; frames
+ * up to that clock are fed to the same handlers as live socket events, and
+ * the clock offset is pinned to it so interpolation and match timers follow.
+ */
+const REPLAY_VERSION = 1; // game/replay.js REPLAY_VERSION
+const REPLAY_SKIP_MS = 5000;
+
+// Recorded socket events and the handlers that show them
+const REPLAY_HANDLERS = {
+  bulletHit: handleBulletHit,
+  wallImpact: handleWallImpact,
+  beam: handleBeam,
+  explosion: handleExplosion,
+  emp: handleEmp,
+  ability: handleAbility,
+  objective: handleObjective,
+  match: handleMatch,
+  "chat:message": addChatMessage,
+};
+
+const replaysBtn = document.getElementById("replays-btn");
+const replayList = document.getElementById("replay-list");
+const replaysContainer = document.getElementById("replays");
+const replayCount = document.getElementById("replay-count");
+const replayPanel = document.getElementById("replay-panel");
+const replayPlayButton = document.getElementById("replay-play-btn");
+const replaySpeedSelect = document.getElementById("replay-speed");
+const replaySeek = document.getElementById("replay-seek");
+const replayTime = document.getElementById("replay-time");
+const gameButtons = document.getElementById("game-buttons");
+
+/**
+ * Split a replay file into its header and frames
+ * @param {string} text - The file's JSON lines
+ * @returns {{header: Object, frames: Array[]}} frames are [t, type, data]
+ * @throws {Error} When the file is not a replay this client can play
+ */
+function parseReplay(text) {
+  const lines = text.split("\n").filter(Boolean);
+  const header = lines.length ? JSON.parse(lines[0]) : null;
+  if (!header || !header.map || !Array.isArray(header.players)) {
+    throw new Error("Not a replay file");
+  }
+  if (header.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${header.version}`);
+  }
+  return { header, frames: lines.slice(1).map((line) => JSON.parse(line)) };
+}
+
+function startReplay(header, frames) {
+  startGame({
+    id: null,
+    gameId: null,
+    spectator: true,
+    mode: header.mode,
+    modeName: header.modeName,
+    map: header.map,
+    mapWidth: header.map.width,
+    mapHeight: header.map.height,
+  });
+
+  game.replay = {
+    header,
+    frames,
+    keyframes: frames.flatMap((frame, index) => (frame[1] === "state" && !frame[2].base ? [index] : [])),
+    time: 0, // ms since header.startedAt
+    cursor: 0, // next frame to play
+    snapshot: null, // latest decoded full snapshot
+    playing: true,
+    speed: Number(replaySpeedSelect.value) || 1,
+  };
+
+  replayPanel.hidden = false;
+  gameButtons.hidden = true;
+  chatInput.hidden = true;
+  replaySeek.max = header.duration;
+  seekReplay(0);
+}
+
+function exitReplay() {
+  game.replay = null;
+  replayPanel.hidden = true;
+  gameButtons.hidden = false;
+  chatInput.hidden = false;
+  stopGame();
+}
+
+/**
+ * Play every frame up to a replay time
+ * @param {number} until - ms since the start of the replay
+ * @param {boolean} [quiet] - Only decode states; events and effects are skipped
+ */
+function playFrames(until, quiet) {
+  const replay = game.replay;
+  while (replay.cursor < replay.frames.length && replay.frames[replay.cursor][0] <= until) {
+    const [, type, data] = replay.frames[replay.cursor++];
+    if (type === "state") {
+      replay.snapshot = SnapshotCodec.applyDelta(data.base ? replay.snapshot : null, data);
+      if (!quiet) handleState(listState(replay.snapshot));
+    } else if (!quiet && REPLAY_HANDLERS[type]) {
+      REPLAY_HANDLERS[type](data);
+    }
+  }
+}
+
+/**
+ * Jump to a replay time: decode from the last full snapshot before it and
+ * rebuild the match state and chat log as they were then
+ * @param {number} time - ms since the start of the replay
+ */
+function seekReplay(time) {
+  const replay = game.replay;
+  const frames = replay.frames;
+  const target = Math.max(0, Math.min(replay.header.duration, time));
+
+  let match = null;
+  const messages = [];
+  let start = 0;
+  for (let i = 0; i < frames.length && frames[i][0] <= target; i++) {
+    const [, type, data] = frames[i];
+    if (type === "match") match = data;
+    else if (type === "chat:message") messages.push(data);
+  }
+  for (const index of replay.keyframes) {
+    if (frames[index][0] > target) break;
+    start = index;
+  }
+
+  game.match = match;
+  game.players = {}; // no explosions for tanks that were already dead
+  game.state = null;
+  game.snapshots = [];
+  game.particles = [];
+  game.impacts = [];
+  game.announcement = null;
+  chatLog.replaceChildren(...messages.slice(-CHAT_LOG_MAX).map(chatLine));
+  chatLog.scrollTop = chatLog.scrollHeight;
+
+  replay.time = target;
+  replay.cursor = start;
+  replay.snapshot = null;
+  playFrames(target, true);
+  if (replay.snapshot) handleState(listState(replay.snapshot));
+  updateScoreboard();
+}
+
+function setReplayPlaying(playing) {
+  const replay = game.replay;
+  // Playing from the end starts over
+  if (playing && replay.time >= replay.header.duration) seekReplay(0);
+  replay.playing = playing;
+  replayPlayButton.textContent = playing ? "Pause" : "Play";
+}
+
+/**
+ * Advance the replay clock; called once per frame before anything reads the game state
+ * @param {number} dt - Seconds since the previous frame
+ */
+function updateReplay(dt) {
+  const replay = game.replay;
+  if (replay.playing) {
+    replay.time = Math.min(replay.header.duration, replay.time + dt * 1000 * replay.speed);
+    if (replay.time >= replay.header.duration) setReplayPlaying(false);
+  }
+  playFrames(replay.time);
+
+  // Interpolation and match timers read server time through the clock offset
+  game.clockOffset = Date.now() - (replay.header.startedAt + replay.time);
+
+  replaySeek.value = replay.time;
+  const whole = (ms) => formatClock(Math.floor(ms / 1000) * 1000);
+  replayTime.textContent = `${whole(replay.time)} / ${whole(replay.header.duration)}`;
+}
+
+replayPlayButton.addEventListener("click", () => {
+  setReplayPlaying(!game.replay.playing);
+  replayPlayButton.blur(); // keep Space for the follow-cam
+});
+
+replaySpeedSelect.addEventListener("change", () => {
+  if (game.replay) game.replay.speed = Number(replaySpeedSelect.value) || 1;
+  replaySpeedSelect.blur();
+});
+
+replaySeek.addEventListener("input", () => {
+  if (game.replay) seekReplay(Number(replaySeek.value));
+});
+
+document.getElementById("replay-exit-btn").addEventListener("click", exitReplay);
+
+window.addEventListener("keydown", (e) => {
+  if (!game.replay || isTypingTarget(e.target)) return;
+  if (e.key.toLowerCase() === "p") setReplayPlaying(!game.replay.playing);
+  else if (e.key === "ArrowLeft") seekReplay(game.replay.time - REPLAY_SKIP_MS);
+  else if (e.key === "ArrowRight") seekReplay(game.replay.time + REPLAY_SKIP_MS);
+  else return;
+  e.preventDefault();
+});
+
+// ===== Replay browser =====
+
+function openReplayList() {
+  replayList.style.display = "block";
+  menu.classList.add("browsing");
+  requestReplays();
+}
+
+function closeReplayList() {
+  replayList.style.display = "none";
+  menu.classList.remove("browsing");
+}
+
+function requestReplays() {
+  fetch("/replays")
+    .then((res) => res.json())
+    .then(renderReplays)
+    .catch((err) => {
+      console.warn("Could not load replays:", err);
+      renderReplays([]);
+    });
+}
+
+function renderReplays(replays) {
+  const empty = { icon: "🎬", text: "No replays yet. Host a game with Record on." };
+  renderList(replaysContainer, replayCount, replays, empty, (replay) => {
+    const label = [replay.name, `Round ${replay.round}`, replay.mode, replay.map, new Date(replay.startedAt).toLocaleString()]
+      .filter(Boolean)
+      .join(" · ");
+    const item = listItem(label, formatClock(Math.floor(replay.duration / 1000) * 1000), () => watchReplay(replay.id));
+    item.title = replay.players.join(", ");
+
+    const download = document.createElement("a");
+    download.className = "replay-download";
+    download.href = `/replays/${encodeURIComponent(replay.id)}?download=1`;
+    download.title = "Download";
+    download.textContent = "⬇";
+
+    const row = document.createElement("div");
+    row.className = "replay-row";
+    row.append(item, download);
+    return row;
+  });
+}
+
+function watchReplay(id) {
+  audioManager.playProceduralSound('buttonPress');
+  fetch(`/replays/${encodeURIComponent(id)}`)
+    .then((res) => {
+      if (!res.ok) throw new Error("That replay is no longer available.");
+      return res.text();
+    })
+    .then((text) => {
+      const { header, frames } = parseReplay(text);
+      closeReplayList();
+      showLobbyError("");
+      startReplay(header, frames);
+    })
+    .catch((err) => {
+      showLobbyError(err.message);
+      requestReplays();
+    });
+}
+
+replaysBtn.addEventListener("click", () => {
+  audioManager.playProceduralSound('menuOpen');
+  openReplayList();
+});
+
+[document.getElementById("replay-back-btn"), document.getElementById("close-replay-list")].forEach((btn) => {
+  btn.addEventListener("click", () => {
+    audioManager.playProceduralSound('menuClose');
+    closeReplayList();
+  });
+});
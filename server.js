@@ -1,7 +1,23 @@
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
 const socketIo = require("socket.io");
 const compression = require("compression");
+const simulation = require("./game/simulation");
+const maps = require("./game/maps");
+const modes = require("./game/modes");
+const lifecycle = require("./game/match");
+const validation = require("./game/validation");
+const chat = require("./game/chat");
+const access = require("./game/access");
+const replay = require("./game/replay");
+const combatStats = require("./game/stats");
+const profiles = require("./game/profiles");
+const bots = require("./game/bots");
+const classes = require("./game/classes");
+const weapons = require("./game/weapons");
+const powerups = require("./game/powerups");
+const snapshotCodec = require("./shared/snapshot");
 
 const app = express();
 
@@ -33,6 +49,7 @@ app.get('/favicon.ico', (req, res) => {
   res.redirect(301, '/favicon.svg');
 });
 app.use(express.static("public"));
+app.use("/shared", express.static("shared"));
 
 // Add CORS headers for ngrok
 app.use((req, res, next) => {
@@ -47,43 +64,37 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 // Game states
 let games = {};
 let gameCounter = 0;
-let lastPowerUpSpawnTime = {};
+
+/**
+ * The game with this id; null for unknown ids, including inherited keys like
+ * "constructor" that a client may send
+ */
+function findGame(gameId) {
+  return Object.hasOwn(games, gameId) ? games[gameId] : null;
+}
+
+maps.loadMaps();
+replay.loadReplays();
+profiles.loadProfiles();
 
 // Constants
 const TICK_RATE = 60; // 60 ticks per second for smoother gameplay
 const TICK_INTERVAL = 1000 / TICK_RATE;
-const MAP_WIDTH = 1000;
-const MAP_HEIGHT = 720;
-const TANK_SPEED = 60; // pixels per second - base movement speed
-const TANK_ACCELERATION = 600; // pixels per second squared
-const TANK_DECELERATION = 900; // pixels per second squared
-const TANK_MAX_SPEED = 60; // maximum speed in pixels per second
-const BULLET_SPEED = 300; // bullet speed in pixels per second
-const BULLET_DAMAGE = 20;
-const SHOOT_COOLDOWN = 1500; // 1.5 seconds between shots
-const RAPID_FIRE_COOLDOWN = 400; // 0.4 seconds between shots for rapid fire
-const MAX_HP = 100;
-const RESPAWN_TIME = 3000; // 3 seconds
 const MAX_PLAYERS = 50;
+const MAX_SPECTATORS = 20; // spectators don't take player slots, but they do cost bandwidth
 const CHAT_MAX_MESSAGES = 60;
+const EMPTY_GAME_TTL = 10000; // empty games are closed after this long (ms)
 
-// Power-up constants
-const POWER_UP_LIFETIME = 30000; // 30 seconds
-const POWER_UP_RADIUS = 30; // Collection radius
+// A dropped player's tank is held this long for them to reconnect (ms); 0 removes it at once
+const RECONNECT_GRACE = Number(process.env.RECONNECT_GRACE ?? 30000);
 
-const POWER_UP_TYPES = {
-  SPEED: { name: "speed", duration: 5000, multiplier: 2 }, // 2x for 10s
-  RAPID_FIRE: { name: "rapidFire", duration: 5000, shots: 3, spread: 0.12 }, // 3-shot spread for 5s
-  SHIELD: { name: "shield", duration: 5000 }, // invincible 5s
-  DAMAGE_BOOST: { name: "damageBoost", duration: 10000, multiplier: 1.5 }, // 1.5x damage for 10s
-  HEALTH_PACK: { name: "healthPack", duration: 0, value: 50 }, // +50 HP instant
-};
+// Snapshot constants
+const SNAPSHOT_RATE = Number(process.env.SNAPSHOT_RATE) || 20; // snapshots per second sent to clients
+const SNAPSHOT_TICKS = Math.max(1, Math.round(TICK_RATE / SNAPSHOT_RATE));
+const SNAPSHOT_HISTORY = 64; // snapshots kept as delta baselines (~3s at 20 Hz)
 
-// Random spawn function
-const getRandomSpawn = () => ({
-  x: Math.random() * (MAP_WIDTH - 40) + 20,
-  y: Math.random() * (MAP_HEIGHT - 40) + 20,
-});
+// Replays
+const RECORD_REPLAYS = process.env.RECORD_REPLAYS === "1"; // record every game, not only those whose host asked
 
 const NAME_MAX = 20;
 const COLORS = [
@@ -101,13 +112,13 @@ const COLORS = [
   "#d35400",
 ];
 
-function sanitizeString(name) {
+function sanitizeString(name, maxLength = NAME_MAX) {
   if (typeof name !== "string") return "";
   let s = name.trim();
   if (!s) return "";
   // Collapse whitespace and strip control chars
   s = s.replace(/\s+/g, " ").replace(/[\x00-\x1F]/g, "");
-  if (s.length > NAME_MAX) s = s.slice(0, NAME_MAX);
+  if (s.length > maxLength) s = s.slice(0, maxLength);
   return s;
 }
 
@@ -115,8 +126,13 @@ function randomColor() {
   return COLORS[Math.floor(Math.random() * COLORS.length)];
 }
 
+function randomClass() {
+  const ids = Object.keys(classes.CLASSES);
+  return ids[Math.floor(Math.random() * ids.length)];
+}
+
 function broadcastPlayerName(gameId, playerId) {
-  const game = games[gameId];
+  const game = findGame(gameId);
   if (!game || !game.players[playerId]) return;
   const player = game.players[playerId];
   io.to(gameId).emit("player:name", { id: playerId, name: player.name || "" });
@@ -131,77 +147,1049 @@ function broadcastSystemMessage(gameId, text) {
   });
 }
 
-// Power-up functions
-function spawnPowerUp(gameId) {
-  const game = games[gameId];
+const OBJECTIVE_MESSAGES = {
+  flagTaken: (who, team) => `${who} took the ${team} flag!`,
+  flagDropped: (who, team) => `${who} dropped the ${team} flag.`,
+  flagReturned: (who, team) => `The ${team} flag was returned.`,
+  flagCaptured: (who, team) => `${who} captured a flag for ${team}!`,
+  hillControl: (who, team) => (team ? `${team} holds the hill.` : "The hill is neutral."),
+};
+
+function describeWinner(game, results) {
+  if (!results.winner) return "It's a draw!";
+  const team = game.teams[results.winner];
+  if (team) return `${team.name} team wins!`;
+  const player = results.players.find((p) => p.id === results.winner);
+  return `${(player && player.name) || "A player"} wins!`;
+}
+
+// Log flag and hill changes and match results to the game chat
+function announceEvent(gameId, event) {
+  const game = findGame(gameId);
   if (!game) return;
-  if (!game.powerUps) game.powerUps = [];
-
-  const types = Object.keys(POWER_UP_TYPES);
-  const randomType = types[Math.floor(Math.random() * types.length)];
-
-  const powerUp = {
-    id: Date.now() + Math.random(),
-    type: randomType, // server key (e.g., "SPEED")
-    uiType: POWER_UP_TYPES[randomType].name, // client-friendly (e.g., "speed")
-    x: Math.random() * (MAP_WIDTH - 40) + 20,
-    y: Math.random() * (MAP_HEIGHT - 40) + 20,
-    createdAt: Date.now(),
-  };
+  if (event.type === "match" && event.data.phase === lifecycle.PHASES.POST) {
+    broadcastSystemMessage(gameId, `Round ${event.data.round} over. ${describeWinner(game, event.data.results)}`);
+    return;
+  }
+  if (event.type !== "objective") return;
+  const message = OBJECTIVE_MESSAGES[event.data.action];
+  if (!message) return;
 
-  game.powerUps.push(powerUp);
+  const player = event.data.player && game.players[event.data.player];
+  const team = event.data.team && modes.TEAMS[event.data.team];
+  broadcastSystemMessage(gameId, message((player && player.name) || "A player", team ? team.name : ""));
 }
 
-function applyPowerUp(gameId, playerId, powerUpType) {
-  const game = games[gameId];
-  if (!game || !game.players[playerId]) return;
+/**
+ * Games for the server browser; only public games with players in them are listed
+ */
+function listServers() {
+  const activeServers = [];
+  for (const gameId in games) {
+    const game = findGame(gameId);
+    if (!game || !game.players || !access.isListed(game)) continue;
+    const playerCount = Object.keys(game.players).length;
+    if (playerCount > 0) {
+      activeServers.push({
+        id: String(game.id || gameId),
+        name: String(game.name || `Game ${gameId}`),
+        map: game.map.name,
+        mode: modes.getMode(game.mode).name,
+        phase: game.match.phase,
+        locked: game.locked,
+        players: playerCount,
+        maxPlayers: MAX_PLAYERS,
+        spectators: Object.keys(game.spectators).length,
+        bots: game.bots.size,
+      });
+    }
+  }
+  return activeServers;
+}
 
-  const player = game.players[playerId];
-  const typeKey = String(powerUpType).toUpperCase(); // normalize client/server casing
-  const cfg = POWER_UP_TYPES[typeKey];
-  if (!cfg) return;
+/**
+ * Lobby settings every client shows; sent in the join payload and as `lobby` updates
+ */
+function describeLobby(game) {
+  return { name: game.name, hostId: game.hostId, locked: game.locked, visibility: game.visibility };
+}
 
-  switch (typeKey) {
-    case "HEALTH_PACK":
-      player.hp = Math.min(MAX_HP, player.hp + (cfg.value || 0));
-      break;
+/**
+ * Refuse a `join` with one of access.JOIN_ERRORS
+ */
+function rejectJoin(socket, code) {
+  socket.emit("error", { code, message: access.JOIN_ERRORS[code] });
+}
 
-    case "SPEED":
-      player.speedBoost = true;
-      player.speedBoostExpireTime = Date.now() + (cfg.duration || 10000);
-      break;
+function broadcastLobby(gameId) {
+  const game = findGame(gameId);
+  if (game) io.to(gameId).emit("lobby", describeLobby(game));
+}
 
-    case "RAPID_FIRE":
-      player.rapidFire = true;
-      player.rapidFireExpireTime = Date.now() + (cfg.duration || 10000);
-      break;
+/**
+ * Build the client-facing view of a game for one snapshot
+ * Only fields clients draw are included, quantized so unchanged values delta away
+ * @param {Object} game - The game to snapshot
+ * @param {number} now - Server time in ms
+ */
+function buildSnapshot(game, now) {
+  const { quantize } = snapshotCodec;
+
+  const players = {};
+  for (const id in game.players) {
+    const player = game.players[id];
+    if (!player) continue;
+    players[id] = {
+      x: quantize(player.x, 0.1),
+      y: quantize(player.y, 0.1),
+      rotation: quantize(player.rotation, 0.001),
+      turretRotation: quantize(player.turretRotation, 0.001),
+      color: player.color,
+      name: player.name,
+      hp: player.hp,
+      dead: player.dead,
+      vx: quantize(player.vx, 0.1),
+      vy: quantize(player.vy, 0.1),
+      invulnerable: !!player.invulnerable,
+      held: !!player.held,
+      bot: game.bots.has(id),
+      lastProcessedInput: player.lastProcessedInput,
+      team: player.team || null,
+      tankClass: player.tankClass,
+      nextClass: player.nextClass,
+      maxHp: player.maxHp,
+      abilityReadyAt: player.abilityReadyAt,
+    };
+  }
 
-    case "SHIELD":
-      player.shield = true;
-      player.shieldExpireTime = Date.now() + (cfg.duration || 10000);
-      break;
+  const bullets = {};
+  for (const b of game.bullets || []) {
+    bullets[b.id] = {
+      x: quantize(b.x, 0.1),
+      y: quantize(b.y, 0.1),
+      angle: quantize(b.angle, 0.001),
+      color: b.color,
+      kind: b.kind,
+      speed: Math.round(Math.hypot(b.vx, b.vy)), // differs by class, for extrapolation
+    };
+  }
 
-    case "DAMAGE_BOOST":
-      player.damageBoost = true;
-      player.damageBoostExpireTime = Date.now() + (cfg.duration || 10000);
-      break;
+  const powerUps = {};
+  for (const powerUp of game.powerUps || []) {
+    powerUps[powerUp.id] = {
+      x: quantize(powerUp.x, 0.1),
+      y: quantize(powerUp.y, 0.1),
+      type: powerUp.type,
+    };
+  }
+
+  // Active power-ups, one entry per player and type so picking one up only sends that entry
+  const effects = {};
+  for (const id in game.players) {
+    const player = game.players[id];
+    for (const type in player.effects) {
+      const effect = player.effects[type];
+      effects[`${id}:${type}`] = { player: id, type, expiresAt: effect.expiresAt, stacks: effect.stacks };
+    }
+  }
+
+  // Rounds left of limited weapons, one entry per player and weapon like effects
+  const ammo = {};
+  for (const id in game.players) {
+    const player = game.players[id];
+    for (const weapon in player.ammo) {
+      ammo[`${id}:${weapon}`] = { player: id, weapon, count: player.ammo[weapon] };
+    }
+  }
+
+  const mines = {};
+  for (const mine of game.mines || []) {
+    mines[mine.id] = {
+      x: quantize(mine.x, 0.1),
+      y: quantize(mine.y, 0.1),
+      color: mine.color,
+      owner: mine.owner,
+      armed: now >= mine.armedAt,
+    };
   }
+
+  const barriers = {};
+  for (const barrier of game.barriers || []) {
+    barriers[barrier.id] = {
+      x: quantize(barrier.x, 0.1),
+      y: quantize(barrier.y, 0.1),
+      angle: quantize(barrier.angle, 0.001),
+      halfLength: barrier.halfLength,
+      color: barrier.color,
+      owner: barrier.owner,
+      expiresAt: barrier.expiresAt,
+    };
+  }
+
+  const stats = {};
+  for (const id in game.stats) {
+    stats[id] = combatStats.describeStats(game.stats[id]);
+  }
+
+  const teams = {};
+  for (const id in game.teams) {
+    const team = game.teams[id];
+    teams[id] = { name: team.name, color: team.color, score: team.score };
+  }
+
+  // Flags and the hill; bookkeeping fields (drop timers, partial hill time) stay on the server
+  const objectives = {};
+  for (const id in game.objectives) {
+    const objective = game.objectives[id];
+    if (objective.kind === "flag") {
+      objectives[id] = {
+        kind: "flag",
+        team: objective.team,
+        x: quantize(objective.x, 0.1),
+        y: quantize(objective.y, 0.1),
+        homeX: objective.homeX,
+        homeY: objective.homeY,
+        carrier: objective.carrier,
+        home: !objective.carrier && objective.droppedAt === null,
+      };
+    } else if (objective.kind === "hill") {
+      objectives[id] = {
+        kind: "hill",
+        x: objective.x,
+        y: objective.y,
+        r: objective.r,
+        holder: objective.holder,
+        contested: objective.contested,
+      };
+    }
+  }
+
+  game.snapshotSeq = (game.snapshotSeq || 0) + 1;
+  return {
+    seq: game.snapshotSeq,
+    t: now, // server time, lets clients interpolate independently of arrival jitter
+    players,
+    bullets,
+    powerUps,
+    effects,
+    ammo,
+    mines,
+    barriers,
+    scores: { ...game.scores },
+    stats,
+    teams,
+    objectives,
+  };
 }
 
-// Utility to push chat messages to the game log
-function pushChatMessage(gameId, { playerId, text, timestamp, system }) {
-  const game = games[gameId];
+/**
+ * Send a snapshot to everyone in a game, delta-encoded against the last
+ * snapshot each client acknowledged (full snapshot when that one is gone)
+ * @param {string} gameId - The game room
+ * @param {Object} snapshot - Output of buildSnapshot
+ */
+function broadcastSnapshot(gameId, snapshot) {
+  const game = findGame(gameId);
+  if (!game) return;
+  if (!game.snapshotHistory) game.snapshotHistory = new Map();
+
+  const room = io.sockets.adapter.rooms.get(gameId);
+  if (room) {
+    const packets = new Map(); // base seq -> packet, shared by clients on the same base
+    for (const socketId of room) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (!socket || socket.gameId !== gameId) continue;
+
+      const base = game.snapshotHistory.get(socket.lastAckedSnapshot) || null;
+      const baseSeq = base ? base.seq : 0;
+      if (!packets.has(baseSeq)) {
+        packets.set(baseSeq, snapshotCodec.encodeDelta(base, snapshot));
+      }
+      socket.emit("state", packets.get(baseSeq));
+    }
+  }
+
+  game.snapshotHistory.set(snapshot.seq, snapshot);
+  if (game.snapshotHistory.size > SNAPSHOT_HISTORY) {
+    game.snapshotHistory.delete(game.snapshotHistory.keys().next().value);
+  }
+  if (game.recorder) replay.recordState(game.recorder, snapshot);
+}
+
+/**
+ * Create a game with its own simulation; the RNG seed is kept on the game so
+ * a match can be reproduced
+ */
+function createGame(gameId, gameName, map, mode, matchOptions, accessSettings) {
+  const seed = Math.floor(Math.random() * 0x100000000);
+  return {
+    ...simulation.createGameState(map, mode.id, matchOptions),
+    ...accessSettings, // visibility, passwordHash, inviteCode
+    id: gameId,
+    name: gameName,
+    mapType: map.id,
+    seed,
+    sim: simulation.createSimulation({
+      now: Date.now,
+      random: simulation.createRng(seed),
+    }),
+    chat: [],
+    spectators: {}, // socketId -> { id, name } for clients watching without a tank
+    hostId: null, // player with moderation rights: the creator, then whoever inherits it
+    locked: false, // no new joins while set
+    bans: new Set(), // profile ids banned for this game's lifetime
+    mutes: {}, // socket id or profile id -> time their mute ends; see isMuted
+    held: new Map(), // reconnect token -> { playerId, profileId, timer } for players who lost connection
+    bots: new Map(), // playerId -> { brain, guard } for computer-controlled tanks (see game/bots.js)
+    botFill: 0, // bots join and leave to keep this many tanks in the game; 0 leaves bots to the host
+    botDifficulty: bots.DEFAULT_DIFFICULTY, // for bots added by botFill
+    nextBotId: 0,
+    recording: RECORD_REPLAYS, // save each round as a replay
+    recorder: null, // the round being recorded
+  };
+}
+
+/**
+ * Count a rule violation against a client; repeat offenders are flagged in the
+ * log and then kicked
+ * @param {Object} socket - Offending client
+ * @param {string} reason - What it did, for the server log
+ */
+function reportViolation(socket, reason) {
+  if (!socket.guard || !socket.connected) return;
+  const verdict = validation.recordViolation(socket.guard, Date.now());
+  const game = findGame(socket.gameId);
+  const player = game && game.players[socket.id];
+  const who = `${socket.id}${player && player.name ? ` (${player.name})` : ""}`;
+
+  if (verdict === "flag") {
+    if (player) player.flagged = true;
+    console.warn(`Flagged ${who} for repeated invalid input, last: ${reason}`);
+  } else if (verdict === "kick") {
+    console.warn(`Kicked ${who} for invalid input, last: ${reason}`);
+    if (player) broadcastSystemMessage(game.id, `${player.name || "A player"} was kicked for invalid input.`);
+    socket.kicked = true; // leaves for good: no held tank to reclaim
+    socket.emit("error", "Disconnected for sending invalid game input.");
+    socket.disconnect(true);
+  }
+}
+
+/**
+ * Add a message to the game's chat log and send it to everyone who may read it
+ * @param {string} gameId
+ * @param {Object} message - kind is "chat", "system", "team" or "emote";
+ *   team messages are only stored for and sent to that team
+ */
+function pushChatMessage(gameId, { playerId, name, text, timestamp, system, kind, team }) {
+  const game = findGame(gameId);
   if (!game) return;
   if (!game.chat) game.chat = [];
-  game.chat.push({
+  const message = {
     playerId: playerId || null,
+    name: name || null,
     text: String(text || ""),
     timestamp: timestamp || Date.now(),
     system: !!system,
-  });
+    kind: kind || (system ? "system" : "chat"),
+    team: team || null,
+  };
+  game.chat.push(message);
   if (game.chat.length > CHAT_MAX_MESSAGES) {
     game.chat.shift();
   }
+  if (game.recorder && !message.team) {
+    replay.recordEvent(game.recorder, "chat:message", message, message.timestamp);
+  }
+
+  if (!message.team) {
+    io.to(gameId).emit("chat:message", message);
+    return;
+  }
+  for (const id in game.players) {
+    if (game.players[id].team === message.team) io.to(id).emit("chat:message", message);
+  }
+}
+
+/**
+ * The part of the chat log a player may read, for `chat:history`
+ */
+function chatHistory(game, player) {
+  return game.chat.filter((message) => !message.team || (player && message.team === player.team));
+}
+
+/**
+ * Reply to one client only (command output and errors); not stored
+ */
+function sendChatNotice(socket, text) {
+  socket.emit("chat:message", {
+    playerId: null,
+    name: null,
+    text,
+    timestamp: Date.now(),
+    system: true,
+    kind: "notice",
+    team: null,
+  });
+}
+
+/**
+ * A client's entry in a game: their player record, or their spectator record
+ */
+function memberOf(game, socketId) {
+  if (Object.hasOwn(game.players, socketId)) return game.players[socketId];
+  return Object.hasOwn(game.spectators, socketId) ? game.spectators[socketId] : null;
+}
+
+/**
+ * Everyone a chat command can name: players (bots included) and spectators
+ */
+function membersOf(game) {
+  return { ...game.players, ...game.spectators };
+}
+
+function emitEvents(gameId, events) {
+  for (const event of events) {
+    announceEvent(gameId, event);
+    io.to(gameId).emit(event.type, event.data);
+    updateRecording(gameId, event);
+    if (event.type === "match" && event.data.phase === lifecycle.PHASES.POST) {
+      recordProfiles(gameId, event.data.results);
+    }
+  }
+}
+
+/**
+ * Attach the client's persistent profile to its socket
+ * @returns {{profile: Object, token: string|null}} For the join payload; token
+ *   is only set when the client gets a new profile and must store it
+ */
+function identifyClient(socket, token, name) {
+  const identity = profiles.identify(token, name, Date.now());
+  socket.profileId = identity.profile.id;
+  return { profile: profiles.describeProfile(identity.profile), token: identity.token };
+}
+
+/**
+ * Profile behind a player, whether connected or held; null for bots
+ */
+function profileIdOf(game, playerId) {
+  const socket = io.sockets.sockets.get(playerId);
+  if (socket) return socket.profileId || null;
+  for (const held of game.held.values()) {
+    if (held.playerId === playerId) return held.profileId;
+  }
+  return null;
+}
+
+/**
+ * Count a finished round towards the profiles of everyone still playing
+ */
+function recordProfiles(gameId, results) {
+  const game = findGame(gameId);
+  if (!game || !results) return;
+  const profileIds = {};
+  for (const id in game.players) {
+    const profileId = profileIdOf(game, id);
+    if (profileId) profileIds[id] = profileId;
+  }
+  const info = { server: game.name, mode: modes.getMode(game.mode).name, map: game.map.name, round: game.match.round };
+  profiles.recordMatch(info, results, profileIds, Date.now());
+}
+
+/**
+ * Record a game event; rounds start recording at their countdown and are
+ * saved once the results are in
+ */
+function updateRecording(gameId, event) {
+  const game = findGame(gameId);
+  if (!game || !game.recording) return;
+  const time = Date.now();
+
+  if (event.type === "match" && event.data.phase === lifecycle.PHASES.COUNTDOWN) {
+    game.recorder = replay.createRecorder(game, modes.getMode(game.mode).name, time, TICK_RATE / SNAPSHOT_TICKS);
+  }
+  if (!game.recorder) return;
+  replay.recordEvent(game.recorder, event.type, event.data, time);
+  if (event.type !== "match") return;
+
+  if (event.data.phase === lifecycle.PHASES.POST) {
+    replay
+      .saveReplay(game.recorder)
+      .then((saved) => console.log(`Replay ${saved.id} saved.`))
+      .catch((err) => console.error(`Could not save replay: ${err.message}`));
+    game.recorder = null;
+  } else if (event.data.phase === lifecycle.PHASES.WARMUP) {
+    game.recorder = null; // the round was abandoned
+  }
+}
+
+/**
+ * Put a client in a game's room with fresh per-connection state. Its first
+ * snapshot is a full one.
+ */
+function enterGame(socket, game) {
+  socket.join(game.id);
+  socket.gameId = game.id;
+  socket.lastAckedSnapshot = 0;
+  socket.guard = validation.createGuard();
+  socket.chatLimiter = chat.createLimiter();
+  socket.reconnectToken = crypto.randomBytes(18).toString("base64url");
+}
+
+/**
+ * Take a client out of its game: a dropped player's tank is held for them
+ * (see holdPlayer), anyone else's leaves at once
+ * @param {Object} socket
+ * @param {boolean} dropped - The connection was lost rather than closed on purpose
+ */
+function leaveGame(socket, dropped) {
+  const gameId = socket.gameId;
+  socket.leave(gameId);
+  socket.gameId = null;
+  const game = findGame(gameId);
+  if (!game) return;
+
+  const member = memberOf(game, socket.id);
+  if (member) {
+    // Players who drop (rather than get kicked) keep their tank for a while
+    const hold = dropped && !!game.players[socket.id] && !socket.kicked && RECONNECT_GRACE > 0;
+    if (!socket.kicked) {
+      pushChatMessage(gameId, {
+        playerId: null,
+        text: `${member.name || "A player"} ${hold ? "lost connection" : "left the game"}.`,
+        timestamp: Date.now(),
+        system: true,
+      });
+    }
+    delete game.spectators[socket.id];
+    if (hold) {
+      holdPlayer(socket, game);
+    } else if (game.players[socket.id]) {
+      emitEvents(gameId, game.sim.removePlayer(game, socket.id));
+    }
+    // Host rights pass to whoever has been here longest, preferring players who are still connected
+    if (game.hostId === socket.id) {
+      const connected = Object.keys(game.players).filter((id) => !game.players[id].held && !game.bots.has(id));
+      transferHost(game, connected[0] || Object.keys(game.spectators)[0]);
+    }
+    balanceBots(game);
+  }
+
+  scheduleCleanupIfEmpty(gameId);
+}
+
+/**
+ * Tell a client it is in: everything it needs to draw the game, then the chat it may read
+ * @param {Object} socket
+ * @param {Object} game
+ * @param {Object|null} player - Their player record, null for spectators
+ * @param {Object} fields - name, profile and anything else specific to how they joined
+ */
+function sendJoin(socket, game, player, fields) {
+  socket.emit("join", {
+    id: socket.id,
+    gameId: game.id,
+    spectator: !player,
+    color: player ? player.color : null,
+    team: (player && player.team) || null,
+    mode: game.mode,
+    modeName: modes.getMode(game.mode).name,
+    match: lifecycle.describeMatch(game.match),
+    lobby: describeLobby(game),
+    inviteCode: game.inviteCode,
+    reconnectToken: socket.reconnectToken, // present it with the next join to get this tank back
+    ...fields,
+    mapType: game.mapType,
+    map: game.map,
+    mapWidth: game.mapWidth,
+    mapHeight: game.mapHeight,
+  });
+  socket.emit("chat:history", chatHistory(game, player));
+}
+
+/**
+ * Whether anyone (rather than only bots) is playing or watching
+ */
+function hasClients(game) {
+  return Object.keys(game.players).some((id) => !game.bots.has(id)) || Object.keys(game.spectators).length > 0;
+}
+
+/**
+ * Add a computer-controlled tank
+ * @param {Object} game
+ * @param {string} [difficulty] - Key of bots.DIFFICULTIES
+ * @returns {string|null} Error for the host, or null
+ */
+function addBot(game, difficulty) {
+  if (Object.keys(game.players).length >= MAX_PLAYERS) return access.JOIN_ERRORS.FULL;
+  const id = `bot-${++game.nextBotId}`;
+  const brain = bots.createBrain(difficulty);
+  const player = game.sim.addPlayer(game, id, {
+    name: bots.pickName(game.players),
+    color: randomColor(),
+    tankClass: randomClass(),
+  });
+  game.bots.set(id, { brain, guard: validation.createGuard() });
+  broadcastPlayerName(game.id, id);
+  broadcastSystemMessage(game.id, `${player.name} (${bots.DIFFICULTIES[brain.difficulty].name} bot) joined the game.`);
+  return null;
+}
+
+function removeBot(game, id) {
+  const player = game.players[id];
+  game.bots.delete(id);
+  if (!player) return;
+  broadcastSystemMessage(game.id, `${player.name} left the game.`);
+  emitEvents(game.id, game.sim.removePlayer(game, id));
+}
+
+/**
+ * Add or remove bots until the game has botFill tanks; the newest bots leave first
+ */
+function balanceBots(game) {
+  if (!game.botFill) return;
+  const target = Math.min(game.botFill, MAX_PLAYERS);
+  while (Object.keys(game.players).length < target) {
+    if (addBot(game, game.botDifficulty)) break; // full
+  }
+  const newestFirst = [...game.bots.keys()].reverse();
+  while (Object.keys(game.players).length > target && newestFirst.length) removeBot(game, newestFirst.shift());
+}
+
+/**
+ * Make room for one more player, removing a bot if the game is full
+ * @returns {boolean} false when the game is full of people
+ */
+function makeRoom(game) {
+  if (Object.keys(game.players).length < MAX_PLAYERS) return true;
+  const newest = [...game.bots.keys()].pop();
+  if (!newest) return false;
+  removeBot(game, newest);
+  return true;
+}
+
+/**
+ * Let every bot decide its move for this tick. Their inputs and shots go
+ * through the same validation, queue and simulation calls as a client's.
+ */
+function driveBots(game, time, dt) {
+  for (const [id, bot] of game.bots) {
+    const player = game.players[id];
+    if (!player) continue;
+    const action = bots.think(game, player, bot.brain, time, dt, game.sim.random);
+    const { input } = validation.validateInput(action.input, bot.guard.lastSeq);
+    if (input) {
+      bot.guard.lastSeq = input.seq;
+      player.inputQueue.push(input);
+    }
+    const shot = action.shot === null ? null : validation.validateShot({ angle: action.shot, slot: action.slot });
+    if (shot && validation.countShot(bot.guard, time)) game.sim.shoot(game, id, shot.angle, undefined, shot.weapon);
+    if (action.ability) emitEvents(game.id, game.sim.useAbility(game, id));
+  }
+}
+
+/**
+ * Close a game shortly after its last client leaves, unless someone joins meanwhile
+ */
+function scheduleCleanupIfEmpty(gameId) {
+  const game = findGame(gameId);
+  if (!game || hasClients(game)) return;
+  clearTimeout(game.cleanupTimer);
+  game.cleanupTimer = setTimeout(() => {
+    const stale = findGame(gameId);
+    if (stale && !hasClients(stale)) {
+      delete games[gameId];
+      console.log(`Game ${gameId} has been cleaned up.`);
+    }
+  }, EMPTY_GAME_TTL);
+}
+
+/**
+ * Keep a dropped player's tank, score and stats for RECONNECT_GRACE ms; a
+ * client presenting the socket's reconnect token before then takes it back
+ */
+function holdPlayer(socket, game) {
+  emitEvents(game.id, game.sim.holdPlayer(game, socket.id));
+  const token = socket.reconnectToken;
+  game.held.set(token, {
+    playerId: socket.id,
+    profileId: socket.profileId || null,
+    timer: setTimeout(() => releasePlayer(game.id, token), RECONNECT_GRACE),
+  });
+}
+
+/**
+ * The grace period ran out: the held tank leaves the game for good
+ */
+function releasePlayer(gameId, token) {
+  const game = findGame(gameId);
+  const held = game && game.held.get(token);
+  if (!held) return;
+  game.held.delete(token);
+
+  const player = game.players[held.playerId];
+  if (player) {
+    broadcastSystemMessage(gameId, `${player.name || "A player"} left the game.`);
+    emitEvents(gameId, game.sim.removePlayer(game, held.playerId));
+  }
+  balanceBots(game);
+  scheduleCleanupIfEmpty(gameId);
+}
+
+/**
+ * Give a held tank to the client that presented its reconnect token
+ * @returns {boolean} false when the token doesn't match a held tank
+ */
+function reclaimPlayer(socket, game, token, profileToken) {
+  const held = typeof token === "string" ? game.held.get(token) : null;
+  if (!held) return false;
+  clearTimeout(held.timer);
+  game.held.delete(token);
+
+  const player = game.sim.reclaimPlayer(game, held.playerId, socket.id);
+  if (!player) return false;
+  if (game.mutes[held.playerId]) {
+    game.mutes[socket.id] = game.mutes[held.playerId]; // the seat's mute moves with it
+    delete game.mutes[held.playerId];
+  }
+  const identity = identifyClient(socket, profileToken, player.name);
+
+  // Announced before joining the room, like a fresh join
+  broadcastSystemMessage(game.id, `${player.name || "A player"} reconnected.`);
+  enterGame(socket, game);
+  broadcastPlayerName(game.id, socket.id);
+  if (!game.hostId) transferHost(game, socket.id);
+  sendJoin(socket, game, player, { name: player.name, reconnected: true, ...identity });
+  return true;
+}
+
+/**
+ * Take a player's tank out of the game and keep them watching
+ */
+function startSpectating(socket, game) {
+  const player = game.players[socket.id];
+  if (!player) return;
+  emitEvents(game.id, game.sim.removePlayer(game, socket.id));
+  game.spectators[socket.id] = { id: socket.id, name: player.name };
+  broadcastSystemMessage(game.id, `${player.name || "A player"} is now spectating.`);
+  socket.emit("role", { spectator: true, color: null, team: null });
+  balanceBots(game);
+}
+
+/**
+ * Give a spectator a tank
+ * @returns {string|null} Error for the client, or null
+ */
+function startPlaying(socket, game) {
+  const spectator = game.spectators[socket.id];
+  if (!spectator) return null;
+  if (!makeRoom(game)) return access.JOIN_ERRORS.FULL;
+
+  delete game.spectators[socket.id];
+  socket.guard = validation.createGuard(); // the client restarts its input sequence
+  const player = game.sim.addPlayer(game, socket.id, { name: spectator.name, color: randomColor(), tankClass: socket.tankClass });
+  broadcastPlayerName(game.id, socket.id);
+  broadcastSystemMessage(game.id, `${player.name || "A player"} joined the game.`);
+  socket.emit("role", { spectator: false, color: player.color, team: player.team || null });
+  balanceBots(game);
+  return null;
+}
+
+/**
+ * Remove a player from a game at the host's request
+ * @param {Object} game
+ * @param {string} playerId - Target
+ * @param {boolean} ban - Also refuse their profile for the rest of the game. Profiles,
+ *   not addresses, so a ban never locks out others behind the same NAT or proxy; a
+ *   player who throws their profile token away gets back in under a new one, and
+ *   the host is told so
+ * @returns {string|null} Error for the host, or null
+ */
+function removeFromLobby(game, playerId, ban) {
+  if (game.bots.has(playerId)) return HOST_ACTIONS.removeBot(game, { playerId });
+  const player = memberOf(game, playerId);
+  const target = io.sockets.sockets.get(playerId);
+  if (!player || !target) return "That player is no longer in the game.";
+  if (playerId === game.hostId) return `You can't ${ban ? "ban" : "kick"} yourself.`;
+
+  if (ban && target.profileId) game.bans.add(target.profileId);
+  broadcastSystemMessage(game.id, `${player.name || "A player"} was ${ban ? "banned" : "kicked"} by the host.`);
+  const host = ban && io.sockets.sockets.get(game.hostId);
+  if (host) {
+    sendChatNotice(host, "Bans go by player profile: someone who clears their browser data comes back under a new one. Lock the game to keep everyone out.");
+  }
+  target.kicked = true; // no "left the game" message on top
+  target.emit("error", ban ? "You were banned from that game." : "You were kicked from that game.");
+  target.disconnect(true);
+  return null;
+}
+
+/**
+ * Hand host rights to another player (or spectator)
+ */
+function transferHost(game, playerId) {
+  const player = memberOf(game, playerId);
+  game.hostId = player ? playerId : null;
+  if (player) broadcastSystemMessage(game.id, `${player.name || "A player"} is now the host.`);
+  broadcastLobby(game.id);
+}
+
+// Moderation actions, available to the host as `host:<action>` socket events
+// and through chat commands. Each returns an error for the host, or null.
+const HOST_ACTIONS = {
+  kick(game, { playerId }) {
+    return removeFromLobby(game, playerId, false);
+  },
+
+  ban(game, { playerId }) {
+    return removeFromLobby(game, playerId, true);
+  },
+
+  transfer(game, { playerId }) {
+    if (!memberOf(game, playerId)) return "That player is no longer in the game.";
+    if (playerId === game.hostId) return "You are already the host.";
+    if (game.bots.has(playerId)) return "Bots can't be the host.";
+    transferHost(game, playerId);
+    return null;
+  },
+
+  lock(game, { locked }) {
+    game.locked = locked !== false;
+    broadcastSystemMessage(game.id, game.locked ? "The host locked the game." : "The host unlocked the game.");
+    broadcastLobby(game.id);
+    return null;
+  },
+
+  rename(game, { name }) {
+    const safeName = sanitizeString(name || "");
+    if (!safeName) return "Enter a server name.";
+    game.name = safeName;
+    broadcastSystemMessage(game.id, `Server renamed to "${safeName}".`);
+    broadcastLobby(game.id);
+    return null;
+  },
+
+  endRound(game) {
+    const events = game.sim.endRound(game);
+    if (!events.length) return "No round is being played.";
+    emitEvents(game.id, events);
+    return null;
+  },
+
+  addBot(game, { difficulty }) {
+    return addBot(game, difficulty);
+  },
+
+  // The given bot, or the newest one
+  removeBot(game, { playerId }) {
+    const id = playerId === undefined ? [...game.bots.keys()].pop() : playerId;
+    if (!id) return "There are no bots in the game.";
+    if (!game.bots.has(id)) return "That player is not a bot.";
+    removeBot(game, id);
+    return null;
+  },
+
+  fillBots(game, { count, difficulty }) {
+    const fill = Number(count);
+    if (!Number.isInteger(fill) || fill < 0 || fill > MAX_PLAYERS) return `Fill takes a number of tanks from 0 to ${MAX_PLAYERS}.`;
+    game.botFill = fill;
+    if (difficulty !== undefined) game.botDifficulty = bots.normalizeDifficulty(difficulty);
+    broadcastSystemMessage(
+      game.id,
+      fill
+        ? `Bots (${bots.DIFFICULTIES[game.botDifficulty].name}) fill the game up to ${fill} tanks.`
+        : "Bots no longer fill the game."
+    );
+    balanceBots(game);
+    return null;
+  },
+};
+
+/**
+ * A player's seat, their profile and every other seat in the game under that
+ * profile: the keys a mute goes under, and all of them must go to lift it
+ */
+function muteKeys(game, playerId) {
+  const profileId = profileIdOf(game, playerId);
+  if (!profileId) return [playerId];
+  const seats = Object.keys(membersOf(game)).filter((id) => profileIdOf(game, id) === profileId);
+  return [...new Set([playerId, profileId, ...seats])];
+}
+
+/**
+ * Mutes hold both the seat (socket id, handed on when a held tank is
+ * reclaimed) and the profile, so neither rejoining under the same profile
+ * nor reclaiming the tank with a fresh one lifts them. Whichever identity a
+ * mute turns up under, both carry it from then on.
+ * @param {Object} game
+ * @param {Object} socket - Sender
+ */
+function isMuted(game, socket) {
+  const keys = [socket.id, socket.profileId].filter(Boolean);
+  const until = Math.max(0, ...keys.map((key) => game.mutes[key] || 0));
+  for (const key of keys) delete game.mutes[key];
+  if (until <= Date.now()) return false;
+  for (const key of keys) game.mutes[key] = until;
+  return true;
+}
+
+/**
+ * Handle a slash command from the chat box (see game/chat.js)
+ * @param {Object} socket - Sender
+ * @param {Object} game - Sender's game
+ * @param {Object} player - Sender's player record
+ * @param {{name: string|null, args: string}} command - From chat.parseCommand()
+ */
+function runChatCommand(socket, game, player, command) {
+  const isHost = game.hostId === socket.id;
+
+  if (command.name !== "help" && isMuted(game, socket)) {
+    sendChatNotice(socket, "You are muted.");
+    return;
+  }
+
+  switch (command.name) {
+    case "help":
+      sendChatNotice(socket, "Commands:");
+      for (const line of chat.helpLines(isHost)) sendChatNotice(socket, line);
+      break;
+
+    case "w": {
+      const found = chat.findPlayer(membersOf(game), command.args);
+      if (!found || !found.rest) {
+        sendChatNotice(socket, command.args && !found ? "No player with that name." : chat.usage("w"));
+        return;
+      }
+      if (found.player.id === socket.id) {
+        sendChatNotice(socket, "You can't whisper to yourself.");
+        return;
+      }
+      const whisper = {
+        playerId: socket.id,
+        name: player.name || null,
+        to: found.player.id,
+        toName: found.player.name,
+        text: found.rest,
+        timestamp: Date.now(),
+        system: false,
+        kind: "whisper",
+        team: null,
+      };
+      socket.emit("chat:message", whisper);
+      io.to(found.player.id).emit("chat:message", whisper);
+      break;
+    }
+
+    case "team":
+      if (game.spectators[socket.id]) {
+        sendChatNotice(socket, "Spectators don't have a team.");
+      } else if (!player.team) {
+        sendChatNotice(socket, "Team chat is only available in team modes.");
+      } else if (!command.args) {
+        sendChatNotice(socket, chat.usage("team"));
+      } else {
+        pushChatMessage(game.id, { playerId: socket.id, name: player.name, text: command.args, kind: "team", team: player.team });
+      }
+      break;
+
+    case "me":
+      if (!command.args) {
+        sendChatNotice(socket, chat.usage("me"));
+      } else {
+        pushChatMessage(game.id, { playerId: socket.id, name: player.name, text: command.args, kind: "emote" });
+      }
+      break;
+
+    case "kick":
+    case "ban":
+    case "host": {
+      if (!isHost) {
+        sendChatNotice(socket, "Only the host can do that.");
+        return;
+      }
+      const found = chat.findPlayer(membersOf(game), command.args);
+      if (!found) {
+        sendChatNotice(socket, command.args ? "No player with that name." : chat.usage(command.name));
+        return;
+      }
+      const action = command.name === "host" ? "transfer" : command.name;
+      const error = HOST_ACTIONS[action](game, { playerId: found.player.id });
+      if (error) sendChatNotice(socket, error);
+      break;
+    }
+
+    case "lock":
+    case "unlock":
+    case "rename":
+    case "end": {
+      if (!isHost) {
+        sendChatNotice(socket, "Only the host can do that.");
+        return;
+      }
+      let error;
+      if (command.name === "rename") {
+        error = command.args ? HOST_ACTIONS.rename(game, { name: command.args }) : chat.usage("rename");
+      } else if (command.name === "end") {
+        error = HOST_ACTIONS.endRound(game, {});
+      } else {
+        error = HOST_ACTIONS.lock(game, { locked: command.name === "lock" });
+      }
+      if (error) sendChatNotice(socket, error);
+      break;
+    }
+
+    case "bot": {
+      if (!isHost) {
+        sendChatNotice(socket, "Only the host can do that.");
+        return;
+      }
+      const [action, ...rest] = command.args.split(" ");
+      let error;
+      if (action === "add") {
+        error = HOST_ACTIONS.addBot(game, { difficulty: rest[0] });
+      } else if (action === "remove") {
+        const found = rest.length ? chat.findPlayer(game.players, rest.join(" ")) : null;
+        error = rest.length && !found ? "No player with that name." : HOST_ACTIONS.removeBot(game, { playerId: found ? found.player.id : undefined });
+      } else if (action === "fill" && rest.length) {
+        error = HOST_ACTIONS.fillBots(game, { count: rest[0], difficulty: rest[1] });
+      } else {
+        error = chat.usage("bot");
+      }
+      if (error) sendChatNotice(socket, error);
+      break;
+    }
+
+    case "mute":
+    case "unmute": {
+      if (!isHost) {
+        sendChatNotice(socket, "Only the host can do that.");
+        return;
+      }
+      const found = chat.findPlayer(membersOf(game), command.args);
+      if (!found) {
+        sendChatNotice(socket, command.args ? "No player with that name." : chat.usage(command.name));
+        return;
+      }
+      const target = found.player;
+      const keys = muteKeys(game, target.id);
+      if (target.id === socket.id) {
+        sendChatNotice(socket, `You can't ${command.name} yourself.`);
+      } else if (game.bots.has(target.id)) {
+        sendChatNotice(socket, "Bots don't chat.");
+      } else if (command.name === "mute") {
+        const duration = chat.muteDuration(found.rest);
+        for (const key of keys) game.mutes[key] = Date.now() + duration;
+        broadcastSystemMessage(game.id, `${target.name || "A player"} was muted for ${Math.round(duration / 60000)} min.`);
+      } else {
+        for (const key of keys) delete game.mutes[key];
+        broadcastSystemMessage(game.id, `${target.name || "A player"} can chat again.`);
+      }
+      break;
+    }
+
+    default:
+      sendChatNotice(socket, "Unknown command. Type /help for a list.");
+  }
 }
 
 io.on("connection", (socket) => {
@@ -211,11 +1199,43 @@ io.on("connection", (socket) => {
       return;
     }
     const gameId = data.serverId;
-    const game = games[gameId];
+    const game = findGame(gameId);
     if (!game) {
-      socket.emit("error", "Game not found");
+      rejectJoin(socket, "NOT_FOUND");
+      return;
+    }
+    // A player coming back for a held tank skips the checks they passed the first time
+    if (typeof data.reconnect === "string" && game.held.has(data.reconnect)) {
+      if (socket.gameId) leaveGame(socket, false); // one game per connection
+      if (reclaimPlayer(socket, game, data.reconnect, data.token)) return;
+    }
+
+    const spectating = !!data.spectate; // watch without taking a player slot
+    // Bots give up their slots to people
+    if (!spectating && Object.keys(game.players).length - game.bots.size >= MAX_PLAYERS) {
+      rejectJoin(socket, "FULL");
+      return;
+    }
+    if (spectating && Object.keys(game.spectators).length >= MAX_SPECTATORS) {
+      rejectJoin(socket, "SPECTATORS_FULL");
+      return;
+    }
+    const known = profiles.findByToken(data.token);
+    if (known && game.bans.has(known.id)) {
+      rejectJoin(socket, "BANNED");
+      return;
+    }
+    if (game.locked) {
+      rejectJoin(socket, "LOCKED");
+      return;
+    }
+    const denied = access.checkAccess(game, data);
+    if (denied) {
+      rejectJoin(socket, denied);
       return;
     }
+    // Only once the join is certain, so a refused one leaves the client where it was
+    if (socket.gameId) leaveGame(socket, false); // one game per connection
 
     // Cancel cleanup timer if a player joins
     if (game.cleanupTimer) {
@@ -223,142 +1243,148 @@ io.on("connection", (socket) => {
       delete game.cleanupTimer;
     }
 
-    socket.join(gameId);
-    socket.gameId = gameId;
-
     const safeName = sanitizeString(data.name || "");
-    const color = randomColor();
-
-    game.players[socket.id] = {
-      id: socket.id,
-      x: Math.random() * (MAP_WIDTH - 40) + 20,
-      y: Math.random() * (MAP_HEIGHT - 40) + 20,
-      vx: 0, // velocity x
-      vy: 0, // velocity y
-      rotation: 0,
-      turretRotation: 0,
-      inputs: {},
-      name: safeName,
-      color,
-      hp: MAX_HP,
-      dead: false,
-      respawnTime: 0,
-      speedBoost: false,
-      speedBoostExpireTime: null,
-      rapidFire: false,
-      rapidFireExpireTime: null,
-      shield: false,
-      shieldExpireTime: null,
-      damageBoost: false,
-      damageBoostExpireTime: null,
-      lastShotTime: 0,
-      invulnerable: false,
-      lastProcessedInput: 0,
-      inputQueue: [],
-    };
-
-    if (game.scores) {
-      game.scores[socket.id] = 0;
-    }
-
-    broadcastPlayerName(gameId, socket.id);
+    const identity = identifyClient(socket, data.token, safeName);
+    socket.tankClass = classes.normalizeClass(data.tankClass);
 
+    // Announced before joining the room: the newcomer gets it with the history
     pushChatMessage(gameId, {
       playerId: null,
-      text: `${safeName || "A player"} joined the game.`,
+      text: `${safeName || "A player"} ${spectating ? "is spectating" : "joined the game"}.`,
       timestamp: Date.now(),
       system: true,
     });
 
-    socket.emit("join", {
-      id: socket.id,
-      gameId,
-      name: safeName,
-      color,
-      mapWidth: MAP_WIDTH,
-      mapHeight: MAP_HEIGHT,
-    });
+    enterGame(socket, game);
+
+    let player = null;
+    if (spectating) {
+      game.spectators[socket.id] = { id: socket.id, name: safeName };
+    } else {
+      makeRoom(game);
+      player = game.sim.addPlayer(game, socket.id, { name: safeName, color: randomColor(), tankClass: socket.tankClass });
+      broadcastPlayerName(gameId, socket.id);
+    }
+    if (!game.hostId) transferHost(game, socket.id); // the last host left an empty game
+    balanceBots(game);
+
+    sendJoin(socket, game, player, { name: safeName, ...identity });
   });
 
   socket.on("input", (inputs) => {
     const gameId = socket.gameId;
-    const game = games[gameId];
+    const game = findGame(gameId);
     if (!game || !game.players[socket.id]) return;
 
     const player = game.players[socket.id];
-    if (Array.isArray(inputs)) {
-      player.inputQueue.push(...inputs);
-      // Keep queue reasonable size
-      if (player.inputQueue.length > 180) {
-        player.inputQueue = player.inputQueue.slice(-120);
-      }
+    if (!Array.isArray(inputs)) {
+      reportViolation(socket, "input is not a list");
+      return;
+    }
+    if (inputs.length > validation.MAX_INPUT_BATCH) {
+      reportViolation(socket, "input batch too large");
+      inputs = inputs.slice(0, validation.MAX_INPUT_BATCH);
+    }
+
+    for (const sample of inputs) {
+      const { input, violation } = validation.validateInput(sample, socket.guard.lastSeq);
+      if (violation) reportViolation(socket, violation);
+      if (!input) continue;
+      socket.guard.lastSeq = input.seq;
+      player.inputQueue.push(input);
+    }
+
+    // The game loop drains a few inputs per tick; a queue this long means the
+    // client is sending faster than real time
+    if (player.inputQueue.length > validation.MAX_QUEUED_INPUTS) {
+      reportViolation(socket, "input flood");
+      player.inputQueue = player.inputQueue.slice(-validation.MAX_QUEUED_INPUTS);
     }
   });
 
   socket.on("shoot", (data) => {
     const gameId = socket.gameId;
-    const game = games[gameId];
+    const game = findGame(gameId);
     if (!game) return;
 
     const player = game.players?.[socket.id];
     if (!player || player.dead) return;
 
-    const now = Date.now();
-    const isRapid = !!player.rapidFire;
-    const cooldown = isRapid ? RAPID_FIRE_COOLDOWN : SHOOT_COOLDOWN;
-
-    if (
-      typeof player.lastShotTime === "number" &&
-      now - player.lastShotTime < cooldown
-    ) {
-      return; // shoot request ignored due to cooldown
-    }
-
-    const angle = Number(data?.angle) || 0;
-    const shots = isRapid ? POWER_UP_TYPES.RAPID_FIRE.shots || 3 : 1;
-    const spread = POWER_UP_TYPES.RAPID_FIRE.spread || 0.1;
-
-    // Create laser beam projectiles
-    for (let i = 0; i < shots; i++) {
-      const offset = shots === 1 ? 0 : (i - (shots - 1) / 2) * spread;
-      const a = angle + offset;
-      const dt = 1 / TICK_RATE;
-      
-      game.bullets.push({
-        x: player.x,
-        y: player.y,
-        vx: Math.cos(a) * BULLET_SPEED * dt,
-        vy: Math.sin(a) * BULLET_SPEED * dt,
-        angle: a,
-        owner: socket.id,
-        color: player.color,
-        createdAt: now,
-        bounces: 0
-      });
+    const shot = validation.validateShot(data);
+    if (!shot) {
+      reportViolation(socket, "invalid shot");
+      return;
+    }
+    if (!validation.countShot(socket.guard, Date.now())) {
+      reportViolation(socket, "shooting too fast");
+      return;
+    }
+
+    // viewTime lets the simulation resolve the shot against what the shooter saw (capped)
+    game.sim.shoot(game, socket.id, shot.angle, Number(data.viewTime), shot.weapon);
+  });
+
+  // A new class takes effect at the next spawn (or when a spectator starts playing)
+  socket.on("class", (data) => {
+    const game = findGame(socket.gameId);
+    const classId = classes.findClass(data && data.tankClass);
+    if (!game || !classId) return;
+    socket.tankClass = classId;
+    if (game.sim.setClass(game, socket.id, classId) && game.players[socket.id].nextClass) {
+      sendChatNotice(socket, `You will respawn as ${classes.CLASSES[classId].name}.`);
     }
+  });
 
-    player.lastShotTime = now;
+  socket.on("ability", () => {
+    const game = findGame(socket.gameId);
+    if (!game || !game.players[socket.id]) return;
+    emitEvents(game.id, game.sim.useAbility(game, socket.id));
+  });
+
+  // Clients acknowledge each decoded snapshot; the newest ack becomes their delta base
+  socket.on("state:ack", (seq) => {
+    const game = findGame(socket.gameId);
+    if (!game || typeof seq !== "number") return;
+    if (seq > (socket.lastAckedSnapshot || 0) && seq <= (game.snapshotSeq || 0)) {
+      socket.lastAckedSnapshot = seq;
+    }
+  });
+
+  // A client that lost its base asks for a full snapshot
+  socket.on("state:resync", () => {
+    socket.lastAckedSnapshot = 0;
   });
 
   socket.on("chat:message", (data) => {
     const gameId = socket.gameId;
-    const game = games[gameId];
-    if (!game || !game.players[socket.id]) return;
+    const game = findGame(gameId);
+    const player = game && memberOf(game, socket.id); // spectators can chat too
+    if (!player) return;
 
     const unsafeText = (data && data.text) || "";
-    const sanitizedText = sanitizeString(unsafeText).slice(0, 200);
+    const sanitizedText = sanitizeString(unsafeText, chat.CHAT_TEXT_MAX);
 
     if (!sanitizedText) return;
 
-    pushChatMessage(gameId, {
-      playerId: socket.id,
-      text: sanitizedText,
-      timestamp: Date.now(),
-      system: false,
-    });
+    if (!chat.allowMessage(socket.chatLimiter, Date.now())) {
+      sendChatNotice(socket, "You're sending messages too fast.");
+      return;
+    }
+
+    const command = chat.parseCommand(sanitizedText);
+    if (command) {
+      runChatCommand(socket, game, player, command);
+      return;
+    }
 
-    io.to(gameId).emit("chat:message", {
+    if (isMuted(game, socket)) {
+      sendChatNotice(socket, "You are muted.");
+      return;
+    }
+
+    pushChatMessage(gameId, {
       playerId: socket.id,
+      name: player.name,
       text: sanitizedText,
       timestamp: Date.now(),
       system: false,
@@ -366,24 +1392,7 @@ io.on("connection", (socket) => {
   });
 
   socket.on("getServers", () => {
-    const activeServers = [];
-    for (const gameId in games) {
-      const game = games[gameId];
-      if (!game) continue;
-      if (game.players) {
-        const playerCount = Object.keys(game.players).length;
-        // Only add games with actual players
-        if (playerCount > 0) {
-          activeServers.push({
-            id: String(game.id),
-            name: String(game.name),
-            players: playerCount,
-            maxPlayers: MAX_PLAYERS,
-          });
-        }
-      }
-    }
-    socket.emit("servers", activeServers);
+    socket.emit("servers", listServers());
   });
 
   socket.on("host", (data) => {
@@ -392,516 +1401,192 @@ io.on("connection", (socket) => {
         socket.emit("error", "Invalid host data");
         return;
       }
-
-      const gameId = `game_${++gameCounter}`;
-      const gameName =
-        (data && data.name ? String(data.name) : "") || `Game ${gameCounter}`;
-      const mapType = (data && data.map) || "green"; // Default to green map if not specified
-      games[gameId] = {
-        id: gameId,
-        name: gameName,
-        mapType: mapType,
-        players: {},
-        bullets: [],
-        powerUps: [],
-        scores: {},
-        chat: [],
-      };
-
-      socket.join(gameId);
-      socket.gameId = gameId;
-
-      const safeName = sanitizeString(data.playerName || "");
-      const color = randomColor();
-
-      games[gameId].players[socket.id] = {
-        id: socket.id,
-        x: Math.random() * (MAP_WIDTH - 40) + 20,
-        y: Math.random() * (MAP_HEIGHT - 40) + 20,
-        vx: 0, // velocity x
-        vy: 0, // velocity y
-        rotation: 0,
-        turretRotation: 0,
-        inputs: {},
-        name: safeName,
-        color,
-        hp: MAX_HP,
-        dead: false,
-        respawnTime: 0,
-        speedBoost: false,
-        speedBoostExpireTime: null,
-        rapidFire: false,
-        rapidFireExpireTime: null,
-        shield: false,
-        shieldExpireTime: null,
-        damageBoost: false,
-        damageBoostExpireTime: null,
-        lastShotTime: 0,
-        invulnerable: false,
-        invulnerableExpireTime: null,
-        lastProcessedInput: 0,
-        inputQueue: [],
-      };
-
-      if (games[gameId].scores) {
-        games[gameId].scores[socket.id] = 0;
+      let accessSettings;
+      try {
+        accessSettings = access.accessSettings({ visibility: data.visibility, password: data.password });
+      } catch (err) {
+        socket.emit("error", err.message);
+        return;
       }
 
-      broadcastPlayerName(gameId, socket.id);
+      const gameId = `game_${++gameCounter}`;
+      const gameName = sanitizeString(data.name) || `Game ${gameCounter}`;
+      const map = maps.getMap(data.map || maps.DEFAULT_MAP_ID); // Unknown maps fall back to the default
+      const mode = modes.getMode(data.mode); // ...and unknown modes to free-for-all
+      const game = createGame(gameId, gameName, map, mode, {
+        timeLimit: data.timeLimit,
+        scoreLimit: data.scoreLimit,
+      }, accessSettings);
+      game.hostId = socket.id;
+      game.recording = game.recording || data.record === true;
+      game.botDifficulty = bots.normalizeDifficulty(data.botDifficulty);
+      const botFill = Number(data.botFill);
+      if (Number.isInteger(botFill) && botFill > 0) game.botFill = Math.min(botFill, MAX_PLAYERS);
+      if (socket.gameId) leaveGame(socket, false); // one game per connection
+      games[gameId] = game;
 
       pushChatMessage(gameId, {
         playerId: null,
-        text: `Server "${gameName}" created.`,
+        text: `Server "${gameName}" created (${mode.name}).${game.recording ? " Rounds are recorded." : ""}`,
         timestamp: Date.now(),
         system: true,
       });
 
-      socket.emit("join", {
-        id: socket.id,
-        gameId,
-        name: gameName,
-        mapType,
-        mapWidth: MAP_WIDTH,
-        mapHeight: MAP_HEIGHT,
-      });
+      enterGame(socket, game);
+
+      const safeName = sanitizeString(data.playerName || "");
+      const identity = identifyClient(socket, data.token, safeName);
+      socket.tankClass = classes.normalizeClass(data.tankClass);
+      const player = game.sim.addPlayer(game, socket.id, { name: safeName, color: randomColor(), tankClass: socket.tankClass });
+
+      broadcastPlayerName(gameId, socket.id);
+      balanceBots(game);
+
+      sendJoin(socket, game, player, { name: gameName, ...identity });
     } catch (err) {
       console.error("Error in host:", err);
       socket.emit("error", "Unable to host server");
     }
   });
 
-  socket.on("disconnect", () => {
-    const gameId = socket.gameId;
-    if (!gameId || !games[gameId]) return;
+  for (const action in HOST_ACTIONS) {
+    socket.on(`host:${action}`, (data) => {
+      const game = findGame(socket.gameId);
+      if (!game || !memberOf(game, socket.id)) return;
+      const error =
+        game.hostId === socket.id ? HOST_ACTIONS[action](game, data || {}) : "Only the host can do that.";
+      if (error) sendChatNotice(socket, error);
+    });
+  }
 
-    const player = games[gameId].players[socket.id];
-    if (player) {
-      pushChatMessage(gameId, {
-        playerId: null,
-        text: `${player.name || "A player"} left the game.`,
-        timestamp: Date.now(),
-        system: true,
-      });
-      delete games[gameId].players[socket.id];
-      if (games[gameId].scores) {
-        delete games[gameId].scores[socket.id];
-      }
-    }
+  // Switch between playing and watching mid-match
+  socket.on("spectate", () => {
+    const game = findGame(socket.gameId);
+    if (game) startSpectating(socket, game);
+  });
 
-    // If game becomes empty, schedule it for cleanup
-    if (Object.keys(games[gameId].players).length === 0) {
-      games[gameId].cleanupTimer = setTimeout(() => {
-        if (games[gameId] && Object.keys(games[gameId].players).length === 0) {
-          delete games[gameId];
-          console.log(`Game ${gameId} has been cleaned up.`);
-        }
-      }, 10000); // 10-second delay
-    }
+  socket.on("play", () => {
+    const game = findGame(socket.gameId);
+    const error = game && startPlaying(socket, game);
+    if (error) sendChatNotice(socket, error);
   });
-});
 
-/**
- * Apply player input with smooth physics-based movement
- * Uses acceleration/deceleration for responsive but smooth movement
- * @param {Object} player - The player object to update
- * @param {Object} input - Input data containing keys, rotation, and delta time
- */
-function applyInput(player, input) {
-  if (!player || !input || !input.inputs) return;
-
-  const dt = input.dt || 1 / 60;
-  
-  // Calculate target velocity based on input
-  let targetVx = 0;
-  let targetVy = 0;
-  
-  // Determine movement direction from inputs
-  if (input.inputs.w) targetVy -= 1;
-  if (input.inputs.s) targetVy += 1;
-  if (input.inputs.a) targetVx -= 1;
-  if (input.inputs.d) targetVx += 1;
-  
-  // Normalize diagonal movement to prevent faster diagonal speed
-  const inputMagnitude = Math.sqrt(targetVx * targetVx + targetVy * targetVy);
-  if (inputMagnitude > 0) {
-    targetVx /= inputMagnitude;
-    targetVy /= inputMagnitude;
-  }
-  
-  // Apply speed modifiers
-  let maxSpeed = TANK_MAX_SPEED;
-  if (player.speedBoost) {
-    maxSpeed *= POWER_UP_TYPES.SPEED.multiplier;
-  }
-  
-  // Scale to max speed
-  targetVx *= maxSpeed;
-  targetVy *= maxSpeed;
-  
-  // Smooth acceleration/deceleration
-  const acceleration = inputMagnitude > 0 ? TANK_ACCELERATION : TANK_DECELERATION;
-  
-  // Interpolate current velocity towards target velocity
-  const vxDiff = targetVx - player.vx;
-  const vyDiff = targetVy - player.vy;
-  const accelAmount = acceleration * dt;
-  
-  if (Math.abs(vxDiff) < accelAmount) {
-    player.vx = targetVx;
-  } else {
-    player.vx += Math.sign(vxDiff) * accelAmount;
-  }
-  
-  if (Math.abs(vyDiff) < accelAmount) {
-    player.vy = targetVy;
-  } else {
-    player.vy += Math.sign(vyDiff) * accelAmount;
-  }
-  
-  // Apply velocity to position
-  player.x += player.vx * dt;
-  player.y += player.vy * dt;
-  
-  // Enforce map boundaries with bounce-back
-  const TANK_RADIUS = 20;
-  if (player.x < TANK_RADIUS) {
-    player.x = TANK_RADIUS;
-    player.vx = Math.max(0, player.vx); // Stop negative velocity
-  } else if (player.x > MAP_WIDTH - TANK_RADIUS) {
-    player.x = MAP_WIDTH - TANK_RADIUS;
-    player.vx = Math.min(0, player.vx); // Stop positive velocity
-  }
-  
-  if (player.y < TANK_RADIUS) {
-    player.y = TANK_RADIUS;
-    player.vy = Math.max(0, player.vy); // Stop negative velocity
-  } else if (player.y > MAP_HEIGHT - TANK_RADIUS) {
-    player.y = MAP_HEIGHT - TANK_RADIUS;
-    player.vy = Math.min(0, player.vy); // Stop positive velocity
-  }
-  
-  // Update rotation (instant, no smoothing needed for rotation)
-  if (typeof input.rotation === 'number') {
-    player.rotation = input.rotation;
-  }
-  if (typeof input.turretRotation === 'number') {
-    player.turretRotation = input.turretRotation;
-  }
-  if (typeof input.seq === 'number') {
-    player.lastProcessedInput = input.seq;
-  }
-}
+  socket.on("disconnect", () => {
+    if (socket.gameId) leaveGame(socket, true);
+  });
+});
 
 // Game loop
 setInterval(() => {
+  const dt = 1 / TICK_RATE;
+
   for (const gameId in games) {
-    const game = games[gameId];
+    const game = findGame(gameId);
     if (!game) continue;
 
-    // Spawn power-ups periodically (every 7 seconds) with a cap
-    const now = Date.now();
-    if (!lastPowerUpSpawnTime[gameId]) lastPowerUpSpawnTime[gameId] = 0;
-    if (now - lastPowerUpSpawnTime[gameId] > 7000) {
-      lastPowerUpSpawnTime[gameId] = now;
-      if ((game.powerUps?.length || 0) < 6) {
-        spawnPowerUp(gameId);
-      }
-    }
+    driveBots(game, Date.now(), dt);
 
-    // Handle bullet collisions with continuous collision detection
-    if (!game.bullets) game.bullets = [];
-    if (!game.players) game.players = {};
-    
-    const TANK_RADIUS = 25;
-    const bulletMaxAge = 10000; // 10 seconds - enough time for multiple bounces
-    
-    // Check collisions BEFORE moving bullets
-    const TANK_RADIUS_SQ = TANK_RADIUS * TANK_RADIUS; // Use squared distance to avoid sqrt
-    for (let i = game.bullets.length - 1; i >= 0; i--) {
-      const bullet = game.bullets[i];
-      if (!bullet) continue;
-      
-      let hit = false;
-      
-      // Check collision with all players
-      for (const id in game.players) {
-        if (id === bullet.owner) continue;
-        const target = game.players[id];
-        if (!target || target.dead || target.invulnerable) continue;
-        
-        // Current position check (using squared distance)
-        const dx = target.x - bullet.x;
-        const dy = target.y - bullet.y;
-        const distSq = dx * dx + dy * dy;
-        
-        // Also check next position (continuous collision detection)
-        const nextX = bullet.x + bullet.vx;
-        const nextY = bullet.y + bullet.vy;
-        const nextDx = target.x - nextX;
-        const nextDy = target.y - nextY;
-        const nextDistSq = nextDx * nextDx + nextDy * nextDy;
-        
-        if (distSq < TANK_RADIUS_SQ || nextDistSq < TANK_RADIUS_SQ) {
-          // Hit detected
-          const shooter = game.players[bullet.owner];
-          let damage = BULLET_DAMAGE;
-          
-          if (shooter && shooter.damageBoost) {
-            damage = Math.floor(damage * POWER_UP_TYPES.DAMAGE_BOOST.multiplier);
-          }
-          if (target.shield) {
-            damage = 0;
-          }
-          
-          target.hp = Math.max(0, target.hp - damage);
-          if (target.hp <= 0) {
-            target.dead = true;
-            target.respawnTime = Date.now() + RESPAWN_TIME;
-            if (game.scores && game.scores[bullet.owner] !== undefined) {
-              game.scores[bullet.owner]++;
-            }
-          }
-          
-          // Send hit event
-          io.to(gameId).emit("bulletHit", {
-            shooter: bullet.owner,
-            victim: id,
-            hitX: bullet.x,
-            hitY: bullet.y
-          });
-          
-          hit = true;
-          game.bullets.splice(i, 1);
-          break;
-        }
-      }
-      
-      if (hit) continue;
-      
-      // Move bullet if no hit
-      bullet.x += bullet.vx;
-      bullet.y += bullet.vy;
-      
-      // Wall bouncing with max 3 bounces
-      const MAX_BOUNCES = 3;
-      let bounced = false;
-      
-      if (bullet.x < 0 || bullet.x > MAP_WIDTH) {
-        if (bullet.bounces < MAX_BOUNCES) {
-          bullet.vx = -bullet.vx;
-          bullet.x = Math.max(0, Math.min(MAP_WIDTH, bullet.x));
-          bullet.bounces++;
-          bounced = true;
-          
-          // Emit wall impact event for glow effect
-          io.to(gameId).emit("wallImpact", {
-            x: bullet.x,
-            y: bullet.y,
-            color: bullet.color || '#ffff00'
-          });
-        } else {
-          game.bullets.splice(i, 1);
-          continue;
-        }
-      }
-      
-      if (bullet.y < 0 || bullet.y > MAP_HEIGHT) {
-        if (bullet.bounces < MAX_BOUNCES) {
-          bullet.vy = -bullet.vy;
-          bullet.y = Math.max(0, Math.min(MAP_HEIGHT, bullet.y));
-          bullet.bounces++;
-          bounced = true;
-          
-          // Emit wall impact event for glow effect
-          io.to(gameId).emit("wallImpact", {
-            x: bullet.x,
-            y: bullet.y,
-            color: bullet.color || '#ffff00'
-          });
-        } else {
-          game.bullets.splice(i, 1);
-          continue;
-        }
-      }
-      
-      // Update angle after bounce
-      if (bounced) {
-        bullet.angle = Math.atan2(bullet.vy, bullet.vx);
-      }
-      
-      // Remove if too old
-      const isNotTooOld = !bullet.createdAt || (now - bullet.createdAt < bulletMaxAge);
-      if (!isNotTooOld) {
-        game.bullets.splice(i, 1);
-      }
-    }
-
-    // Process inputs - process ALL inputs each tick for smooth movement
+    // Hand each player's queued inputs to the simulation, a few per tick
+    const inputs = {};
     for (const id in game.players) {
-      const player = game.players[id];
-      if (!player) continue;
-
-      while (player.inputQueue.length > 0) {
-        const input = player.inputQueue.shift();
-        if (input) {
-          applyInput(player, input);
-        }
-      }
+      inputs[id] = game.players[id].inputQueue.splice(0, validation.MAX_INPUTS_PER_TICK);
     }
 
-    // Apply power-ups + respawn & power-up collection
-    for (const id in game.players) {
-      const player = game.players[id];
-      if (!player) continue;
-
-      // Respawn players
-      if (
-        player.dead &&
-        player.respawnTime &&
-        Date.now() > player.respawnTime
-      ) {
-        const spawn = getRandomSpawn();
-        player.x = spawn.x;
-        player.y = spawn.y;
-        player.vx = 0; // Reset velocity on respawn
-        player.vy = 0;
-        player.hp = MAX_HP;
-        player.dead = false;
-        player.lastShotTime = 0;
-        player.invulnerable = true;
-        player.invulnerableExpireTime = Date.now() + 3000;
-      }
+    emitEvents(gameId, game.sim.step(game, inputs, dt));
+
+    // Snapshots go out every SNAPSHOT_TICKS ticks, not every simulation tick
+    game.tick = (game.tick || 0) + 1;
+    if (game.tick % SNAPSHOT_TICKS === 0) {
+      broadcastSnapshot(gameId, buildSnapshot(game, Date.now()));
     }
+  }
+}, TICK_INTERVAL);
 
-    // Power-up collection and cleanup
-    if (game.powerUps && game.powerUps.length) {
-      game.powerUps = game.powerUps.filter((powerUp) => {
-        // lifetime
-        if (Date.now() - powerUp.createdAt > POWER_UP_LIFETIME) return false;
+// HTTP endpoints
+app.get("/servers", (req, res) => {
+  res.json(listServers());
+});
 
-        // Check collision with players
-        for (const playerId in game.players) {
-          const player = game.players[playerId];
-          if (!player || player.dead) continue;
+app.get("/modes", (req, res) => {
+  res.json(modes.listModes());
+});
 
-          const dx = player.x - powerUp.x;
-          const dy = player.y - powerUp.y;
-          const distance = Math.sqrt(dx * dx + dy * dy);
+app.get("/classes", (req, res) => {
+  res.json(classes.listClasses());
+});
 
-          if (distance < POWER_UP_RADIUS) {
-            applyPowerUp(gameId, playerId, powerUp.type);
-            return false; // Remove power-up after collection
-          }
-        }
+app.get("/weapons", (req, res) => {
+  res.json(weapons.listWeapons());
+});
 
-        return true; // Keep power-up
-      });
-    }
+app.get("/power-ups", (req, res) => {
+  res.json(powerups.describePowerUps());
+});
 
-    // Update power-up effects duration (expire flags)
-    for (const playerId in game.players) {
-      const player = game.players[playerId];
-      if (!player) continue;
+app.get("/maps", (req, res) => {
+  res.json(maps.listMaps());
+});
 
-      if (
-        player.speedBoost &&
-        player.speedBoostExpireTime &&
-        Date.now() > player.speedBoostExpireTime
-      ) {
-        player.speedBoost = false;
-        delete player.speedBoostExpireTime;
-      }
-      if (
-        player.rapidFire &&
-        player.rapidFireExpireTime &&
-        Date.now() > player.rapidFireExpireTime
-      ) {
-        player.rapidFire = false;
-        delete player.rapidFireExpireTime;
-      }
-      if (
-        player.shield &&
-        player.shieldExpireTime &&
-        Date.now() > player.shieldExpireTime
-      ) {
-        player.shield = false;
-        delete player.shieldExpireTime;
-      }
-      if (
-        player.damageBoost &&
-        player.damageBoostExpireTime &&
-        Date.now() > player.damageBoostExpireTime
-      ) {
-        player.damageBoost = false;
-        delete player.damageBoostExpireTime;
-      }
+app.get("/maps/:id", (req, res) => {
+  const map = maps.findMap(req.params.id);
+  if (!map) {
+    res.status(404).json({ error: "Map not found" });
+    return;
+  }
+  res.json(map);
+});
 
-      if (
-        player.invulnerable &&
-        player.invulnerableExpireTime &&
-        Date.now() > player.invulnerableExpireTime
-      ) {
-        player.invulnerable = false;
-        delete player.invulnerableExpireTime;
-      }
-    }
+// Publish a map from the editor; republishing one needs the editKey it was first published with
+app.post("/maps", express.json({ limit: "256kb" }), (req, res) => {
+  try {
+    const { map, editKey } = maps.saveCustomMap(req.body, req.body && req.body.editKey);
+    console.log(`Map "${map.id}" published.`);
+    res.status(201).json({ id: map.id, name: map.name, width: map.width, height: map.height, editKey });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-    // Broadcast state to all clients in this game
-    const state = {
-      players: Object.keys(game.players)
-        .map((id) => {
-          const player = game.players[id];
-          return player
-            ? {
-                id,
-                x: player.x,
-                y: player.y,
-                rotation: player.rotation,
-                turretRotation: player.turretRotation,
-                color: player.color,
-                name: player.name,
-                hp: player.hp,
-                dead: player.dead,
-                vx: player.vx || 0,
-                vy: player.vy || 0,
-                speedBoost: !!player.speedBoost,
-                rapidFire: !!player.rapidFire,
-                shield: !!player.shield,
-                damageBoost: !!player.damageBoost,
-                invulnerable: !!player.invulnerable,
-                lastProcessedInput: player.lastProcessedInput,
-              }
-            : null;
-        })
-        .filter(Boolean),
-      bullets: game.bullets
-        ? game.bullets.map((b) => ({ x: b.x, y: b.y, angle: b.angle, color: b.color }))
-        : [],
-      scores: game.scores || {},
-      powerUps: game.powerUps || [],
-    };
+app.get("/leaderboard", (req, res) => {
+  res.json(profiles.leaderboard());
+});
 
-    io.to(gameId).emit("state", state);
+app.get("/players/:id", (req, res) => {
+  const profile = profiles.findProfile(req.params.id);
+  if (!profile) {
+    res.status(404).json({ error: "Player not found" });
+    return;
   }
-}, TICK_INTERVAL);
+  res.json(profiles.describeProfile(profile));
+});
 
-// HTTP endpoints
-app.get("/servers", (req, res) => {
-  const activeServers = [];
-  for (const gameId in games) {
-    const game = games[gameId];
-    if (!game) continue;
-    const playerCount = game.players ? Object.keys(game.players).length : 0;
-    if (playerCount > 0) {
-      activeServers.push({
-        id: String(game.id || gameId),
-        name: String(game.name || `Game ${gameId}`),
-        players: playerCount,
-        maxPlayers: MAX_PLAYERS,
-      });
-    }
+app.get("/players/:id/matches", (req, res) => {
+  const profile = profiles.findProfile(req.params.id);
+  if (!profile) {
+    res.status(404).json({ error: "Player not found" });
+    return;
+  }
+  res.json(profiles.matchesOf(profile.id));
+});
+
+app.get("/replays", (req, res) => {
+  res.json(replay.listReplays());
+});
+
+// Replays are stored gzipped: the viewer gets them with Content-Encoding so the
+// browser inflates them, ?download=1 gets the file as stored
+app.get("/replays/:id", (req, res) => {
+  const file = replay.replayPath(req.params.id);
+  if (!file) {
+    res.status(404).json({ error: "Replay not found" });
+    return;
+  }
+  if (req.query.download) {
+    res.download(file, `${req.params.id}.replay`);
+    return;
   }
-  res.json(activeServers);
+  res.set({ "Content-Type": "application/x-ndjson", "Content-Encoding": "gzip" });
+  res.sendFile(file);
 });
 
 server.listen(PORT, () => {
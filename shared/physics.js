@@ -0,0 +1,279 @@
+/**
+ * Tank movement model shared by the server and the browser client.
+ * The server uses it to apply inputs authoritatively; the client replays the
+ * exact same math for prediction, so both sides must stay in lockstep.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TankPhysics = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const TANK_ACCELERATION = 600; // pixels per second squared
+  const TANK_DECELERATION = 900; // pixels per second squared
+  const TANK_MAX_SPEED = 60; // maximum speed in pixels per second
+  const TANK_RADIUS = 20; // wall collision radius
+  const DEFAULT_DT = 1 / 60;
+
+  /**
+   * Apply player input with smooth physics-based movement
+   * Uses acceleration/deceleration for responsive but smooth movement
+   * @param {Object} player - Object with x, y, vx, vy, rotation, turretRotation
+   * @param {Object} input - Input data containing keys, rotation, and delta time
+   * @param {Object} world - { width, height, maxSpeed, acceleration, obstacles } of the arena and tank
+   */
+  function applyInput(player, input, world) {
+    if (!player || !input || !input.inputs) return;
+
+    const dt = input.dt || DEFAULT_DT;
+    const maxSpeed = world.maxSpeed || TANK_MAX_SPEED;
+
+    // Calculate target velocity based on input
+    let targetVx = 0;
+    let targetVy = 0;
+
+    // Determine movement direction from inputs
+    if (input.inputs.w) targetVy -= 1;
+    if (input.inputs.s) targetVy += 1;
+    if (input.inputs.a) targetVx -= 1;
+    if (input.inputs.d) targetVx += 1;
+
+    // Normalize diagonal movement to prevent faster diagonal speed
+    const inputMagnitude = Math.sqrt(targetVx * targetVx + targetVy * targetVy);
+    if (inputMagnitude > 0) {
+      targetVx /= inputMagnitude;
+      targetVy /= inputMagnitude;
+    }
+
+    // Scale to max speed
+    targetVx *= maxSpeed;
+    targetVy *= maxSpeed;
+
+    // Smooth acceleration/deceleration
+    const acceleration = inputMagnitude > 0 ? world.acceleration || TANK_ACCELERATION : TANK_DECELERATION;
+
+    // Interpolate current velocity towards target velocity
+    const vxDiff = targetVx - player.vx;
+    const vyDiff = targetVy - player.vy;
+    const accelAmount = acceleration * dt;
+
+    if (Math.abs(vxDiff) < accelAmount) {
+      player.vx = targetVx;
+    } else {
+      player.vx += Math.sign(vxDiff) * accelAmount;
+    }
+
+    if (Math.abs(vyDiff) < accelAmount) {
+      player.vy = targetVy;
+    } else {
+      player.vy += Math.sign(vyDiff) * accelAmount;
+    }
+
+    // Apply velocity to position
+    player.x += player.vx * dt;
+    player.y += player.vy * dt;
+
+    // Enforce map boundaries with bounce-back
+    if (player.x < TANK_RADIUS) {
+      player.x = TANK_RADIUS;
+      player.vx = Math.max(0, player.vx); // Stop negative velocity
+    } else if (player.x > world.width - TANK_RADIUS) {
+      player.x = world.width - TANK_RADIUS;
+      player.vx = Math.min(0, player.vx); // Stop positive velocity
+    }
+
+    if (player.y < TANK_RADIUS) {
+      player.y = TANK_RADIUS;
+      player.vy = Math.max(0, player.vy); // Stop negative velocity
+    } else if (player.y > world.height - TANK_RADIUS) {
+      player.y = world.height - TANK_RADIUS;
+      player.vy = Math.min(0, player.vy); // Stop positive velocity
+    }
+
+    if (world.obstacles && world.obstacles.length) {
+      resolveObstacles(player, TANK_RADIUS, world.obstacles);
+    }
+
+    // Update rotation (instant, no smoothing needed for rotation)
+    if (typeof input.rotation === "number") {
+      player.rotation = input.rotation;
+    }
+    if (typeof input.turretRotation === "number") {
+      player.turretRotation = input.turretRotation;
+    }
+  }
+
+  /**
+   * Push a moving circle out of a single shape and cancel the velocity
+   * component that points into it
+   * @param {Object} body - Object with x, y, vx, vy
+   * @param {number} nx - Unit normal pointing away from the shape
+   * @param {number} ny
+   * @param {number} depth - How far the body overlaps the shape
+   */
+  function pushOut(body, nx, ny, depth) {
+    body.x += nx * depth;
+    body.y += ny * depth;
+    const into = body.vx * nx + body.vy * ny;
+    if (into < 0) {
+      body.vx -= into * nx;
+      body.vy -= into * ny;
+    }
+  }
+
+  /**
+   * Resolve overlaps between a circle and map obstacles
+   * Shapes are rectangles { x, y, w, h } or circles { x, y, r }
+   * @param {Object} body - Object with x, y, vx, vy
+   * @param {number} radius - Body radius
+   * @param {Object[]} obstacles - Solid shapes
+   */
+  function resolveObstacles(body, radius, obstacles) {
+    for (const o of obstacles) {
+      if (typeof o.r === "number") {
+        const dx = body.x - o.x;
+        const dy = body.y - o.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const minDist = radius + o.r;
+        if (dist >= minDist) continue;
+        if (dist > 0) {
+          pushOut(body, dx / dist, dy / dist, minDist - dist);
+        } else {
+          pushOut(body, 1, 0, minDist);
+        }
+        continue;
+      }
+
+      const closestX = Math.max(o.x, Math.min(o.x + o.w, body.x));
+      const closestY = Math.max(o.y, Math.min(o.y + o.h, body.y));
+      const dx = body.x - closestX;
+      const dy = body.y - closestY;
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= radius * radius) continue;
+
+      if (distSq > 0) {
+        const dist = Math.sqrt(distSq);
+        pushOut(body, dx / dist, dy / dist, radius - dist);
+      } else {
+        // Center is inside the rectangle: leave through the nearest side
+        const left = body.x - o.x;
+        const right = o.x + o.w - body.x;
+        const top = body.y - o.y;
+        const bottom = o.y + o.h - body.y;
+        const min = Math.min(left, right, top, bottom);
+        if (min === left) pushOut(body, -1, 0, left + radius);
+        else if (min === right) pushOut(body, 1, 0, right + radius);
+        else if (min === top) pushOut(body, 0, -1, top + radius);
+        else pushOut(body, 0, 1, bottom + radius);
+      }
+    }
+  }
+
+  /**
+   * Whether a point lies inside a map shape
+   * @param {Object} shape - Rectangle { x, y, w, h } or circle { x, y, r }
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [margin=0] - Grow the shape by this much
+   */
+  function shapeContains(shape, x, y, margin = 0) {
+    if (typeof shape.r === "number") {
+      const dx = x - shape.x;
+      const dy = y - shape.y;
+      const r = shape.r + margin;
+      return dx * dx + dy * dy < r * r;
+    }
+    return (
+      x > shape.x - margin &&
+      x < shape.x + shape.w + margin &&
+      y > shape.y - margin &&
+      y < shape.y + shape.h + margin
+    );
+  }
+
+  /**
+   * Find spawn points, power-up pads and flags a tank can't drive to from the first
+   * spawn (or the first pad when the map has no spawns). Flood-fills a grid of
+   * positions where a tank's center fits between the walls.
+   * @param {Object} map - { width, height, walls, obstacles, spawns, powerUpPads, flags? }
+   * @param {number} [cellSize=10] - Grid resolution in pixels
+   * @returns {Object[]} { kind: "spawn" | "powerUpPad" | "flag", index, x, y } for each unreachable point
+   */
+  function findUnreachable(map, cellSize = 10) {
+    const points = [
+      ...(map.spawns || []).map((p, index) => ({ kind: "spawn", index, x: p.x, y: p.y })),
+      ...(map.powerUpPads || []).map((p, index) => ({ kind: "powerUpPad", index, x: p.x, y: p.y })),
+      ...(map.flags || []).map((p, index) => ({ kind: "flag", index, x: p.x, y: p.y })),
+    ];
+    if (points.length < 2) return [];
+
+    const solids = [...(map.walls || []), ...(map.obstacles || [])];
+    const cols = Math.ceil(map.width / cellSize);
+    const rows = Math.ceil(map.height / cellSize);
+    const open = new Uint8Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      const y = row * cellSize + cellSize / 2;
+      for (let col = 0; col < cols; col++) {
+        const x = col * cellSize + cellSize / 2;
+        const inside =
+          x >= TANK_RADIUS && y >= TANK_RADIUS &&
+          x <= map.width - TANK_RADIUS && y <= map.height - TANK_RADIUS;
+        if (inside && !solids.some((shape) => shapeContains(shape, x, y, TANK_RADIUS))) {
+          open[row * cols + col] = 1;
+        }
+      }
+    }
+
+    // Points are validated as clear, but their cell center may not be: use the nearest open cell
+    function cellOf(point) {
+      const col = Math.floor(point.x / cellSize);
+      const row = Math.floor(point.y / cellSize);
+      for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = col - 1; c <= col + 1; c++) {
+          if (r >= 0 && c >= 0 && r < rows && c < cols && open[r * cols + c]) return r * cols + c;
+        }
+      }
+      return -1;
+    }
+
+    const reached = new Uint8Array(cols * rows);
+    const start = cellOf(points[0]);
+    if (start >= 0) {
+      const queue = [start];
+      reached[start] = 1;
+      while (queue.length) {
+        const cell = queue.pop();
+        const col = cell % cols;
+        const neighbors = [
+          col > 0 ? cell - 1 : -1,
+          col < cols - 1 ? cell + 1 : -1,
+          cell - cols,
+          cell + cols,
+        ];
+        for (const next of neighbors) {
+          if (next >= 0 && next < open.length && open[next] && !reached[next]) {
+            reached[next] = 1;
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    return points.filter((point) => {
+      const cell = cellOf(point);
+      return cell < 0 || !reached[cell];
+    });
+  }
+
+  return {
+    TANK_ACCELERATION,
+    TANK_DECELERATION,
+    TANK_MAX_SPEED,
+    TANK_RADIUS,
+    applyInput,
+    resolveObstacles,
+    shapeContains,
+    findUnreachable,
+  };
+});
@@ -0,0 +1,123 @@
+/**
+ * Delta encoding for `state` snapshots, shared by the server and the client.
+ *
+ * A full snapshot is { seq, t, players, bullets, powerUps, effects, ammo,
+ * mines, barriers, scores, stats, teams, objectives } where every section is
+ * keyed by entity id. A delta against an acknowledged base only carries
+ * entities (and fields) that changed, plus the ids that disappeared.
+ * A delta with base 0 is a full snapshot.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SnapshotCodec = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const SECTIONS = ["players", "bullets", "powerUps", "effects", "ammo", "mines", "barriers", "scores", "stats", "teams", "objectives"];
+
+  /**
+   * Round to a fixed step so unchanged values compare equal between ticks
+   * and serialize short
+   * @param {number} value
+   * @param {number} step - e.g. 0.1 for positions
+   */
+  function quantize(value, step) {
+    const rounded = Math.round((Number(value) || 0) / step) * step;
+    // toFixed drops float noise such as 0.30000000000000004; `|| 0` turns -0 into 0
+    return Number(rounded.toFixed(3)) || 0;
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === "object";
+  }
+
+  function diffEntity(base, current) {
+    if (!isObject(current)) return base === current ? undefined : current;
+    let changed;
+    for (const key in current) {
+      if (current[key] !== base[key]) {
+        if (!changed) changed = {};
+        changed[key] = current[key];
+      }
+    }
+    return changed;
+  }
+
+  function diffSection(base, current) {
+    const changed = {};
+    const removed = [];
+    let hasChanges = false;
+
+    for (const id in current) {
+      const entry = id in base ? diffEntity(base[id], current[id]) : current[id];
+      if (entry !== undefined) {
+        changed[id] = entry;
+        hasChanges = true;
+      }
+    }
+    for (const id in base) {
+      if (!(id in current)) removed.push(id);
+    }
+
+    return { changed: hasChanges ? changed : null, removed };
+  }
+
+  /**
+   * Encode `current` relative to `base` (or as a full snapshot when base is null)
+   * @param {Object|null} base - A snapshot the receiver has acknowledged
+   * @param {Object} current - The snapshot to send
+   * @returns {Object} Delta packet
+   */
+  function encodeDelta(base, current) {
+    const delta = { seq: current.seq, base: base ? base.seq : 0, t: current.t };
+    const removed = {};
+    let hasRemoved = false;
+
+    for (const section of SECTIONS) {
+      const { changed, removed: gone } = diffSection(
+        base ? base[section] || {} : {},
+        current[section] || {}
+      );
+      if (changed) delta[section] = changed;
+      if (gone.length) {
+        removed[section] = gone;
+        hasRemoved = true;
+      }
+    }
+    if (hasRemoved) delta.removed = removed;
+    return delta;
+  }
+
+  /**
+   * Rebuild a full snapshot from a delta. Does not mutate `base`.
+   * @param {Object|null} base - The snapshot named by delta.base
+   * @param {Object} delta - Packet produced by encodeDelta
+   * @returns {Object} Full snapshot
+   */
+  function applyDelta(base, delta) {
+    const snapshot = { seq: delta.seq, t: delta.t };
+
+    for (const section of SECTIONS) {
+      const result = Object.assign({}, base ? base[section] : null);
+      const changed = delta[section];
+      for (const id in changed) {
+        const entry = changed[id];
+        result[id] =
+          isObject(entry) && isObject(result[id]) ? Object.assign({}, result[id], entry) : entry;
+      }
+      const removed = delta.removed && delta.removed[section];
+      if (removed) {
+        for (const id of removed) delete result[id];
+      }
+      snapshot[section] = result;
+    }
+    return snapshot;
+  }
+
+  return {
+    quantize,
+    encodeDelta,
+    applyDelta,
+  };
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const access = require("../game/access");
+
+test("public games let anyone in", () => {
+  const game = access.accessSettings({});
+  assert.strictEqual(game.visibility, "public");
+  assert.strictEqual(access.checkAccess(game, {}), null);
+});
+
+test("unlisted games need the invite code", () => {
+  const game = access.accessSettings({ visibility: "unlisted" });
+  assert.strictEqual(access.checkAccess(game, {}), "INVITE_REQUIRED");
+  assert.strictEqual(access.checkAccess(game, { code: "nope" }), "INVITE_REQUIRED");
+  assert.strictEqual(access.checkAccess(game, { code: game.inviteCode }), null);
+});
+
+test("private games need the password or the invite code", () => {
+  const game = access.accessSettings({ visibility: "private", password: "hunter2" });
+  assert.strictEqual(access.checkAccess(game, {}), "PASSWORD_REQUIRED");
+  assert.strictEqual(access.checkAccess(game, { password: "hunter3" }), "WRONG_PASSWORD");
+  assert.strictEqual(access.checkAccess(game, { password: "hunter2" }), null);
+  assert.strictEqual(access.checkAccess(game, { code: game.inviteCode }), null);
+});
+
+test("a private game without a password is refused", () => {
+  assert.throws(() => access.accessSettings({ visibility: "private" }), /password/);
+});
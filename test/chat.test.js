@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const chat = require("../game/chat");
+
+test("parseCommand splits the command from its arguments", () => {
+  assert.deepStrictEqual(chat.parseCommand("/w Big Tank hi there"), { name: "w", args: "Big Tank hi there" });
+  assert.deepStrictEqual(chat.parseCommand("/HELP"), { name: "help", args: "" });
+  assert.strictEqual(chat.parseCommand("hello /w"), null);
+});
+
+test("parseCommand knows nothing of inherited keys", () => {
+  assert.strictEqual(chat.parseCommand("/constructor").name, null);
+  assert.strictEqual(chat.parseCommand("/__proto__ x").name, null);
+});
+
+test("findPlayer prefers the longest whole-word name", () => {
+  const players = {
+    a: { id: "a", name: "Big" },
+    b: { id: "b", name: "Big Tank" },
+    c: { id: "c", name: "Bigger" },
+  };
+  assert.deepStrictEqual(chat.findPlayer(players, "big tank hello"), { player: players.b, rest: "hello" });
+  assert.deepStrictEqual(chat.findPlayer(players, "Big hello"), { player: players.a, rest: "hello" });
+  assert.strictEqual(chat.findPlayer(players, "Bigg"), null);
+});
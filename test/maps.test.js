@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const maps = require("../game/maps");
+
+const layout = (fields) => ({ id: "arena", width: 800, height: 600, ...fields });
+
+test("normalizeMap keeps a valid map and drops unknown fields", () => {
+  const map = maps.normalizeMap(
+    layout({
+      id: "Arena",
+      walls: [{ x: 100, y: 100, w: 50, h: 200, color: "red" }],
+      obstacles: [{ x: 400, y: 300, r: 30 }],
+      spawns: [{ x: 60, y: 60 }],
+      extra: true,
+    })
+  );
+  assert.strictEqual(map.id, "arena");
+  assert.strictEqual(map.name, "arena");
+  assert.deepStrictEqual(map.walls, [{ x: 100, y: 100, w: 50, h: 200 }]);
+  assert.deepStrictEqual(map.obstacles, [{ x: 400, y: 300, r: 30 }]);
+  assert.deepStrictEqual(map.spawns, [{ x: 60, y: 60 }]);
+  assert.deepStrictEqual(map.powerUpPads, []);
+  assert.strictEqual(map.extra, undefined);
+});
+
+test("normalizeMap refuses broken maps with a reason", () => {
+  const cases = [
+    [layout({ id: "no spaces" }), /Map id/],
+    [layout({ width: 100 }), /width/],
+    [layout({ walls: [{ x: 750, y: 0, w: 100, h: 10 }] }), /Wall 1 is outside the map/],
+    [layout({ walls: [{ x: 0, y: 0, w: -5, h: 10 }] }), /Wall 1 needs a positive w and h/],
+    [layout({ walls: [{ x: 50, y: 50, w: 100, h: 100 }], spawns: [{ x: 100, y: 100 }] }), /Spawn 1 overlaps/],
+    [layout({ flags: [{ x: 100, y: 100 }] }), /flags needs exactly two points/],
+    [layout({ hill: { x: 100, y: 100, w: 10, h: 10 } }), /Hill must be a circle/],
+  ];
+  for (const [data, reason] of cases) {
+    assert.throws(() => maps.normalizeMap(data), reason);
+  }
+});
+
+test("normalizeMap refuses spawns walled off from the rest of the map", () => {
+  const box = [
+    { x: 0, y: 150, w: 150, h: 20 },
+    { x: 150, y: 0, w: 20, h: 170 },
+  ];
+  assert.throws(
+    () => maps.normalizeMap(layout({ walls: box, spawns: [{ x: 60, y: 60 }, { x: 600, y: 400 }] })),
+    /can't be reached/
+  );
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const profiles = require("../game/profiles");
+
+test("the winner gains what the loser loses", () => {
+  const changes = profiles.ratingChanges([
+    { id: "a", rating: 1000, place: 0, team: null },
+    { id: "b", rating: 1000, place: 1, team: null },
+  ]);
+  assert.ok(changes.a > 0);
+  assert.strictEqual(changes.a, -changes.b);
+});
+
+test("beating a stronger player is worth more", () => {
+  const upset = profiles.ratingChanges([
+    { id: "a", rating: 1000, place: 0, team: null },
+    { id: "b", rating: 1400, place: 1, team: null },
+  ]);
+  const expected = profiles.ratingChanges([
+    { id: "a", rating: 1400, place: 0, team: null },
+    { id: "b", rating: 1000, place: 1, team: null },
+  ]);
+  assert.ok(upset.a > expected.a);
+});
+
+test("equal places are draws and teammates don't play each other", () => {
+  assert.deepStrictEqual(
+    profiles.ratingChanges([
+      { id: "a", rating: 1000, place: 0, team: null },
+      { id: "b", rating: 1000, place: 0, team: null },
+    ]),
+    { a: 0, b: 0 }
+  );
+  assert.deepStrictEqual(
+    profiles.ratingChanges([
+      { id: "a", rating: 1200, place: 0, team: "red" },
+      { id: "b", rating: 1000, place: 0, team: "red" },
+    ]),
+    { a: 0, b: 0 }
+  );
+});
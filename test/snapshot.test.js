@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const snapshotCodec = require("../shared/snapshot");
+
+function snapshot(seq, players, bullets = {}) {
+  return { seq, t: seq * 50, players, bullets };
+}
+
+// applyDelta fills in every section; compare against the same shape
+function full(snap) {
+  return snapshotCodec.applyDelta(null, snapshotCodec.encodeDelta(null, snap));
+}
+
+test("a delta against base 0 is the full snapshot", () => {
+  const current = snapshot(1, { a: { x: 10, y: 20, hp: 100 } }, { 7: { x: 1, y: 2 } });
+  const delta = snapshotCodec.encodeDelta(null, current);
+  assert.strictEqual(delta.base, 0);
+  const decoded = snapshotCodec.applyDelta(null, delta);
+  assert.deepStrictEqual(decoded.players, current.players);
+  assert.deepStrictEqual(decoded.bullets, current.bullets);
+});
+
+test("a delta carries only changed fields and removed ids", () => {
+  const base = snapshot(1, { a: { x: 10, y: 20, hp: 100 }, b: { x: 0, y: 0, hp: 50 } }, { 7: { x: 1, y: 2 } });
+  const current = snapshot(2, { a: { x: 12, y: 20, hp: 100 }, c: { x: 5, y: 5, hp: 100 } }, { 7: { x: 1, y: 2 } });
+  const delta = snapshotCodec.encodeDelta(base, current);
+
+  assert.strictEqual(delta.base, 1);
+  assert.deepStrictEqual(delta.players, { a: { x: 12 }, c: { x: 5, y: 5, hp: 100 } });
+  assert.strictEqual(delta.bullets, undefined);
+  assert.deepStrictEqual(delta.removed, { players: ["b"] });
+});
+
+test("applying a delta to its base rebuilds the snapshot without touching the base", () => {
+  const base = snapshot(1, { a: { x: 10, y: 20, hp: 100 }, b: { x: 0, y: 0, hp: 50 } });
+  const current = snapshot(2, { a: { x: 12, y: 20, hp: 80 } }, { 3: { x: 4, y: 4 } });
+  const before = JSON.stringify(base);
+
+  const decoded = snapshotCodec.applyDelta(full(base), snapshotCodec.encodeDelta(base, current));
+  assert.deepStrictEqual(decoded, full(current));
+  assert.strictEqual(JSON.stringify(base), before);
+});
+
+test("quantize rounds to the step and drops float noise and negative zero", () => {
+  assert.strictEqual(snapshotCodec.quantize(1.26, 0.1), 1.3);
+  assert.strictEqual(snapshotCodec.quantize(0.1 + 0.2, 0.1), 0.3);
+  assert.ok(Object.is(snapshotCodec.quantize(-0.01, 0.1), 0));
+  assert.strictEqual(snapshotCodec.quantize("junk", 0.1), 0);
+});
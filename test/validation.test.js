@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const validation = require("../game/validation");
+
+const sample = (fields) => ({ seq: 1, inputs: { w: true }, dt: 1 / 60, ...fields });
+
+test("validateInput keeps a clean copy of a good sample", () => {
+  const { input, violation } = validation.validateInput(
+    sample({ inputs: { w: true, a: "yes", jump: true }, rotation: 7, turretRotation: -1 }),
+    0
+  );
+  assert.strictEqual(violation, null);
+  assert.deepStrictEqual(input.inputs, { w: true, a: false, s: false, d: false });
+  assert.ok(input.rotation >= -Math.PI && input.rotation <= Math.PI);
+  assert.strictEqual(input.turretRotation, -1);
+});
+
+test("validateInput drops malformed, replayed and timeless samples", () => {
+  for (const [bad, lastSeq] of [
+    [null, 0],
+    [{ seq: 1, dt: 0.01 }, 0],
+    [sample({ seq: 1 }), 1],
+    [sample({ seq: 1.5 }), 0],
+    [sample({ dt: 0 }), 0],
+    [sample({ dt: NaN }), 0],
+  ]) {
+    const { input, violation } = validation.validateInput(bad, lastSeq);
+    assert.strictEqual(input, null);
+    assert.ok(violation);
+  }
+});
+
+test("validateInput caps a long dt and reports it", () => {
+  const { input, violation } = validation.validateInput(sample({ dt: 5 }), 0);
+  assert.ok(input.dt < 5);
+  assert.strictEqual(violation, "input dt too large");
+});
+
+test("countShot allows a burst up to the limit per second, then resets", () => {
+  const guard = validation.createGuard();
+  let allowed = 0;
+  for (let i = 0; i < 20; i++) if (validation.countShot(guard, 1000 + i)) allowed++;
+  assert.ok(allowed > 0 && allowed < 20);
+  assert.strictEqual(validation.countShot(guard, 2000), true);
+});
+
+test("validateShot names the weapon in the slot and refuses unknown slots", () => {
+  assert.strictEqual(validation.validateShot({ angle: 1 }).weapon, "cannon");
+  assert.strictEqual(validation.validateShot({ angle: 1, slot: 2 }).weapon, "shotgun");
+  assert.strictEqual(validation.validateShot({ angle: 1, slot: 99 }), null);
+  assert.strictEqual(validation.validateShot({ angle: 1, slot: "constructor" }), null);
+  assert.strictEqual(validation.validateShot({ angle: Infinity }), null);
+});